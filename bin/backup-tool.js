@@ -0,0 +1,257 @@
+// Command-line tool for the app's backup files, using the same crypto and merge
+// code as the app (src/tracker). Everything runs offline.
+//
+//   npm run backup-tool -- info backup.json                    # envelope and readable header, no passphrase needed
+//   npm run backup-tool -- decrypt backup.json -o data.json    # the dataset (or an encrypted CSV's text)
+//   npm run backup-tool -- reencrypt backup.json -o new.json   # same data (or text), new passphrase
+//   npm run backup-tool -- merge bar1.json bar2.json -o all.json [--encrypt]
+//   npm run backup-tool -- stats backup.json [more.json ...]
+//   npm run backup-tool -- csv backup.json -o all.csv [--event <event ID>]
+//
+// Inputs are encrypted backups or plain dataset JSON. Passphrases come from
+// BACKUP_PASSPHRASE and BACKUP_NEW_PASSPHRASE, or are asked for on the terminal.
+// Options: -o/--output <file> (default: standard output), --iterations <n>,
+// --no-header (new envelopes get the readable header unless this is given), --device <name>.
+import { readFileSync, writeFileSync } from 'node:fs';
+import process from 'node:process';
+import { parseArgs } from 'node:util';
+import {
+  PBKDF2_ITERATIONS, decryptText, encryptText, verifyChecksum, encryptBackup, readBackupEnvelope, validateDataset, mergeDatasets, summarizeDataset,
+  buildAllUsersCsv, liveRecords, withoutRemovedUsers, recordsForEvent, roundMl, STANDARD_DRINK_GRAMS,
+} from '../src/tracker/index.js';
+
+const USAGE = `Usage: backup-tool <command> <file...> [options]
+
+Commands:
+  info <file>           Show a backup's format, key derivation and readable header
+  decrypt <file>        Write the decrypted dataset (or text)
+  reencrypt <file>      Encrypt the same data (or text) with a new passphrase
+  merge <file...>       Merge backups from several devices into one dataset
+  stats <file...>       Print summary statistics (of the merged data, for several files)
+  csv <file...>         Write all users' records as CSV
+
+Options:
+  -o, --output <file>   Write here instead of to standard output
+  --encrypt             merge: encrypt the result with a new passphrase
+  --iterations <n>      PBKDF2 iterations for new files (default ${PBKDF2_ITERATIONS})
+  --no-header           Leave the readable header out of new files
+  --device <name>       Device name for the readable header
+  --event <id>          csv: only the records of this event
+`;
+
+class UsageError extends Error {}
+
+// Read a passphrase from the terminal without echoing it
+const askPassphrase = (prompt) => new Promise((resolve, reject) => {
+  const { stdin, stderr } = process;
+  if (!stdin.isTTY) {
+    reject(new Error('No passphrase: set BACKUP_PASSPHRASE / BACKUP_NEW_PASSPHRASE or run this in a terminal.'));
+    return;
+  }
+  stderr.write(prompt);
+  let value = '';
+  const onData = (chunk) => {
+    for (const ch of chunk.toString('utf8')) {
+      if (ch === '\r' || ch === '\n') {
+        stdin.setRawMode(false);
+        stdin.pause();
+        stdin.off('data', onData);
+        stderr.write('\n');
+        resolve(value);
+        return;
+      }
+      if (ch === '\u0003') {
+        stdin.setRawMode(false);
+        stderr.write('\n');
+        process.exit(130);
+      }
+      value = ch === '\u007f' || ch === '\b' ? value.slice(0, -1) : value + ch;
+    }
+  };
+  stdin.setRawMode(true);
+  stdin.resume();
+  stdin.on('data', onData);
+});
+
+// Passphrases are asked for once and reused for every file that opens with them
+const passphrases = {};
+const getPassphrase = async (kind) => {
+  if (passphrases[kind] === undefined) {
+    const env = kind === 'new' ? process.env.BACKUP_NEW_PASSPHRASE : process.env.BACKUP_PASSPHRASE;
+    if (env) passphrases[kind] = env;
+    else {
+      const first = await askPassphrase(kind === 'new' ? 'New passphrase: ' : 'Passphrase: ');
+      if (kind === 'new' && first !== await askPassphrase('Confirm the new passphrase: ')) throw new Error("Passphrases don't match.");
+      passphrases[kind] = first;
+    }
+  }
+  return passphrases[kind];
+};
+
+// An input file's plaintext: decrypted for a backup, as it is for plain JSON.
+// A file the shared passphrase doesn't open gets its own prompt on a terminal.
+const readPlaintext = async (file) => {
+  const text = readFileSync(file, 'utf8');
+  let json;
+  try { json = JSON.parse(text); } catch { throw new Error(`${file}: not a JSON file.`); }
+  if (json && json.users && !json.ciphertext) return text;
+  let payload;
+  try { payload = readBackupEnvelope(text); } catch (err) { throw new Error(`${file}: ${err.message}`); }
+  if (!(await verifyChecksum(payload))) throw new Error(`${file}: the file is damaged (its checksum does not match).`);
+  const passphrase = await getPassphrase('current');
+  try {
+    return await decryptText(payload, passphrase);
+  } catch {
+    if (process.env.BACKUP_PASSPHRASE || !process.stdin.isTTY) throw new Error(`${file}: incorrect passphrase, or the file is corrupted.`);
+  }
+  try {
+    return await decryptText(payload, await askPassphrase(`Passphrase for ${file}: `));
+  } catch {
+    throw new Error(`${file}: incorrect passphrase, or the file is corrupted.`);
+  }
+};
+
+const parseDataset = (file, text) => {
+  try {
+    return validateDataset(JSON.parse(text));
+  } catch (err) {
+    throw new Error(`${file}: ${err instanceof SyntaxError ? 'the decrypted data is not a dataset.' : err.message}`);
+  }
+};
+
+const readDataset = async (file) => parseDataset(file, await readPlaintext(file));
+
+// One dataset from the input files (merged when there are several). They are
+// read one at a time, so each can ask for its own passphrase.
+const readDatasets = async (files) => {
+  const datasets = [];
+  for (const file of files) datasets.push(await readDataset(file));
+  return datasets.length === 1 ? datasets[0] : mergeDatasets(datasets);
+};
+
+const write = (output, text) => {
+  if (output) {
+    writeFileSync(output, text);
+    process.stderr.write(`Wrote ${output}\n`);
+  } else {
+    process.stdout.write(text.endsWith('\n') ? text : `${text}\n`);
+  }
+};
+
+const encryptOptions = (values) => {
+  const iterations = values.iterations === undefined ? PBKDF2_ITERATIONS : Number(values.iterations);
+  return { iterations, header: !values['no-header'], device: values.device || '' };
+};
+
+const writeEncrypted = async (dataset, values) => {
+  const payload = await encryptBackup(dataset, await getPassphrase('new'), encryptOptions(values));
+  write(values.output, JSON.stringify(payload, null, 2));
+};
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+const formatInfo = (payload, checksumOk) => {
+  const lines = [
+    `Format:      ${payload.format || 'unknown'} version ${payload.version || 1}`,
+    `Encryption:  ${payload.algorithm || 'AES-256-GCM'}, ${payload.kdf || 'PBKDF2-SHA256'} with ${payload.iterations} iterations`,
+    `Compression: ${payload.compression || 'none'}`,
+    `Checksum:    ${payload.checksum ? (checksumOk ? 'OK' : 'MISMATCH (the file is damaged)') : 'none'}`,
+  ];
+  const h = payload.header;
+  if (!h) lines.push('Header:      none (the contents are only known after decrypting)');
+  else {
+    lines.push(
+      `Device:      ${h.device || '(unnamed)'}`,
+      `Exported:    ${h.exportedAt || 'unknown'}`,
+      `Contents:    ${plural(h.userCount, 'user')}, ${plural(h.recordCount, 'record')}`,
+      `Records:     ${h.firstRecordAt ? `${h.firstRecordAt} to ${h.lastRecordAt}` : 'none'}`,
+    );
+  }
+  return lines.join('\n');
+};
+
+const formatStats = (dataset) => {
+  const s = summarizeDataset(dataset);
+  return [
+    `Users:          ${s.userCount}`,
+    `Records:        ${s.recordCount} (${s.deletedCount} deleted)`,
+    `Total:          ${roundMl(s.totalMl)} ml`,
+    `Pure alcohol:   ${roundMl(s.grams)} g (${roundMl(s.grams / STANDARD_DRINK_GRAMS)} standard drinks${s.unknown ? `; ${plural(s.unknown, 'record')} without an ABV` : ''})`,
+    `First record:   ${s.firstRecordAt || 'none'}`,
+    `Last record:    ${s.lastRecordAt || 'none'}`,
+    `Events:         ${s.eventCount}`,
+    `Audit entries:  ${s.auditCount}`,
+    'Records by device:',
+    ...(s.devices.length > 0 ? s.devices.map((d) => `  ${d.device}: ${d.recordCount}`) : ['  none']),
+  ].join('\n');
+};
+
+const run = async (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o' },
+      encrypt: { type: 'boolean' },
+      iterations: { type: 'string' },
+      'no-header': { type: 'boolean' },
+      device: { type: 'string' },
+      event: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+  const [command, ...files] = positionals;
+  if (values.help || !command) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  if (files.length === 0) throw new UsageError(`${command}: name at least one file.`);
+  const single = () => {
+    if (files.length > 1) throw new UsageError(`${command} takes one file.`);
+    return files[0];
+  };
+
+  if (command === 'info') {
+    const file = single();
+    const payload = readBackupEnvelope(readFileSync(file, 'utf8'));
+    write(values.output, formatInfo(payload, await verifyChecksum(payload)));
+  } else if (command === 'decrypt') {
+    const text = await readPlaintext(single());
+    let pretty = text;
+    try { pretty = JSON.stringify(JSON.parse(text), null, 2); } catch { /* an encrypted CSV stays as it is */ }
+    write(values.output, pretty);
+  } else if (command === 'reencrypt') {
+    const file = single();
+    const text = await readPlaintext(file);
+    let isJson = true;
+    try { JSON.parse(text); } catch { isJson = false; }
+    if (isJson) await writeEncrypted(parseDataset(file, text), values);
+    else {
+      // An encrypted CSV is re-encrypted as it is; the readable header only describes datasets
+      const payload = await encryptText(text, await getPassphrase('new'), { iterations: encryptOptions(values).iterations });
+      write(values.output, JSON.stringify(payload, null, 2));
+    }
+  } else if (command === 'merge') {
+    const merged = files.length === 1 ? mergeDatasets([await readDataset(files[0])]) : await readDatasets(files);
+    if (values.encrypt) await writeEncrypted(merged, values);
+    else write(values.output, JSON.stringify(merged, null, 2));
+  } else if (command === 'stats') {
+    write(values.output, formatStats(await readDatasets(files)));
+  } else if (command === 'csv') {
+    const dataset = await readDatasets(files);
+    // Like the app's export: no deleted records, and only the event's users when scoped to one
+    const live = Object.entries(withoutRemovedUsers(dataset.users)).map(([id, recs]) => [id, liveRecords(recs)]);
+    const users = values.event
+      ? Object.fromEntries(live.map(([id, recs]) => [id, recordsForEvent(recs, values.event)]).filter(([, recs]) => recs.length > 0))
+      : Object.fromEntries(live);
+    write(values.output, buildAllUsersCsv(users));
+  } else {
+    throw new UsageError(`Unknown command "${command}".`);
+  }
+};
+
+run(process.argv.slice(2)).catch((err) => {
+  process.stderr.write(`${err.message}\n`);
+  if (err instanceof UsageError || (err && err.code && err.code.startsWith('ERR_PARSE_ARGS'))) process.stderr.write(`\n${USAGE}`);
+  process.exit(1);
+});
@@ -0,0 +1,93 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import process from 'node:process';
+import { createTracker, decryptText, encryptBackup, encryptText, readBackupEnvelope, PBKDF2_ITERATION_LIMITS } from '../src/tracker/index.js';
+
+const TOOL = new URL('./backup-tool.js', import.meta.url).pathname;
+const now = new Date('2024-06-01T20:00:00.000Z');
+const iterations = PBKDF2_ITERATION_LIMITS.min;
+
+// Fixture files: an encrypted backup from each of two bars, one as plain JSON,
+// and an encrypted CSV
+const dir = mkdtempSync(join(tmpdir(), 'backup-tool-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+const file = (name) => join(dir, name);
+
+const bar1 = createTracker({ deviceId: 'bar-1' });
+bar1.addRecord('alex', { amount: 330, timestamp: new Date('2024-06-01T19:00:00Z'), beverage: { id: 'beer', name: 'Beer', abv: 5 } }, now);
+bar1.addRecord('sam', { amount: 40, timestamp: new Date('2024-06-01T19:30:00Z') }, now);
+const bar2 = createTracker({ deviceId: 'bar-2' });
+bar2.addRecord('kim', { amount: 500, timestamp: new Date('2024-06-01T18:00:00Z') }, now);
+const dataset1 = bar1.exportData(now);
+writeFileSync(file('bar1.json'), JSON.stringify(await encryptBackup(dataset1, 'secret', { iterations, header: true, device: 'Bar 1' })));
+writeFileSync(file('bar2.json'), JSON.stringify(bar2.exportData(now)));
+writeFileSync(file('users.csv.json'), JSON.stringify(await encryptText('User ID,Amount (ml)\nalex,330\n', 'secret', { iterations })));
+
+const run = (args, env = {}) => spawnSync(process.execPath, [TOOL, ...args], {
+  encoding: 'utf8',
+  env: { ...process.env, BACKUP_PASSPHRASE: 'secret', BACKUP_NEW_PASSPHRASE: 'new secret', ...env },
+});
+
+test('info shows the envelope and readable header without a passphrase', () => {
+  const { status, stdout } = run(['info', file('bar1.json')], { BACKUP_PASSPHRASE: '' });
+  assert.equal(status, 0);
+  assert.match(stdout, /Checksum:\s+OK/);
+  assert.match(stdout, /Device:\s+Bar 1/);
+  assert.match(stdout, /Contents:\s+2 users, 2 records/);
+});
+
+test('decrypt writes the dataset', () => {
+  const { status } = run(['decrypt', file('bar1.json'), '-o', file('decrypted.json')]);
+  assert.equal(status, 0);
+  assert.deepEqual(JSON.parse(readFileSync(file('decrypted.json'), 'utf8')).users, dataset1.users);
+});
+
+test('reencrypt uses the new passphrase, for datasets and encrypted CSVs', async () => {
+  assert.equal(run(['reencrypt', file('bar1.json'), '-o', file('new.json'), '--iterations', String(iterations)]).status, 0);
+  const payload = readBackupEnvelope(readFileSync(file('new.json'), 'utf8'));
+  assert.equal(payload.header.recordCount, 2);
+  assert.deepEqual(JSON.parse(await decryptText(payload, 'new secret')).users, dataset1.users);
+  await assert.rejects(decryptText(payload, 'secret'));
+
+  assert.equal(run(['reencrypt', file('users.csv.json'), '-o', file('new.csv.json'), '--iterations', String(iterations)]).status, 0);
+  const csv = readBackupEnvelope(readFileSync(file('new.csv.json'), 'utf8'));
+  assert.equal(await decryptText(csv, 'new secret'), 'User ID,Amount (ml)\nalex,330\n');
+});
+
+test('merge, stats and csv combine backups from several devices', () => {
+  const merged = run(['merge', file('bar1.json'), file('bar2.json')]);
+  assert.equal(merged.status, 0);
+  assert.deepEqual(Object.keys(JSON.parse(merged.stdout).users).sort(), ['alex', 'kim', 'sam']);
+
+  const stats = run(['stats', file('bar1.json'), file('bar2.json')]);
+  assert.equal(stats.status, 0);
+  assert.match(stats.stdout, /Users:\s+3/);
+  assert.match(stats.stdout, /Records:\s+3 \(0 deleted\)/);
+  assert.match(stats.stdout, /Total:\s+870 ml/);
+  assert.match(stats.stdout, /bar-1: 2/);
+
+  const csv = run(['csv', file('bar1.json'), file('bar2.json')]);
+  assert.equal(csv.status, 0);
+  const lines = csv.stdout.trim().split('\n');
+  assert.match(lines[0], /^User ID,Date,Time,Amount \(ml\)/);
+  assert.ok(lines.some((line) => line.startsWith('kim,') && line.includes(',500,')));
+  assert.match(lines[lines.length - 1], /^All users,.*Grand total \(3 users, 3 records\)/);
+});
+
+test('a wrong passphrase and usage errors exit with status 1', () => {
+  const wrong = run(['decrypt', file('bar1.json')], { BACKUP_PASSPHRASE: 'wrong' });
+  assert.equal(wrong.status, 1);
+  assert.match(wrong.stderr, /incorrect passphrase/);
+  assert.equal(wrong.stdout, '');
+
+  const noFile = run(['stats']);
+  assert.equal(noFile.status, 1);
+  assert.match(noFile.stderr, /name at least one file[\s\S]*Usage: backup-tool/);
+  assert.match(run(['reencrypt', file('bar1.json'), file('bar2.json')]).stderr, /takes one file/);
+  assert.match(run(['shred', file('bar1.json')]).stderr, /Unknown command "shred"/);
+  assert.match(run(['info', file('bar1.json'), '--bogus']).stderr, /Usage: backup-tool/);
+});
@@ -0,0 +1,107 @@
+// Reference sync server for the app's multi-device sync. It keeps the shared
+// change log in a JSON file; run it on a machine every kiosk can reach:
+//
+//   npm run sync-server                       # http://localhost:8787
+//   PORT=9000 SYNC_DATA=/var/lib/tracker.json SYNC_TOKEN=secret npm run sync-server
+//
+// Protocol (JSON; with SYNC_TOKEN set, requests need "Authorization: Bearer <token>"):
+//   POST /changes  { deviceId, deviceName, changes: [{ userId, record } | { alias: { alias, userId, at } }] } -> { accepted, cursor }
+//   GET  /changes?since=<cursor>&deviceId=<id>&deviceName=<name>           -> { changes, cursor, more, devices }
+import { createServer } from 'node:http';
+import { Buffer } from 'node:buffer';
+import { existsSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import process from 'node:process';
+import { createSyncLog } from '../src/tracker/sync.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.SYNC_DATA || 'sync-data.json';
+const TOKEN = process.env.SYNC_TOKEN || '';
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+// Pulls only update the devices' last-seen times; those are written at most this often
+const DEVICE_SAVE_SECONDS = 60;
+
+const log = createSyncLog(existsSync(DATA_FILE) ? JSON.parse(readFileSync(DATA_FILE, 'utf8')) : {});
+
+// Write via a temporary file so a crash mid-write can't corrupt the log
+let saveTimer = null;
+const save = () => {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  writeFileSync(`${DATA_FILE}.tmp`, JSON.stringify(log.toJSON()));
+  renameSync(`${DATA_FILE}.tmp`, DATA_FILE);
+};
+
+// Save the last-seen times later (or with the next push)
+const saveSoon = () => {
+  if (!saveTimer) saveTimer = setTimeout(save, DEVICE_SAVE_SECONDS * 1000);
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      // Answered with 413; the rest of the upload is read and dropped
+      reject(Object.assign(new Error(`Request body is larger than ${MAX_BODY_BYTES / (1024 * 1024)} MB.`), { status: 413 }));
+      req.removeAllListeners('data');
+      req.resume();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  if (req.method === 'OPTIONS') { send(res, 204); return; }
+  if (url.pathname !== '/changes') { send(res, 404, { error: 'Not found.' }); return; }
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) { send(res, 401, { error: 'Wrong or missing sync token.' }); return; }
+  try {
+    if (req.method === 'GET') {
+      const { searchParams } = url;
+      send(res, 200, log.pull({
+        deviceId: searchParams.get('deviceId') || undefined,
+        deviceName: searchParams.get('deviceName') || undefined,
+        since: Number(searchParams.get('since')) || 0,
+      }));
+      saveSoon(); // the device list changed (last seen)
+      return;
+    }
+    if (req.method === 'POST') {
+      let text;
+      try { text = await readBody(req); } catch (err) { send(res, err.status || 400, { error: err.message }); return; }
+      let body;
+      try { body = JSON.parse(text); } catch { send(res, 400, { error: 'Body must be JSON.' }); return; }
+      const result = log.push(body || {});
+      save();
+      send(res, 200, result);
+      return;
+    }
+    send(res, 405, { error: 'Method not allowed.' });
+  } catch (err) {
+    send(res, 400, { error: err && err.message ? err.message : 'Bad request.' });
+  }
+});
+
+// Write pending last-seen times before stopping
+['SIGINT', 'SIGTERM'].forEach((signal) => process.on(signal, () => {
+  if (saveTimer) save();
+  process.exit(0);
+}));
+
+server.listen(PORT, () => {
+  console.log(`Sync server listening on http://localhost:${PORT} (data: ${DATA_FILE}${TOKEN ? ', token required' : ''})`);
+});
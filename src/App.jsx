@@ -1,23 +1,31 @@
-import { useState, useEffect } from 'react';
-import { formatDistanceToNow, subHours, subMinutes, differenceInMinutes, addMinutes, format } from 'date-fns';
-import { Download, Upload, Settings, X, CheckCircle2, Clock, AlertTriangle, Sun, Moon, RotateCcw, Trash2, HelpCircle, Eye, EyeOff } from 'lucide-react';
-import { ResponsiveContainer, BarChart, Bar, XAxis, LabelList } from 'recharts';
-
-// Utility functions for localStorage
-const getStoredUsers = () => {
-  const users = localStorage.getItem('alcoholTracker');
-  return users ? JSON.parse(users) : {};
-};
+import { useState, useEffect, useRef } from 'react';
+import { formatDistanceToNow, subHours, format } from 'date-fns';
+import { Download, Upload, Settings, X, CheckCircle2, Clock, AlertTriangle, Sun, Moon, RotateCcw, Trash2, HelpCircle, Eye, EyeOff, Pencil, Undo2, FileSpreadsheet, Lock, Plus, SlidersHorizontal, Ban, Users, Merge, RefreshCw, Cloud, CloudOff, CalendarDays, LayoutGrid, ExternalLink, ArrowLeft, Bell, BellRing, ChartColumn, ScrollText, ArchiveRestore, DatabaseBackup, QrCode, ScanLine, Printer } from 'lucide-react';
+import { ResponsiveContainer, BarChart, Bar, AreaChart, Area, XAxis, LabelList, Tooltip } from 'recharts';
+import {
+  openStore, getStoredUsers, saveUsers, onStoreError, onUsersSaved, onExternalChange, getStoredAudit, appendAudit,
+  getStoredSyncState, saveSyncState,
+  saveSnapshot, listSnapshots, loadSnapshot, deleteSnapshots, saveAutoBackup, listAutoBackups, loadAutoBackup, deleteAutoBackups,
+} from './store';
+import { registerServiceWorker } from './serviceWorker';
+import {
+  createTracker, normalizeId, aliasesByUser, buildRecentChartData, CAPS, DEFAULT_CAPS, DEFAULT_BEVERAGES, STANDARD_DRINK_GRAMS,
+  pureAlcoholGrams, summarizeAlcohol, WIDMARK_R, hasBacProfile, estimateBac, estimateSoberTime, buildBacProjection,
+  DEFAULT_WAITING_MINUTES, DEFAULT_ALMOST_READY_PCT, DEFAULT_CONFIRM_PCT, OVERRIDE_LIMITS, isValidOverride, getOverrides,
+  PBKDF2_ITERATIONS, encryptText, encryptBackup, decryptBackup, readBackupHeader, hashPin, verifyPin, roundMl, buildUserCsv, buildAllUsersCsv,
+  createSync, createHttpSyncBackend, recordsForEvent, sumAmounts, calculateRecentConsumption, IMPORT_FIELDS, DATE_FORMATS, readTable, guessMapping, guessDateFormat, mapRows,
+  ANALYTICS_RANGES, getRangeBounds, bucketSizesFor, defaultBucketMinutes, AUDIT_ACTIONS, auditActionLabel, buildAuditCsv,
+  snapshotReasonLabel, DEFAULT_SNAPSHOT_LIMIT, MAX_SNAPSHOT_LIMIT, snapshotsToPrune,
+  BACKUP_SCHEDULE_LIMITS, normalizeBackupSchedule, isBackupDue, isDownloadOverdue, buildAutoBackup,
+  badgeQr, SCANNER_IDLE_MS, nextKeyBurst, scannedCode,
+} from './tracker';
 
+// Utility functions for localStorage (settings; users and records live in ./store)
 const getStoredWaitingTime = () => {
   const time = localStorage.getItem('waitingTime');
   return time ? parseInt(time, 10) : 60; // Default 60 minutes
 };
 
-const saveUsers = (users) => {
-  localStorage.setItem('alcoholTracker', JSON.stringify(users));
-};
-
 const saveWaitingTime = (minutes) => {
   localStorage.setItem('waitingTime', minutes.toString());
 };
@@ -38,66 +46,415 @@ const getInitialTheme = () => {
   return 'light';
 };
 
-// Normalize a user ID so entry/search is case-insensitive
-const normalizeId = (id) => id.trim().toLowerCase();
-
 // Preset amount (ml) shortcuts for quick entry
 const AMOUNT_PRESETS = [0.25, 0.5, 0.75, 0.8, 0.9, 1, 1.2, 1.5];
 
-// Default settings values (used by "Reset to defaults")
-const DEFAULT_WAITING_MINUTES = 60;
-const DEFAULT_ALMOST_READY_PCT = 11;
-const DEFAULT_CONFIRM_PCT = 89;
-
-const calculateRecentConsumption = (records, hoursAgo) => {
-  const now = new Date();
-  const cutoffTime = subHours(now, hoursAgo);
-  return records
-    .filter(record => new Date(record.timestamp) > cutoffTime)
-    .reduce((sum, record) => sum + record.amount, 0);
+// Beverage catalog (name, ABV %, default serving in ml), persisted in localStorage
+const getStoredBeverages = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem('beverages'));
+    if (Array.isArray(stored)) return stored;
+  } catch { /* ignore */ }
+  return DEFAULT_BEVERAGES;
+};
+
+const saveBeverages = (beverages) => {
+  localStorage.setItem('beverages', JSON.stringify(beverages));
+};
+
+// Optional per-user profiles (body weight, sex, setting overrides), keyed by normalized user ID
+const getStoredProfiles = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem('userProfiles'));
+    if (stored && typeof stored === 'object' && !Array.isArray(stored)) return stored;
+  } catch { /* ignore */ }
+  return {};
+};
+
+const saveProfiles = (profiles) => {
+  localStorage.setItem('userProfiles', JSON.stringify(profiles));
+};
+
+// User ID aliases ({ [alias]: userId }), persisted in localStorage
+const getStoredAliases = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem('userAliases'));
+    if (stored && typeof stored === 'object' && !Array.isArray(stored)) return stored;
+  } catch { /* ignore */ }
+  return {};
+};
+
+const saveAliases = (aliases) => {
+  localStorage.setItem('userAliases', JSON.stringify(aliases));
+};
+
+// Events (named sessions such as one party) and the one new records are tagged with
+const getStoredEvents = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem('events'));
+    if (Array.isArray(stored)) return stored;
+  } catch { /* ignore */ }
+  return [];
+};
+
+const saveEvents = (events) => {
+  localStorage.setItem('events', JSON.stringify(events));
+};
+
+const getStoredActiveEvent = () => localStorage.getItem('activeEventId') || null;
+
+const saveActiveEvent = (id) => {
+  if (id) localStorage.setItem('activeEventId', id);
+  else localStorage.removeItem('activeEventId');
+};
+
+// Status board: how far back (hours) a user's last drink counts as active
+const BOARD_HOURS_OPTIONS = [2, 4, 6, 12, 24];
+const BOARD_REFRESH_SECONDS = 15;
+
+const getStoredBoardHours = () => {
+  const n = parseInt(localStorage.getItem('boardHours'), 10);
+  return BOARD_HOURS_OPTIONS.includes(n) ? n : 6;
+};
+
+const saveBoardHours = (hours) => {
+  localStorage.setItem('boardHours', String(hours));
+};
+
+// Board states, with their labels and colors
+const BOARD_STATES = [
+  { key: 'wait', label: 'Please wait', chip: 'bg-red-50 text-red-800 dark:bg-red-900/25 dark:text-red-200', bar: 'bg-red-500' },
+  { key: 'almost-ready', label: 'Almost ready', chip: 'bg-amber-50 text-amber-900 dark:bg-amber-900/25 dark:text-amber-200', bar: 'bg-amber-400' },
+  { key: 'ready', label: 'Ready', chip: 'bg-green-50 text-green-800 dark:bg-green-900/25 dark:text-green-200', bar: 'bg-green-500' },
+];
+
+// Camera scanning of badges needs the browser's barcode detector (Chrome and
+// Edge on Android, ChromeOS and macOS); USB scanners work everywhere
+const cameraScanSupported = typeof window !== 'undefined' && 'BarcodeDetector' in window && !!navigator.mediaDevices;
+const CAMERA_SCAN_INTERVAL_MS = 250;
+
+// Eligibility alerts: the users staff are watching until their wait is over,
+// and how staff are told (a browser notification and/or a chime), persisted in localStorage
+const getStoredWatchedUsers = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem('watchedUsers'));
+    if (Array.isArray(stored)) return stored.filter((id) => typeof id === 'string');
+  } catch { /* ignore */ }
+  return [];
+};
+
+const saveWatchedUsers = (ids) => {
+  localStorage.setItem('watchedUsers', JSON.stringify(ids));
+};
+
+const DEFAULT_ALERT_SETTINGS = { notify: false, chime: false };
+
+const getStoredAlertSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem('eligibilityAlerts'));
+    if (stored && typeof stored === 'object') return { notify: !!stored.notify, chime: !!stored.chime };
+  } catch { /* ignore */ }
+  return DEFAULT_ALERT_SETTINGS;
+};
+
+const saveAlertSettings = (settings) => {
+  localStorage.setItem('eligibilityAlerts', JSON.stringify(settings));
+};
+
+const notificationsSupported = () => typeof Notification !== 'undefined';
+
+// Two short rising notes through the Web Audio API
+const playChime = () => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return;
+  const ctx = new AudioContextClass();
+  [880, 1320].forEach((frequency, i) => {
+    const oscillator = ctx.createOscillator();
+    const gain = ctx.createGain();
+    const start = ctx.currentTime + i * 0.25;
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(0.3, start + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.5);
+    oscillator.connect(gain).connect(ctx.destination);
+    oscillator.start(start);
+    oscillator.stop(start + 0.5);
+  });
+  setTimeout(() => ctx.close(), 1000);
+};
+
+const notifyReady = (id) => {
+  if (!notificationsSupported() || Notification.permission !== 'granted') return;
+  try {
+    new Notification(`${id} can have another drink`, { body: 'Their wait is over.', tag: `ready-${id}` });
+  } catch { /* some mobile browsers only show notifications from a service worker */ }
+};
+
+// Seconds as a countdown: "4:05", or "1:04:05" from an hour up
+const formatCountdown = (seconds) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  return h > 0 ? `${h}:${pad(m)}:${pad(seconds % 60)}` : `${m}:${pad(seconds % 60)}`;
+};
+
+// Minutes as "45 min", "1 h 30 min" or "2 days"
+const formatMinutes = (minutes) => {
+  if (minutes >= 1440 && minutes % 1440 === 0) return minutes === 1440 ? 'day' : `${minutes / 1440} days`;
+  if (minutes < 60) return `${minutes} min`;
+  const h = Math.floor(minutes / 60);
+  return minutes % 60 ? `${h} h ${minutes % 60} min` : `${h} h`;
+};
+
+// Consumption caps (ml; null = no cap), persisted in localStorage
+const getStoredCaps = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem('consumptionCaps'));
+    if (stored && typeof stored === 'object') return { ...DEFAULT_CAPS, ...stored };
+  } catch { /* ignore */ }
+  return DEFAULT_CAPS;
+};
+
+const saveCaps = (caps) => {
+  localStorage.setItem('consumptionCaps', JSON.stringify(caps));
+};
+
+// Optional admin PIN (salted PBKDF2 hash) and its failed-attempt lockout, persisted in localStorage
+const PIN_PATTERN = /^\d{4,12}$/;
+const PIN_MAX_ATTEMPTS = 5;
+const PIN_LOCKOUT_MINUTES = 5;
+const ADMIN_SESSION_MINUTES = 5; // an unlock lasts this long (or until Settings is closed)
+
+const getStoredAdminPin = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem('adminPin'));
+    if (stored && stored.salt && stored.hash) return stored;
+  } catch { /* ignore */ }
+  return null;
+};
+
+const saveAdminPin = (pin) => {
+  if (pin) localStorage.setItem('adminPin', JSON.stringify(pin));
+  else localStorage.removeItem('adminPin');
+};
+
+const getPinLockout = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem('adminPinLockout'));
+    if (stored && typeof stored === 'object') return { failures: stored.failures || 0, lockedUntil: stored.lockedUntil || null };
+  } catch { /* ignore */ }
+  return { failures: 0, lockedUntil: null };
+};
+
+const savePinLockout = (lockout) => {
+  localStorage.setItem('adminPinLockout', JSON.stringify(lockout));
+};
+
+// Multi-device sync: server settings, this device's ID and the sync state
+// (cursor + outbox), persisted in localStorage
+const SYNC_INTERVAL_SECONDS = 30;
+const SYNC_DEBOUNCE_MS = 1500; // push a local change this long after it happens
+
+const DEFAULT_SYNC_SETTINGS = { enabled: false, url: '', token: '', deviceName: '' };
+
+const getStoredSyncSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem('syncSettings'));
+    if (stored && typeof stored === 'object') return { ...DEFAULT_SYNC_SETTINGS, ...stored };
+  } catch { /* ignore */ }
+  return DEFAULT_SYNC_SETTINGS;
+};
+
+const saveSyncSettings = (settings) => {
+  localStorage.setItem('syncSettings', JSON.stringify(settings));
 };
 
-// Build the "last 6 hours" chart data as rolling windows ending at now
-const CHART_BUCKET_MINUTES = 30;
-const CHART_BUCKETS = 12; // 12 x 30 min = 6 hours
-
-const buildRecentChartData = (records) => {
-  const now = new Date();
-  const buckets = [];
-  for (let i = CHART_BUCKETS - 1; i >= 0; i--) {
-    const end = subMinutes(now, i * CHART_BUCKET_MINUTES);
-    const start = subMinutes(end, CHART_BUCKET_MINUTES);
-    buckets.push({ start, end, total: 0 });
+// Start a sync from a timer, an event or a button. What went wrong is shown in
+// the sync status, so a rejected run is only kept from going unhandled.
+const syncQuietly = (engine) => () => engine.sync().catch(() => {});
+
+const getDeviceId = () => {
+  let id = localStorage.getItem('syncDeviceId');
+  if (!id) {
+    id = `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    localStorage.setItem('syncDeviceId', id);
   }
-  records.forEach((r) => {
-    const t = new Date(r.timestamp);
-    for (const b of buckets) {
-      if (t > b.start && t <= b.end) {
-        b.total += r.amount;
-        break;
-      }
+  return id;
+};
+
+// Automatic backups: the schedule (see tracker/autobackup.js), when the last
+// automatic backup was made and when a backup was last downloaded. The
+// passphrase is never stored; it lives in App state for the session only.
+const BACKUP_CHECK_SECONDS = 30;
+
+const getStoredBackupSchedule = () => {
+  try {
+    return normalizeBackupSchedule(JSON.parse(localStorage.getItem('backupSchedule')));
+  } catch {
+    return normalizeBackupSchedule(null);
+  }
+};
+
+const saveBackupSchedule = (schedule) => {
+  localStorage.setItem('backupSchedule', JSON.stringify(schedule));
+};
+
+// How backups (and encrypted CSVs) are written: with the readable header or
+// not, and the PBKDF2 iteration count (more is slower to open, and to guess)
+const BACKUP_ITERATION_OPTIONS = [
+  { value: 100000, label: 'Fast (100,000 iterations)' },
+  { value: PBKDF2_ITERATIONS, label: `Standard (${PBKDF2_ITERATIONS.toLocaleString('en-US')} iterations)` },
+  { value: 600000, label: 'Strong (600,000 iterations)' },
+  { value: 1000000, label: 'Strongest (1,000,000 iterations)' },
+];
+
+const DEFAULT_BACKUP_FORMAT = { header: true, iterations: PBKDF2_ITERATIONS };
+
+const getStoredBackupFormat = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem('backupFormat'));
+    if (stored && typeof stored === 'object') {
+      return {
+        header: stored.header !== false,
+        iterations: BACKUP_ITERATION_OPTIONS.some((o) => o.value === stored.iterations) ? stored.iterations : PBKDF2_ITERATIONS,
+      };
     }
-  });
-  return buckets.map((b) => ({ time: format(b.end, 'h:mm'), ml: Math.round(b.total * 100) / 100 }));
+  } catch { /* ignore */ }
+  return DEFAULT_BACKUP_FORMAT;
+};
+
+const saveBackupFormat = (backupFormat) => {
+  localStorage.setItem('backupFormat', JSON.stringify(backupFormat));
+};
+
+// encryptBackup options for the stored format; the header names the device as sync does
+const backupOptions = () => ({ ...getStoredBackupFormat(), device: getStoredSyncSettings().deviceName });
+
+const getLastAutoBackupAt = () => localStorage.getItem('lastAutoBackupAt');
+
+const saveLastAutoBackupAt = (at) => {
+  localStorage.setItem('lastAutoBackupAt', at);
+};
+
+// Records added on this device since the last automatic backup
+const getRecordsSinceBackup = () => parseInt(localStorage.getItem('recordsSinceBackup'), 10) || 0;
+
+const saveRecordsSinceBackup = (n) => {
+  localStorage.setItem('recordsSinceBackup', String(n));
 };
 
-const getWaitingTime = (lastConsumptionTime, waitingMinutes) => {
-  const now = new Date();
-  const waitTimeAfterLast = addMinutes(new Date(lastConsumptionTime), waitingMinutes);
-  const waitMinutes = differenceInMinutes(waitTimeAfterLast, now);
-  return waitMinutes > 0 ? waitMinutes : 0;
+const getLastBackupDownloadAt = () => localStorage.getItem('lastBackupDownloadAt');
+
+const markBackupDownloaded = () => {
+  localStorage.setItem('lastBackupDownloadAt', new Date().toISOString());
 };
 
-// Build the export payload: the full dataset (all users + records) as JSON.
-// Lossless and import-ready — restores the exact dataset on another device.
-const buildDataExport = () => JSON.stringify({
-  app: 'alcohol-tracker',
-  type: 'dataset',
-  version: 1,
-  exportedAt: new Date().toISOString(),
-  users: getStoredUsers(),
+// The tracker core, running on the IndexedDB store with the persisted settings
+const tracker = createTracker({
+  storage: {
+    getUsers: getStoredUsers,
+    saveUsers,
+    getProfiles: getStoredProfiles,
+    saveProfiles,
+    getBeverages: getStoredBeverages,
+    saveBeverages,
+    getAliases: getStoredAliases,
+    saveAliases,
+    getEvents: getStoredEvents,
+    saveEvents,
+    getAudit: getStoredAudit,
+    appendAudit,
+  },
+  settings: () => ({
+    waitingMinutes: getStoredWaitingTime(),
+    almostReadyPct: getStoredPct('almostReadyPct', DEFAULT_ALMOST_READY_PCT),
+    confirmPct: getStoredPct('confirmPct', DEFAULT_CONFIRM_PCT),
+    caps: getStoredCaps(),
+  }),
+  deviceId: getDeviceId(),
 });
 
+// Automatic snapshots: how many are kept on this device (the oldest go first)
+const getStoredSnapshotLimit = () => {
+  const n = parseInt(localStorage.getItem('snapshotLimit'), 10);
+  return n >= 1 && n <= MAX_SNAPSHOT_LIMIT ? n : DEFAULT_SNAPSHOT_LIMIT;
+};
+
+const saveSnapshotLimit = (limit) => {
+  localStorage.setItem('snapshotLimit', String(limit));
+};
+
+// Store a snapshot of the current data, then drop the ones beyond the limit
+const takeSnapshot = async (reason) => {
+  await saveSnapshot(tracker.createSnapshot(reason));
+  await deleteSnapshots(snapshotsToPrune(await listSnapshots(), getStoredSnapshotLimit()));
+};
+
+// Settings whose changes go into the audit log. The admin PIN is logged only as
+// set or not, and the sync token not at all.
+const readAuditedSettings = () => {
+  const sync = getStoredSyncSettings();
+  return {
+    waitingMinutes: getStoredWaitingTime(),
+    almostReadyPct: getStoredPct('almostReadyPct', DEFAULT_ALMOST_READY_PCT),
+    confirmPct: getStoredPct('confirmPct', DEFAULT_CONFIRM_PCT),
+    caps: getStoredCaps(),
+    beverages: getStoredBeverages(),
+    adminPin: getStoredAdminPin() ? 'set' : 'none',
+    snapshotLimit: getStoredSnapshotLimit(),
+    backupSchedule: getStoredBackupSchedule(),
+    backupFormat: getStoredBackupFormat(),
+    sync: { enabled: sync.enabled, url: sync.url, deviceName: sync.deviceName },
+  };
+};
+
+// Log one audit entry per setting that differs between two snapshots
+// (userId for a user's own overrides)
+const logSettingChanges = (before, after, userId) => {
+  [...new Set([...Object.keys(before), ...Object.keys(after)])].forEach((key) => {
+    if (JSON.stringify(before[key]) === JSON.stringify(after[key])) return;
+    tracker.logChange('settings', { userId, before: before[key] ?? null, after: after[key] ?? null, details: { setting: key } });
+  });
+};
+
+// Run a settings save and log what it changed
+const saveAuditedSettings = (save) => {
+  const before = readAuditedSettings();
+  save();
+  logSettingChanges(before, readAuditedSettings());
+};
+
+// Audit entries shown per page
+const AUDIT_PAGE_SIZE = 100;
+
+const describeAuditRecord = (r) => `${roundMl(r.amount)} ml${r.beverage ? ` ${r.beverage.name}` : ''} at ${format(new Date(r.timestamp), 'd MMM, h:mm a')}`;
+const describeAuditValue = (v) => (v == null ? 'none' : typeof v === 'object' ? JSON.stringify(v) : String(v));
+
+// One line on what an audit entry changed
+const auditSummary = (e) => {
+  switch (e.action) {
+    case 'record.add': return describeAuditRecord(e.after);
+    case 'record.edit': return `${describeAuditRecord(e.before)} → ${describeAuditRecord(e.after)}`;
+    case 'record.delete': return describeAuditRecord(e.before);
+    case 'user.create': return 'New user';
+    case 'user.rename': return `${e.before} → ${e.after}`;
+    case 'user.merge': return `${e.before.join(', ')} → ${e.after}`;
+    case 'user.alias': return e.after ? `Alias "${e.details.alias}" → ${e.after}` : `Alias "${e.details.alias}" removed`;
+    case 'event.start': return e.after.name;
+    case 'event.close': return `${e.before.name} (${e.details.recordCount} drinks)`;
+    case 'import': return `${e.details.mode === 'replace' ? 'Replaced' : 'Merged'}: ${e.before.userCount} users, ${e.before.recordCount} records → ${e.after.userCount} users, ${e.after.recordCount} records`;
+    case 'reset': return `Deleted ${e.before.userCount} users, ${e.before.recordCount} records`;
+    case 'settings': return `${e.details.setting}: ${describeAuditValue(e.before)} → ${describeAuditValue(e.after)}`;
+    default: return '';
+  }
+};
+
+// Edit-form value meaning "keep the record's beverage" (it's no longer in the catalog)
+const CURRENT_BEVERAGE = '__current';
+
+// Format an ISO timestamp for a <input type="datetime-local"> (local time, minute precision)
+const toDateTimeLocal = (iso) => format(new Date(iso), "yyyy-MM-dd'T'HH:mm");
+
 const triggerDownload = (content, filename, mime) => {
   const blob = new Blob([content], { type: mime });
   const url = URL.createObjectURL(blob);
@@ -111,118 +468,61 @@ const triggerDownload = (content, filename, mime) => {
   URL.revokeObjectURL(url);
 };
 
-// Base64-encode a byte buffer (chunked to stay within call-stack limits)
-const toBase64 = (buffer) => {
-  const bytes = new Uint8Array(buffer);
-  let binary = '';
-  const chunk = 0x8000;
-  for (let i = 0; i < bytes.length; i += chunk) {
-    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
-  }
-  return btoa(binary);
+// Filename-safe form of a user ID
+const fileSafe = (id) => id.replace(/[^a-z0-9_-]+/gi, '_');
+
+const csvFilename = (id, event) => {
+  const scope = event ? `_${fileSafe(event.name)}` : '';
+  return id
+    ? `alcohol_tracker_${fileSafe(id)}${scope}_${format(new Date(), 'yyyy-MM-dd')}.csv`
+    : `alcohol_tracker_all_users${scope}_${format(new Date(), 'yyyy-MM-dd')}.csv`;
 };
 
-const PBKDF2_ITERATIONS = 250000;
+// Every user's records, or only the users and records of one event
+const usersForCsv = (event) => {
+  const users = tracker.getUsers();
+  if (!event) return users;
+  return Object.fromEntries(Object.entries(users)
+    .map(([id, recs]) => [id, recordsForEvent(recs, event.id)])
+    .filter(([, recs]) => recs.length > 0));
+};
 
-// Encrypt text with a passphrase: PBKDF2-SHA256 -> AES-256-GCM
-const encryptText = async (plaintext, passphrase) => {
-  const enc = new TextEncoder();
-  const salt = crypto.getRandomValues(new Uint8Array(16));
-  const iv = crypto.getRandomValues(new Uint8Array(12));
-  const keyMaterial = await crypto.subtle.importKey(
-    'raw', enc.encode(passphrase), 'PBKDF2', false, ['deriveKey']
-  );
-  const key = await crypto.subtle.deriveKey(
-    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
-    keyMaterial,
-    { name: 'AES-GCM', length: 256 },
-    false,
-    ['encrypt']
-  );
-  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, enc.encode(plaintext));
-  return {
-    format: 'alcohol-tracker-encrypted',
-    version: 1,
-    algorithm: 'AES-256-GCM',
-    kdf: 'PBKDF2-SHA256',
-    iterations: PBKDF2_ITERATIONS,
-    salt: toBase64(salt),
-    iv: toBase64(iv),
-    ciphertext: toBase64(ciphertext),
-  };
+// Download one user's records (or everyone's, when id is null) as a plain CSV.
+// With an event, `recs` are already that event's; everyone's are filtered here.
+const downloadCsv = (id, recs, event = null) => {
+  const csv = id ? buildUserCsv(id, recs) : buildAllUsersCsv(usersForCsv(event));
+  triggerDownload(csv, csvFilename(id, event), 'text/csv;charset=utf-8');
 };
 
 // Encrypt the full dataset and download it as an encrypted .json envelope
 const downloadEncryptedData = async (passphrase) => {
-  const data = buildDataExport();
-  const payload = await encryptText(data, passphrase);
+  const payload = await encryptBackup(tracker.exportData(), passphrase, backupOptions());
   const filename = `alcohol_tracker_backup_${format(new Date(), 'yyyy-MM-dd')}.json`;
   triggerDownload(JSON.stringify(payload, null, 2), filename, 'application/json');
+  markBackupDownloaded();
 };
 
-const fromBase64 = (b64) => Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
-
-// Decrypt an encrypted-export payload back to plaintext (throws on wrong passphrase)
-const decryptText = async (payload, passphrase) => {
-  const enc = new TextEncoder();
-  const salt = fromBase64(payload.salt);
-  const iv = fromBase64(payload.iv);
-  const ciphertext = fromBase64(payload.ciphertext);
-  const keyMaterial = await crypto.subtle.importKey(
-    'raw', enc.encode(passphrase), 'PBKDF2', false, ['deriveKey']
-  );
-  const key = await crypto.subtle.deriveKey(
-    { name: 'PBKDF2', salt, iterations: payload.iterations, hash: 'SHA-256' },
-    keyMaterial,
-    { name: 'AES-GCM', length: 256 },
-    false,
-    ['decrypt']
-  );
-  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
-  return new TextDecoder().decode(plaintext);
+// Download one of the automatic backups kept on this device (the same envelope)
+const downloadAutoBackup = async (id) => {
+  const backup = await loadAutoBackup(id);
+  if (!backup) throw new Error('That backup is no longer stored.');
+  const filename = `alcohol_tracker_backup_${format(new Date(backup.takenAt), 'yyyy-MM-dd_HHmm')}.json`;
+  triggerDownload(JSON.stringify(backup.payload, null, 2), filename, 'application/json');
+  markBackupDownloaded();
 };
 
-// Merge imported users into existing ones: normalize IDs to lowercase, merge
-// records, drop exact duplicates (same timestamp+amount), and sort chronologically
-const normalizeAndMerge = (existingUsers, importedUsers) => {
-  const result = {};
-  const add = (id, recs) => {
-    const key = normalizeId(id);
-    result[key] = [...(result[key] || []), ...(Array.isArray(recs) ? recs : [])];
-  };
-  Object.entries(existingUsers).forEach(([id, recs]) => add(id, recs));
-  Object.entries(importedUsers).forEach(([id, recs]) => add(id, recs));
-  Object.keys(result).forEach((key) => {
-    const seen = new Set();
-    result[key] = result[key]
-      .filter((r) => {
-        const sig = `${r.timestamp}|${r.amount}`;
-        if (seen.has(sig)) return false;
-        seen.add(sig);
-        return true;
-      })
-      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-  });
-  return result;
+// Same CSV, encrypted into the backup envelope (decrypts with bin/backup-tool.js)
+const downloadEncryptedCsv = async (id, recs, passphrase, event = null) => {
+  const csv = id ? buildUserCsv(id, recs) : buildAllUsersCsv(usersForCsv(event));
+  const payload = await encryptText(csv, passphrase, { iterations: getStoredBackupFormat().iterations });
+  triggerDownload(JSON.stringify(payload, null, 2), `${csvFilename(id, event)}.enc.json`, 'application/json');
 };
 
-// Node.js snippet shown in the help popup for decrypting an export
-const DECRYPT_SNIPPET = `const fs = require('fs');
-const crypto = require('crypto');
-
-const pass = 'YOUR_PASSPHRASE';
-const f = JSON.parse(fs.readFileSync('backup.json', 'utf8'));
-const salt = Buffer.from(f.salt, 'base64');
-const iv = Buffer.from(f.iv, 'base64');
-const blob = Buffer.from(f.ciphertext, 'base64');
-const data = blob.subarray(0, blob.length - 16);   // ciphertext
-const tag = blob.subarray(blob.length - 16);        // GCM auth tag
-const key = crypto.pbkdf2Sync(pass, salt, f.iterations, 32, 'sha256');
-const d = crypto.createDecipheriv('aes-256-gcm', key, iv);
-d.setAuthTag(tag);
-const json = Buffer.concat([d.update(data), d.final()]).toString('utf8');
-fs.writeFileSync('decrypted.json', json);
-console.log('Wrote decrypted.json');`;
+// Shown in the encryption help: the repository's command-line tool (bin/backup-tool.js)
+const BACKUP_TOOL_EXAMPLE = `npm run backup-tool -- info backup.json
+npm run backup-tool -- decrypt backup.json -o decrypted.json
+npm run backup-tool -- merge bar1.json bar2.json -o merged.json
+npm run backup-tool -- csv backup.json -o all_users.csv`;
 
 // Shared style tokens
 const card = 'rounded-2xl border border-gray-200 bg-white shadow-sm dark:border-gray-700/70 dark:bg-gray-800/60';
@@ -230,25 +530,51 @@ const primaryBtn =
   'inline-flex items-center justify-center gap-2 rounded-xl bg-teal-700 px-5 py-3 font-medium text-white transition-colors hover:bg-teal-800 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 focus-visible:ring-offset-2 focus-visible:ring-offset-gray-100 dark:bg-teal-600 dark:hover:bg-teal-500 dark:focus-visible:ring-offset-gray-950';
 const inputCls =
   'w-full min-w-0 rounded-xl border border-gray-300 bg-white px-4 py-3 text-base text-gray-900 placeholder-gray-400 transition focus:border-teal-600 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600/50 dark:border-gray-600 dark:bg-gray-900 dark:text-gray-100 dark:placeholder-gray-500';
+const selectCls =
+  'rounded-xl border border-gray-300 bg-white px-3 py-2 text-sm text-gray-900 focus:border-teal-600 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600/50 dark:border-gray-600 dark:bg-gray-900 dark:text-gray-100';
 
 export default function App() {
   const [userId, setUserId] = useState('');
   const [showNewUserPrompt, setShowNewUserPrompt] = useState(false);
   const [currentUser, setCurrentUser] = useState(null);
   const [amount, setAmount] = useState('');
+  const [beverages, setBeverages] = useState(getStoredBeverages);
+  const [selectedBeverageId, setSelectedBeverageId] = useState(null);
+  const [profiles, setProfiles] = useState(getStoredProfiles);
+  const [showOverrides, setShowOverrides] = useState(false);
+  const [aliases, setAliases] = useState(getStoredAliases);
+  const [events, setEvents] = useState(() => tracker.getEvents());
+  const [activeEventId, setActiveEventId] = useState(getStoredActiveEvent); // new records are tagged with it
+  const [eventFilter, setEventFilter] = useState('all'); // 'all' or an event ID; scopes statistics, records and CSVs
+  const [newEventName, setNewEventName] = useState('');
+  const [eventError, setEventError] = useState('');
+  const [eventSummary, setEventSummary] = useState(null); // summary shown after closing an event
+  const [caps, setCaps] = useState(getStoredCaps);
+  const [capViolation, setCapViolation] = useState(null); // null | exceeded caps for the pending entry
+  const [capEdit, setCapEdit] = useState(null); // null | { recordId, changes } of an edit held back by capViolation
+  const [overrideReason, setOverrideReason] = useState('');
   const [records, setRecords] = useState([]);
   const [waitingMinutes, setWaitingMinutes] = useState(getStoredWaitingTime());
-  const [almostReadyPct, setAlmostReadyPct] = useState(() => getStoredPct('almostReadyPct', 11));
-  const [confirmPct, setConfirmPct] = useState(() => getStoredPct('confirmPct', 89));
+  const [almostReadyPct, setAlmostReadyPct] = useState(() => getStoredPct('almostReadyPct', DEFAULT_ALMOST_READY_PCT));
+  const [confirmPct, setConfirmPct] = useState(() => getStoredPct('confirmPct', DEFAULT_CONFIRM_PCT));
   const [suggestions, setSuggestions] = useState([]);
   const [isInputActive, setIsInputActive] = useState(false);
   const [allUserIds, setAllUserIds] = useState([]);
   const [selectedLetter, setSelectedLetter] = useState('all');
   const [justRecorded, setJustRecorded] = useState(false);
+  const [lastAdded, setLastAdded] = useState(null); // the record just added (for "Undo")
+  const [editingId, setEditingId] = useState(null); // ID of the record being edited
+  const [editAmount, setEditAmount] = useState('');
+  const [editTime, setEditTime] = useState('');
+  const [editBeverageId, setEditBeverageId] = useState(''); // '' = none, CURRENT_BEVERAGE = keep as is
+  const [editError, setEditError] = useState('');
+  const [deletingId, setDeletingId] = useState(null); // ID of the record waiting on delete confirmation
   const [showConfig, setShowConfig] = useState(false);
   const [showConfirm, setShowConfirm] = useState(false);
   const [resetConfirm, setResetConfirm] = useState(null); // null | 'defaults' | 'data'
+  const [resetError, setResetError] = useState('');
   const [showEncryptPrompt, setShowEncryptPrompt] = useState(false);
+  const [encryptTarget, setEncryptTarget] = useState('backup'); // 'backup' | 'all-csv' | 'user-csv'
   const [showEncryptHelp, setShowEncryptHelp] = useState(false);
   const [passphrase, setPassphrase] = useState('');
   const [passphraseConfirm, setPassphraseConfirm] = useState('');
@@ -256,14 +582,94 @@ export default function App() {
   const [showPass2, setShowPass2] = useState(false);
   const [encryptBusy, setEncryptBusy] = useState(false);
   const [encryptError, setEncryptError] = useState('');
+  const [backupFormat, setBackupFormat] = useState(getStoredBackupFormat);
   const [showImport, setShowImport] = useState(false);
   const [importFile, setImportFile] = useState(null);
+  const [importHeader, setImportHeader] = useState(null); // the chosen backup's readable header, if it has one
   const [importPassphrase, setImportPassphrase] = useState('');
   const [importMode, setImportMode] = useState('merge'); // 'merge' | 'replace'
+  const [importSource, setImportSource] = useState('backup'); // 'backup' | 'sheet'
+  const [sheet, setSheet] = useState(null); // { table } or { dataset } read from a CSV/JSON file
+  const [sheetMapping, setSheetMapping] = useState({}); // { [field]: column index, -1 = none }
+  const [sheetDateFormat, setSheetDateFormat] = useState('iso');
+  const [importPreview, setImportPreview] = useState(null); // { dataset, users, selected } before an import is confirmed
   const [importBusy, setImportBusy] = useState(false);
   const [importError, setImportError] = useState('');
   const [importSuccess, setImportSuccess] = useState('');
   const [theme, setTheme] = useState(getInitialTheme);
+  const [storeReady, setStoreReady] = useState(false);
+  const [storageError, setStorageError] = useState('');
+  const [storeRevision, setStoreRevision] = useState(0); // bumped when a failed write is rolled back
+  const [applyUpdate, setApplyUpdate] = useState(null); // set when a new deployment is ready to load
+  const [syncSettings, setSyncSettings] = useState(getStoredSyncSettings);
+  const [syncDraft, setSyncDraft] = useState(getStoredSyncSettings);
+  const [syncError, setSyncError] = useState('');
+  const [syncEngine, setSyncEngine] = useState(null);
+  const [syncStatus, setSyncStatus] = useState(null);
+  const [syncUpdate, setSyncUpdate] = useState(null); // { userIds } after records from other devices were merged
+  const [adminPin, setAdminPin] = useState(getStoredAdminPin);
+  const [adminUnlocked, setAdminUnlocked] = useState(false);
+  const [pinPrompt, setPinPrompt] = useState(null); // null | { action } waiting on the admin PIN
+  const [pinInput, setPinInput] = useState('');
+  const [pinError, setPinError] = useState('');
+  const [pinBusy, setPinBusy] = useState(false);
+  const [newPin, setNewPin] = useState('');
+  const [newPinConfirm, setNewPinConfirm] = useState('');
+  const [pinSetupError, setPinSetupError] = useState('');
+  const [showUserAdmin, setShowUserAdmin] = useState(false);
+  const [userAdminEdit, setUserAdminEdit] = useState(null); // null | { id, mode: 'rename' | 'alias', value }
+  const [mergeSelection, setMergeSelection] = useState([]);
+  const [mergeTarget, setMergeTarget] = useState('');
+  const [userAdminError, setUserAdminError] = useState('');
+  const [showBoard, setShowBoard] = useState(() => window.location.hash === '#board');
+  const [boardHours, setBoardHours] = useState(getStoredBoardHours);
+  const [boardSort, setBoardSort] = useState('wait'); // 'wait' | 'recent' | 'name'
+  const [boardFilter, setBoardFilter] = useState('all'); // 'all' or a board state
+  const [boardSearch, setBoardSearch] = useState('');
+  const [boardNow, setBoardNow] = useState(() => new Date());
+  const [, setTick] = useState(0); // bumped every second while a countdown runs, to re-render it
+  const [watchedUsers, setWatchedUsers] = useState(getStoredWatchedUsers);
+  const [alertSettings, setAlertSettings] = useState(getStoredAlertSettings);
+  const [alertError, setAlertError] = useState('');
+  const [readyAlerts, setReadyAlerts] = useState([]); // watched users whose wait just ended
+  const [showAudit, setShowAudit] = useState(false);
+  const [auditFilter, setAuditFilter] = useState({ action: '', from: '', text: '' });
+  const [auditLimit, setAuditLimit] = useState(AUDIT_PAGE_SIZE);
+  const [showAnalytics, setShowAnalytics] = useState(false);
+  const [analyticsUser, setAnalyticsUser] = useState(''); // '' = everyone
+  const [analyticsRange, setAnalyticsRange] = useState('tonight'); // a key of ANALYTICS_RANGES
+  const [analyticsStart, setAnalyticsStart] = useState(''); // datetime-local values for a custom range
+  const [analyticsEnd, setAnalyticsEnd] = useState('');
+  const [analyticsBucket, setAnalyticsBucket] = useState(null); // minutes; null = the range's default
+  const [pinnedBucket, setPinnedBucket] = useState(null); // index of the bar whose records are listed
+  const [snapshotBusy, setSnapshotBusy] = useState(false); // a snapshot is being stored before a change
+  const [showSnapshots, setShowSnapshots] = useState(false);
+  const [snapshots, setSnapshots] = useState([]); // stored snapshots without their data, newest first
+  const [snapshotLimit, setSnapshotLimit] = useState(getStoredSnapshotLimit);
+  const [restoreTarget, setRestoreTarget] = useState(null); // ID of the snapshot waiting on confirmation
+  const [snapshotError, setSnapshotError] = useState('');
+  const [snapshotSuccess, setSnapshotSuccess] = useState('');
+  const [backupSchedule, setBackupSchedule] = useState(getStoredBackupSchedule);
+  const [backupPassphrase, setBackupPassphrase] = useState(''); // for automatic backups, this session only
+  const [backupPassDraft, setBackupPassDraft] = useState('');
+  const [backupPassConfirm, setBackupPassConfirm] = useState('');
+  const [backupPassError, setBackupPassError] = useState('');
+  const [autoBackups, setAutoBackups] = useState([]); // stored automatic backups without their payload, newest first
+  const [autoBackupBusy, setAutoBackupBusy] = useState(false);
+  const [autoBackupError, setAutoBackupError] = useState(null); // null | { message, at }
+  const [backupRequested, setBackupRequested] = useState(false); // "Back up now" was pressed
+  const [lastAutoBackupAt, setLastAutoBackupAt] = useState(getLastAutoBackupAt);
+  const [recordsSinceBackup, setRecordsSinceBackup] = useState(getRecordsSinceBackup);
+  const [lastDownloadAt, setLastDownloadAt] = useState(getLastBackupDownloadAt);
+  const [backupNow, setBackupNow] = useState(() => new Date());
+  const [backupReminderHidden, setBackupReminderHidden] = useState(false); // "Later" on the reminder
+  const [badgeIds, setBadgeIds] = useState(null); // null | the user IDs on the badge sheet
+  const [showScanner, setShowScanner] = useState(false);
+  const [scanError, setScanError] = useState('');
+  const scanVideo = useRef(null);
+  const camera = useRef(null); // null | { stream, interval } of the running camera scan
+  const keyBurst = useRef(null); // fast keystrokes in the ID field (see nextKeyBurst)
+  const scanTimer = useRef(null);
 
   // Apply theme to <html> and persist
   useEffect(() => {
@@ -271,51 +677,225 @@ export default function App() {
     try { localStorage.setItem('theme', theme); } catch (e) { /* ignore */ }
   }, [theme]);
 
-  // One-time migration: lowercase any existing user IDs, merging duplicates
+  // Open the data store (migrating older data on first load) and listen for failed writes
   useEffect(() => {
-    const users = getStoredUsers();
-    let changed = false;
-    const migrated = {};
-    Object.entries(users).forEach(([id, userRecords]) => {
-      const key = normalizeId(id);
-      if (key !== id) changed = true;
-      migrated[key] = migrated[key] ? [...migrated[key], ...userRecords] : userRecords;
+    let cancelled = false;
+    const unsubscribe = onStoreError((message) => {
+      setStorageError(message);
+      setStoreRevision((n) => n + 1);
     });
-    if (changed) {
-      Object.keys(migrated).forEach(key => {
-        migrated[key].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    openStore()
+      .then((users) => {
+        if (cancelled) return;
+        setAllUserIds(Object.keys(users).sort());
+        setStoreReady(true);
+      })
+      .catch((err) => {
+        if (!cancelled) setStorageError(`Could not open the data store: ${err && err.message ? err.message : 'unknown error'}`);
       });
-      saveUsers(migrated);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
+
+  // Offline support; offer a reload when a new deployment has been downloaded
+  useEffect(() => {
+    registerServiceWorker((apply) => setApplyUpdate(() => apply));
+  }, []);
+
+  // Sync with the other devices while enabled: on start, shortly after each
+  // local change, every SYNC_INTERVAL_SECONDS and when the network comes back
+  useEffect(() => {
+    if (!storeReady || !syncSettings.enabled || !syncSettings.url) {
+      setSyncEngine(null);
+      setSyncStatus(null);
+      return undefined;
     }
-    setAllUserIds(Object.keys(migrated).sort());
+    const engine = createSync({
+      tracker,
+      backend: createHttpSyncBackend({ url: syncSettings.url, token: syncSettings.token }),
+      deviceId: getDeviceId(),
+      deviceName: syncSettings.deviceName || undefined,
+      loadState: getStoredSyncState,
+      saveState: saveSyncState,
+      onApplied: (userIds) => setSyncUpdate({ userIds }),
+    });
+    setSyncEngine(engine);
+    setSyncStatus(engine.getStatus());
+    const unsubscribeStatus = engine.onStatusChange(setSyncStatus);
+    let timer = null;
+    const unsubscribeSaves = onUsersSaved(() => {
+      if (engine.isApplying()) return; // records just pulled from other devices
+      clearTimeout(timer);
+      timer = setTimeout(syncQuietly(engine), SYNC_DEBOUNCE_MS);
+    });
+    const interval = setInterval(syncQuietly(engine), SYNC_INTERVAL_SECONDS * 1000);
+    const onOnline = syncQuietly(engine);
+    window.addEventListener('online', onOnline);
+    onOnline();
+    return () => {
+      unsubscribeStatus();
+      unsubscribeSaves();
+      clearTimeout(timer);
+      clearInterval(interval);
+      window.removeEventListener('online', onOnline);
+    };
+  }, [storeReady, syncSettings]);
+
+  // Another tab of the app (e.g. the status board on a second screen) saved
+  // records; show them like records merged in from other devices
+  useEffect(() => onExternalChange((userIds) => setSyncUpdate({ userIds })), []);
+
+  // The status board follows the #board address, so it can open in its own window
+  useEffect(() => {
+    const onHashChange = () => setShowBoard(window.location.hash === '#board');
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
   }, []);
 
-  // Get suggestions based on input
+  // Keep the board's countdowns current while it is shown
+  useEffect(() => {
+    if (!showBoard) return undefined;
+    setBoardNow(new Date());
+    const interval = setInterval(() => setBoardNow(new Date()), BOARD_REFRESH_SECONDS * 1000);
+    return () => clearInterval(interval);
+  }, [showBoard]);
+
+  // Show records merged in from other devices
+  useEffect(() => {
+    if (!syncUpdate) return;
+    setAllUserIds(tracker.listUsers());
+    setAliases(tracker.getAliases());
+    if (currentUser && syncUpdate.userIds.includes(currentUser)) {
+      // Renamed or merged on another device: follow the user to their new ID
+      const id = tracker.resolveUser(currentUser);
+      if (id !== currentUser) {
+        setCurrentUser(id);
+        setUserId(id);
+      }
+      const next = tracker.getRecords(id);
+      setRecords(next);
+      // An open edit or delete confirmation closes if its record went away
+      const ids = new Set(next.map((r) => r.id));
+      setEditingId((recordId) => (ids.has(recordId) ? recordId : null));
+      setDeletingId((recordId) => (ids.has(recordId) ? recordId : null));
+    }
+  }, [syncUpdate, currentUser]);
+
+  // A failed write rolls the store back; show what is actually saved
+  useEffect(() => {
+    if (storeRevision === 0) return;
+    setAllUserIds(tracker.listUsers());
+    if (currentUser) setRecords(tracker.getRecords(currentUser));
+    setLastAdded(null);
+  }, [storeRevision, currentUser]);
+
+  // Re-render every second while the shown user is waiting or anyone is
+  // watched, so the countdown and the wait banners move on by themselves, and
+  // alert staff when a watched user's wait is over
+  useEffect(() => {
+    if (!storeReady) return undefined;
+    const isWaiting = () => !!currentUser && tracker.getStatus(currentUser).withinWaitWindow;
+    if (!isWaiting() && watchedUsers.length === 0) return undefined;
+    const interval = setInterval(() => {
+      setTick((n) => n + 1);
+      // Users that were renamed, merged or reset away are dropped without an alert
+      const done = watchedUsers.filter((id) => !tracker.hasUser(id) || !tracker.getStatus(id).withinWaitWindow);
+      if (done.length > 0) {
+        const next = watchedUsers.filter((id) => !done.includes(id));
+        setWatchedUsers(next);
+        saveWatchedUsers(next);
+        const ready = done.filter((id) => tracker.hasUser(id));
+        if (ready.length > 0) {
+          setReadyAlerts((alerts) => [...alerts.filter((id) => !ready.includes(id)), ...ready]);
+          if (alertSettings.chime) playChime();
+          if (alertSettings.notify) ready.forEach(notifyReady);
+        }
+      } else if (!isWaiting() && watchedUsers.length === 0) {
+        clearInterval(interval);
+      }
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [storeReady, currentUser, records, watchedUsers, alertSettings]);
+
+  // Check for a due automatic backup every so often, and keep the download
+  // reminder current
+  useEffect(() => {
+    if (!storeReady) return undefined;
+    listAutoBackups().then(setAutoBackups, () => setAutoBackups([]));
+    const interval = setInterval(() => setBackupNow(new Date()), BACKUP_CHECK_SECONDS * 1000);
+    return () => clearInterval(interval);
+  }, [storeReady]);
+
+  // Make an automatic backup when one is due (or was asked for) and the session
+  // passphrase is set. After a failure it waits for the next check to retry.
+  useEffect(() => {
+    if (!storeReady || !backupPassphrase || autoBackupBusy) return;
+    if (autoBackupError && !backupRequested && backupNow <= autoBackupError.at) return;
+    if (!backupRequested && !isBackupDue(backupSchedule, { lastBackupAt: lastAutoBackupAt, recordsSince: recordsSinceBackup })) return;
+    setAutoBackupBusy(true);
+    setBackupRequested(false);
+    (async () => {
+      try {
+        const backup = await buildAutoBackup(tracker.exportData(), backupPassphrase, backupOptions());
+        await saveAutoBackup(backup);
+        await deleteAutoBackups(snapshotsToPrune(await listAutoBackups(), backupSchedule.keep));
+        saveLastAutoBackupAt(backup.takenAt);
+        setLastAutoBackupAt(backup.takenAt);
+        // Records added while the backup was being made count toward the next one
+        const left = Math.max(0, getRecordsSinceBackup() - recordsSinceBackup);
+        saveRecordsSinceBackup(left);
+        setRecordsSinceBackup(left);
+        setAutoBackupError(null);
+        setAutoBackups(await listAutoBackups());
+      } catch (err) {
+        setAutoBackupError({ message: `The automatic backup failed: ${err && err.message ? err.message : 'unknown error'}`, at: new Date() });
+      } finally {
+        setAutoBackupBusy(false);
+      }
+    })();
+  }, [storeReady, backupPassphrase, autoBackupBusy, autoBackupError, backupRequested, backupSchedule, lastAutoBackupAt, recordsSinceBackup, backupNow]);
+
+  // An admin unlock expires on its own after a few minutes
+  useEffect(() => {
+    if (!adminUnlocked) return undefined;
+    const timer = setTimeout(() => setAdminUnlocked(false), ADMIN_SESSION_MINUTES * 60000);
+    return () => clearTimeout(timer);
+  }, [adminUnlocked]);
+
+  // Get suggestions based on input (a matching alias suggests its main ID)
   useEffect(() => {
     if (userId.trim()) {
-      const users = getStoredUsers();
+      const users = tracker.getUsers();
       const matches = Object.keys(users).filter(id =>
         id.toLowerCase().includes(userId.toLowerCase())
       );
-      setSuggestions(matches);
+      const aliasMatches = Object.entries(aliases)
+        .filter(([alias, id]) => alias.includes(userId.toLowerCase()) && users[id])
+        .map(([, id]) => id);
+      setSuggestions([...new Set([...matches, ...aliasMatches])]);
     } else {
       setSuggestions([]);
     }
-  }, [userId]);
+  }, [userId, aliases]);
 
   // Load and display user data when ID is entered
   const handleSearch = (selectedId = userId) => {
-    const id = normalizeId(selectedId);
+    const id = tracker.resolveUser(selectedId);
     if (!id) return;
     // Close the autocomplete dropdown so it doesn't cover messages below
     setIsInputActive(false);
     setSuggestions([]);
     // Viewing a user (vs. just recording) shows the wait warning, not the green confirmation
     setJustRecorded(false);
-    const users = getStoredUsers();
-    if (users[id]) {
+    setLastAdded(null);
+    cancelEdit();
+    setDeletingId(null);
+    setShowOverrides(false);
+    if (tracker.hasUser(id)) {
       setCurrentUser(id);
-      setRecords(users[id]);
+      setRecords(tracker.getRecords(id));
       setShowNewUserPrompt(false);
       setUserId(id);
     } else {
@@ -325,6 +905,89 @@ export default function App() {
     }
   };
 
+  // A USB badge scanner types into the ID field like a keyboard; a fast burst
+  // is searched as soon as it ends (on Enter, or after SCANNER_IDLE_MS)
+  const searchScanned = () => {
+    clearTimeout(scanTimer.current);
+    const code = scannedCode(keyBurst.current);
+    keyBurst.current = null;
+    if (!code) return false;
+    setUserId(code);
+    handleSearch(code);
+    return true;
+  };
+
+  const handleUserIdChange = (e) => {
+    const { value } = e.target;
+    keyBurst.current = nextKeyBurst(keyBurst.current, userId, value, e.timeStamp);
+    setUserId(value);
+    clearTimeout(scanTimer.current);
+    if (scannedCode(keyBurst.current)) scanTimer.current = setTimeout(searchScanned, SCANNER_IDLE_MS);
+  };
+
+  const handleUserIdKeyDown = (e) => {
+    if (e.key === 'Enter' && searchScanned()) e.preventDefault();
+  };
+
+  // Scanning a badge with the camera: frames are checked every
+  // CAMERA_SCAN_INTERVAL_MS until one holds a code, which is then searched
+  const releaseCamera = () => {
+    if (!camera.current) return;
+    clearInterval(camera.current.interval);
+    if (camera.current.stream) camera.current.stream.getTracks().forEach((track) => track.stop());
+    camera.current = null;
+  };
+
+  const closeScanner = () => {
+    releaseCamera();
+    setShowScanner(false);
+  };
+
+  const openScanner = async () => {
+    releaseCamera();
+    setScanError('');
+    setShowScanner(true);
+    const session = { stream: null, interval: null };
+    camera.current = session;
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+      // Closed while the browser was asking for the camera
+      if (camera.current !== session) {
+        stream.getTracks().forEach((track) => track.stop());
+        return;
+      }
+      session.stream = stream;
+      const video = scanVideo.current;
+      video.srcObject = stream;
+      await video.play();
+      const detector = new window.BarcodeDetector();
+      let detecting = false;
+      session.interval = setInterval(async () => {
+        if (detecting || video.readyState < 2) return;
+        detecting = true;
+        try {
+          const [code] = await detector.detect(video);
+          const id = code ? code.rawValue.trim() : '';
+          if (id && camera.current === session) {
+            closeScanner();
+            setUserId(id);
+            handleSearch(id);
+          }
+        } catch {
+          // An unreadable frame; the next one is tried
+        } finally {
+          detecting = false;
+        }
+      }, CAMERA_SCAN_INTERVAL_MS);
+    } catch (err) {
+      if (camera.current !== session) return;
+      releaseCamera();
+      setScanError(err && err.name === 'NotAllowedError'
+        ? 'Camera access was denied. Allow it in the browser’s site settings to scan badges.'
+        : `Could not start the camera: ${err && err.message ? err.message : 'unknown error'}`);
+    }
+  };
+
   // Handle suggestion selection
   const handleSuggestionClick = (suggestion) => {
     handleSearch(suggestion);
@@ -332,48 +995,152 @@ export default function App() {
 
   // Create new user
   const handleCreateUser = () => {
-    const id = normalizeId(userId);
-    if (!id) return;
-    const users = getStoredUsers();
-    users[id] = users[id] || [];
-    saveUsers(users);
-    setAllUserIds(Object.keys(users).sort());
+    if (!normalizeId(userId)) return;
+    const id = tracker.createUser(userId);
+    setAllUserIds(tracker.listUsers());
     setJustRecorded(false);
+    setLastAdded(null);
     setCurrentUser(id);
-    setRecords(users[id]);
+    setRecords(tracker.getRecords(id));
     setUserId(id);
     setShowNewUserPrompt(false);
   };
 
   // Actually save the record
-  const commitRecord = () => {
+  // `override` is set when staff confirmed a record past one or more caps
+  const commitRecord = (override) => {
     if (!amount || !currentUser) return;
-    const users = getStoredUsers();
-    const newRecord = {
-      timestamp: new Date().toISOString(),
-      amount: parseFloat(amount)
-    };
-
-    users[currentUser] = [...(users[currentUser] || []), newRecord];
-    saveUsers(users);
-    setRecords(users[currentUser]);
+    const newRecord = tracker.addRecord(currentUser, {
+      amount: parseFloat(amount),
+      beverage: beverages.find((b) => b.id === selectedBeverageId),
+      override,
+      event: activeEvent ? activeEvent.id : undefined,
+    });
+    const added = getRecordsSinceBackup() + 1;
+    saveRecordsSinceBackup(added);
+    setRecordsSinceBackup(added);
+    setRecords(tracker.getRecords(currentUser));
     setAmount('');
     setJustRecorded(true);
+    setLastAdded(newRecord);
     setShowConfirm(false);
+    setCapViolation(null);
+    setOverrideReason('');
+  };
+
+  // Remove the record that was just added and return to the normal wait view
+  const handleUndoLast = () => {
+    if (!lastAdded || !currentUser) return;
+    if (tracker.getRecords(currentUser).some((r) => r.id === lastAdded.id)) setRecords(tracker.deleteRecord(currentUser, lastAdded.id));
+    setLastAdded(null);
+    setJustRecorded(false);
   };
 
-  // Add new consumption record — confirm first if the last drink was very recent
+  const startEdit = (record) => {
+    setEditingId(record.id);
+    setEditAmount(record.amount.toString());
+    setEditTime(toDateTimeLocal(record.timestamp));
+    setEditBeverageId(!record.beverage ? '' : beverages.some((b) => b.id === record.beverage.id) ? record.beverage.id : CURRENT_BEVERAGE);
+    setEditError('');
+    setDeletingId(null);
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setEditAmount('');
+    setEditTime('');
+    setEditBeverageId('');
+    setEditError('');
+  };
+
+  // Store an edit; `changes.override` is set when staff confirmed it past one or more caps
+  const commitEdit = (recordId, changes) => {
+    setRecords(tracker.updateRecord(currentUser, recordId, changes));
+    setLastAdded(null);
+    setJustRecorded(false);
+    setCapViolation(null);
+    setCapEdit(null);
+    setOverrideReason('');
+    cancelEdit();
+  };
+
+  // Save an edited record's amount and time
+  const handleSaveEdit = (e) => {
+    e.preventDefault();
+    const newAmount = parseFloat(editAmount);
+    const newTime = new Date(editTime);
+    if (!Number.isFinite(newAmount) || newAmount <= 0) { setEditError('Enter an amount above 0.'); return; }
+    if (!editTime || Number.isNaN(newTime.getTime())) { setEditError('Enter a valid date and time.'); return; }
+    if (newTime > new Date()) { setEditError("The time can't be in the future."); return; }
+    const record = records.find((r) => r.id === editingId);
+    if (!record) { cancelEdit(); return; }
+    const changes = {
+      amount: newAmount,
+      timestamp: newTime.toISOString(),
+      // undefined keeps the record's beverage, null removes it
+      beverage: editBeverageId === CURRENT_BEVERAGE ? undefined : beverages.find((b) => b.id === editBeverageId) || null,
+    };
+    // A larger amount or a new time can go past a cap, just like adding a record
+    if (newAmount > record.amount || editTime !== toDateTimeLocal(record.timestamp)) {
+      const exceeded = tracker.checkCaps(currentUser, newAmount, newTime, { exceptId: record.id });
+      if (exceeded.length > 0) {
+        setOverrideReason('');
+        setCapEdit({ recordId: record.id, changes });
+        setCapViolation(exceeded);
+        return;
+      }
+    }
+    commitEdit(record.id, changes);
+  };
+
+  // Delete a single record (after inline confirmation). It may already be gone
+  // (deleted in another tab or on another device).
+  const handleDeleteRecord = (recordId) => {
+    if (tracker.getRecords(currentUser).some((r) => r.id === recordId)) setRecords(tracker.deleteRecord(currentUser, recordId));
+    else setRecords(tracker.getRecords(currentUser));
+    setDeletingId(null);
+    setLastAdded(null);
+    setJustRecorded(false);
+    cancelEdit();
+  };
+
+  // Add new consumption record — caps first, then confirm if the last drink was very recent
   const handleAddRecord = (e) => {
     e.preventDefault();
-    if (!amount || !currentUser) return;
+    if (!currentUser || !(parseFloat(amount) > 0)) return;
+    const exceeded = tracker.checkCaps(currentUser, parseFloat(amount));
+    if (exceeded.length > 0) {
+      setOverrideReason('');
+      setCapViolation(exceeded);
+      return;
+    }
     // Most of the wait still remaining => they just drank; confirm before adding another
-    if (lastConsumptionTime && waitingMinutes > 0 && waitingTimeNeeded / waitingMinutes >= confirmPct / 100) {
+    if (status.needsConfirm) {
       setShowConfirm(true);
       return;
     }
     commitRecord();
   };
 
+  // Record (or save the edit) past the cap(s) with a staff reason, kept on the record
+  const handleCapOverride = (e) => {
+    e.preventDefault();
+    if (!capViolation || !caps.allowOverride || !overrideReason.trim()) return;
+    const override = {
+      reason: overrideReason.trim(),
+      caps: capViolation.map((c) => c.key),
+      at: new Date().toISOString(),
+    };
+    if (capEdit) commitEdit(capEdit.recordId, { ...capEdit.changes, override });
+    else commitRecord(override);
+  };
+
+  const cancelCapViolation = () => {
+    setCapViolation(null);
+    setCapEdit(null);
+    setOverrideReason('');
+  };
+
   // Cancel the "add another drink?" prompt and clear the entered amount
   const cancelConfirm = () => {
     setShowConfirm(false);
@@ -383,17 +1150,40 @@ export default function App() {
   // Reset settings (waiting time + thresholds) to their defaults
   const handleResetDefaults = () => {
     setWaitingMinutes(DEFAULT_WAITING_MINUTES);
-    saveWaitingTime(DEFAULT_WAITING_MINUTES);
     setAlmostReadyPct(DEFAULT_ALMOST_READY_PCT);
-    localStorage.setItem('almostReadyPct', String(DEFAULT_ALMOST_READY_PCT));
     setConfirmPct(DEFAULT_CONFIRM_PCT);
-    localStorage.setItem('confirmPct', String(DEFAULT_CONFIRM_PCT));
+    saveAuditedSettings(() => {
+      saveWaitingTime(DEFAULT_WAITING_MINUTES);
+      localStorage.setItem('almostReadyPct', String(DEFAULT_ALMOST_READY_PCT));
+      localStorage.setItem('confirmPct', String(DEFAULT_CONFIRM_PCT));
+    });
     setResetConfirm(null);
   };
 
-  // Permanently delete all users and their records
-  const handleResetData = () => {
-    saveUsers({});
+  // Store a snapshot before a destructive change. Resolves to false (with the
+  // reason passed to setError) when it couldn't be stored, so nothing is changed.
+  const snapshotFirst = async (reason, setError) => {
+    setSnapshotBusy(true);
+    try {
+      await takeSnapshot(reason);
+      return true;
+    } catch (err) {
+      setError(`Could not save a snapshot first, so nothing was changed. ${err && err.message ? err.message : ''}`.trim());
+      return false;
+    } finally {
+      setSnapshotBusy(false);
+    }
+  };
+
+  // Delete all users and their records (the audit log stays), after a snapshot
+  const handleResetData = async () => {
+    setResetError('');
+    if (!(await snapshotFirst('reset', setResetError))) return;
+    tracker.resetData();
+    setProfiles({});
+    setAliases({});
+    setEvents([]);
+    selectActiveEvent(null);
     setAllUserIds([]);
     setCurrentUser(null);
     setRecords([]);
@@ -401,112 +1191,671 @@ export default function App() {
     setSuggestions([]);
     setShowNewUserPrompt(false);
     setJustRecorded(false);
+    setLastAdded(null);
+    cancelEdit();
+    setDeletingId(null);
     setSelectedLetter('all');
     setResetConfirm(null);
   };
 
-  // Encrypt the all-users CSV with the entered passphrase and download it
-  const handleEncryptDownload = async () => {
-    if (!passphrase) {
-      setEncryptError('Please enter a passphrase.');
+  // Run an admin-only action: straight away when no PIN is set (or while unlocked),
+  // otherwise after the PIN has been entered
+  const requireAdmin = (action) => {
+    if (!adminPin || adminUnlocked) {
+      action();
       return;
     }
-    if (passphrase !== passphraseConfirm) {
-      setEncryptError("Passphrases don't match.");
+    setPinInput('');
+    setPinError('');
+    setPinPrompt({ action });
+  };
+
+  // Check the entered PIN; repeated failures lock PIN entry for a while
+  const handlePinSubmit = async (e) => {
+    e.preventDefault();
+    if (!pinPrompt || pinBusy) return;
+    const lockout = getPinLockout();
+    if (lockout.lockedUntil && lockout.lockedUntil > Date.now()) {
+      const minutes = Math.ceil((lockout.lockedUntil - Date.now()) / 60000);
+      setPinError(`Too many wrong attempts. Try again in ${minutes} min.`);
       return;
     }
     try {
-      setEncryptBusy(true);
-      setEncryptError('');
-      await downloadEncryptedData(passphrase);
-      setShowEncryptPrompt(false);
-      setPassphrase('');
-      setPassphraseConfirm('');
-      setShowPass1(false);
-      setShowPass2(false);
+      setPinBusy(true);
+      if (!(await verifyPin(pinInput, adminPin))) {
+        const failures = lockout.failures + 1;
+        if (failures >= PIN_MAX_ATTEMPTS) {
+          savePinLockout({ failures: 0, lockedUntil: Date.now() + PIN_LOCKOUT_MINUTES * 60000 });
+          setPinError(`Too many wrong attempts. PIN entry is locked for ${PIN_LOCKOUT_MINUTES} minutes.`);
+        } else {
+          savePinLockout({ failures, lockedUntil: null });
+          const left = PIN_MAX_ATTEMPTS - failures;
+          setPinError(`Wrong PIN. ${left} attempt${left === 1 ? '' : 's'} left.`);
+        }
+        setPinInput('');
+        return;
+      }
+      savePinLockout({ failures: 0, lockedUntil: null });
+      const { action } = pinPrompt;
+      setAdminUnlocked(true);
+      setPinPrompt(null);
+      setPinInput('');
+      setPinError('');
+      action();
     } catch (err) {
-      setEncryptError('Encryption failed: ' + (err && err.message ? err.message : 'unknown error'));
+      setPinError('Could not check the PIN: ' + (err && err.message ? err.message : 'unknown error'));
     } finally {
-      setEncryptBusy(false);
+      setPinBusy(false);
     }
   };
 
-  const cancelEncrypt = () => {
-    setShowEncryptPrompt(false);
-    setPassphrase('');
-    setPassphraseConfirm('');
-    setShowPass1(false);
-    setShowPass2(false);
-    setEncryptError('');
+  const cancelPinPrompt = () => {
+    setPinPrompt(null);
+    setPinInput('');
+    setPinError('');
   };
 
-  // Decrypt a backup file with the entered passphrase and merge it into the data
-  const handleImport = async () => {
-    if (!importFile) { setImportError('Choose a backup file.'); return; }
-    if (!importPassphrase) { setImportError('Enter the passphrase.'); return; }
+  // Set (or change, while unlocked) the admin PIN
+  const handleSetPin = async (e) => {
+    e.preventDefault();
+    if (pinBusy) return;
+    if (!PIN_PATTERN.test(newPin)) { setPinSetupError('Use 4–12 digits.'); return; }
+    if (newPin !== newPinConfirm) { setPinSetupError("PINs don't match."); return; }
     try {
-      setImportBusy(true);
-      setImportError('');
-      setImportSuccess('');
-      const text = await importFile.text();
-      let payload;
-      try { payload = JSON.parse(text); } catch { throw new Error('That file is not a valid backup (not JSON).'); }
-      if (!payload || !payload.ciphertext || !payload.salt || !payload.iv || !payload.iterations) {
-        throw new Error('That file is not a recognized encrypted backup.');
-      }
-      let plaintext;
-      try {
-        plaintext = await decryptText(payload, importPassphrase);
-      } catch {
-        throw new Error('Incorrect passphrase, or the file is corrupted.');
-      }
+      setPinBusy(true);
+      const hashed = await hashPin(newPin);
+      saveAuditedSettings(() => saveAdminPin(hashed));
+      savePinLockout({ failures: 0, lockedUntil: null });
+      setAdminPin(hashed);
+      setAdminUnlocked(true);
+      setNewPin('');
+      setNewPinConfirm('');
+      setPinSetupError('');
+    } catch (err) {
+      setPinSetupError('Could not save the PIN: ' + (err && err.message ? err.message : 'unknown error'));
+    } finally {
+      setPinBusy(false);
+    }
+  };
+
+  const handleRemovePin = () => {
+    saveAuditedSettings(() => saveAdminPin(null));
+    setAdminPin(null);
+    setAdminUnlocked(false);
+    setNewPin('');
+    setNewPinConfirm('');
+    setPinSetupError('');
+  };
+
+  // Save the sync settings; a different server starts over with a fresh cursor and outbox
+  const handleSaveSync = (e) => {
+    e.preventDefault();
+    const url = syncDraft.url.trim();
+    if (syncDraft.enabled && !/^https?:\/\/\S+$/i.test(url)) {
+      setSyncError('Enter the sync server address, starting with http:// or https://.');
+      return;
+    }
+    const next = { ...syncDraft, url, deviceName: syncDraft.deviceName.trim() };
+    if (url !== syncSettings.url) saveSyncState(null);
+    saveAuditedSettings(() => saveSyncSettings(next));
+    setSyncSettings(next);
+    setSyncDraft(next);
+    setSyncError('');
+  };
+
+  // Closing Settings ends an admin unlock
+  const openConfig = () => setShowConfig(true);
+
+  const closeConfig = () => {
+    setShowConfig(false);
+    setAdminUnlocked(false);
+    setSyncDraft(syncSettings);
+    setSyncError('');
+    setNewPin('');
+    setNewPinConfirm('');
+    setPinSetupError('');
+  };
+
+  // User management (rename, merge, aliases). The lists refresh right away, and
+  // the user being viewed follows a rename or merge to their new ID.
+  const runUserAdmin = (change) => {
+    try {
+      change();
+    } catch (err) {
+      setUserAdminError(err && err.message ? err.message : 'That change failed.');
+      return false;
+    }
+    setUserAdminEdit(null);
+    setUserAdminError('');
+    setAllUserIds(tracker.listUsers());
+    setAliases(tracker.getAliases());
+    setProfiles(getStoredProfiles());
+    if (currentUser) {
+      const id = tracker.resolveUser(currentUser);
+      setCurrentUser(id);
+      setRecords(tracker.getRecords(id));
+      setUserId(id);
+      setLastAdded(null);
+      cancelEdit();
+      setDeletingId(null);
+    }
+    return true;
+  };
+
+  const handleUserAdminSubmit = async (e) => {
+    e.preventDefault();
+    if (!userAdminEdit) return;
+    const { id, mode, value } = userAdminEdit;
+    if (mode === 'alias') {
+      runUserAdmin(() => tracker.setAlias(value, id));
+      return;
+    }
+    setUserAdminError('');
+    if (await snapshotFirst('users', setUserAdminError)) runUserAdmin(() => tracker.renameUser(id, value));
+  };
+
+  const toggleMergeSelection = (id) => {
+    setMergeSelection((selected) => (selected.includes(id) ? selected.filter((s) => s !== id) : [...selected, id]));
+  };
+
+  const handleMergeUsers = async () => {
+    const target = mergeSelection.includes(mergeTarget) ? mergeTarget : mergeSelection[0];
+    setUserAdminError('');
+    if (!(await snapshotFirst('users', setUserAdminError))) return;
+    if (!runUserAdmin(() => tracker.mergeUsers(mergeSelection, target))) return;
+    setMergeSelection([]);
+    setMergeTarget('');
+  };
+
+  const closeUserAdmin = () => {
+    setShowUserAdmin(false);
+    setUserAdminEdit(null);
+    setMergeSelection([]);
+    setMergeTarget('');
+    setUserAdminError('');
+  };
+
+  // Open the passphrase prompt for a backup or one of the CSV exports
+  const openEncryptPrompt = (target) => {
+    setEncryptTarget(target);
+    setEncryptError('');
+    setShowEncryptPrompt(true);
+  };
+
+  // Encrypt the chosen export with the entered passphrase and download it
+  const handleEncryptDownload = async () => {
+    if (!passphrase) {
+      setEncryptError('Please enter a passphrase.');
+      return;
+    }
+    if (passphrase !== passphraseConfirm) {
+      setEncryptError("Passphrases don't match.");
+      return;
+    }
+    try {
+      setEncryptBusy(true);
+      setEncryptError('');
+      if (encryptTarget === 'backup') {
+        await downloadEncryptedData(passphrase);
+        setLastDownloadAt(getLastBackupDownloadAt());
+        setBackupReminderHidden(false);
+      } else await downloadEncryptedCsv(encryptTarget === 'user-csv' ? currentUser : null, shownRecords, passphrase, filterEvent);
+      setShowEncryptPrompt(false);
+      setPassphrase('');
+      setPassphraseConfirm('');
+      setShowPass1(false);
+      setShowPass2(false);
+    } catch (err) {
+      setEncryptError('Encryption failed: ' + (err && err.message ? err.message : 'unknown error'));
+    } finally {
+      setEncryptBusy(false);
+    }
+  };
+
+  const handleBackupFormatChange = (key, value) => {
+    const next = { ...backupFormat, [key]: value };
+    setBackupFormat(next);
+    saveAuditedSettings(() => saveBackupFormat(next));
+  };
+
+  const cancelEncrypt = () => {
+    setShowEncryptPrompt(false);
+    setPassphrase('');
+    setPassphraseConfirm('');
+    setShowPass1(false);
+    setShowPass2(false);
+    setEncryptError('');
+  };
+
+  // Rows of the chosen spreadsheet, read with the current column mapping
+  const sheetResult = sheet && sheet.table
+    ? mapRows(sheet.table, sheetMapping, { dateFormat: sheetDateFormat, beverages })
+    : null;
+
+  // Read a CSV/JSON file and guess its column mapping and date format
+  const handleSheetFile = async (file) => {
+    setImportFile(file);
+    setSheet(null);
+    setImportError('');
+    setImportSuccess('');
+    if (!file) return;
+    try {
+      const result = readTable(await file.text(), file.name);
+      if (result.dataset) { setSheet({ dataset: result.dataset }); return; }
+      const mapping = guessMapping(result.columns);
+      const dates = mapping.date === -1 ? [] : result.rows.map((row) => [row[mapping.date], mapping.time === -1 ? '' : row[mapping.time]].filter(Boolean).join(' '));
+      setSheet({ table: result });
+      setSheetMapping(mapping);
+      setSheetDateFormat(guessDateFormat(dates));
+    } catch (err) {
+      setImportError(err && err.message ? err.message : 'That file could not be read.');
+    }
+  };
+
+  // Decrypt a backup file with the entered passphrase (or take the mapped rows of
+  // a spreadsheet) and show what importing it would change
+  const handleImport = () => {
+    if (importSource === 'sheet') {
+      if (!sheet) { setImportError(importError || 'Choose a CSV or JSON file.'); return; }
+      if (sheet.table) {
+        const missing = IMPORT_FIELDS.filter((f) => f.required && sheetMapping[f.key] === -1);
+        if (missing.length > 0) { setImportError(`Choose the column for ${missing.map((f) => f.label).join(', ')}.`); return; }
+        if (sheetResult.recordCount === 0) { setImportError('No rows could be read; check the column mapping and date format.'); return; }
+      }
+    } else {
+      if (!importFile) { setImportError('Choose a backup file.'); return; }
+      if (!importPassphrase) { setImportError('Enter the passphrase.'); return; }
+    }
+    previewImport();
+  };
+
+  const previewImport = async () => {
+    try {
+      setImportBusy(true);
+      setImportError('');
+      setImportSuccess('');
       let dataset;
-      try { dataset = JSON.parse(plaintext); } catch { throw new Error('Decrypted data is not valid.'); }
-      const importedUsers = dataset && typeof dataset.users === 'object' && dataset.users ? dataset.users : null;
-      if (!importedUsers) throw new Error('Decrypted file is not a valid dataset.');
+      if (importSource === 'sheet') dataset = sheet.dataset || { users: sheetResult.users };
+      else dataset = await decryptBackup(await importFile.text(), importPassphrase);
+      const users = tracker.previewImport(dataset, { mode: importMode });
+      // Everything the file brings is ticked to start with
+      setImportPreview({ dataset, users, selected: users.filter((u) => u.incoming > 0).map((u) => u.userId) });
+    } catch (err) {
+      setImportError(err && err.message ? err.message : 'Import failed.');
+    } finally {
+      setImportBusy(false);
+    }
+  };
 
+  const toggleImportUser = (id) => {
+    setImportPreview((p) => ({
+      ...p,
+      selected: p.selected.includes(id) ? p.selected.filter((x) => x !== id) : [...p.selected, id],
+    }));
+  };
+
+  // Write the previewed import (replacing everything needs the admin PIN, when
+  // one is set, and is preceded by a snapshot)
+  const handleConfirmImport = () => {
+    if (importMode === 'replace') {
+      requireAdmin(async () => {
+        setImportError('');
+        if (await snapshotFirst('import', setImportError)) runImport();
+      });
+    } else runImport();
+  };
+
+  const runImport = () => {
+    try {
+      setImportError('');
+      const { dataset, users: preview, selected } = importPreview;
       // Merge into existing, or replace existing entirely (still normalize + dedup)
-      const base = importMode === 'replace' ? {} : getStoredUsers();
-      const merged = normalizeAndMerge(base, importedUsers);
-      saveUsers(merged);
+      const { users: merged, importedUserCount: n } = tracker.importData(dataset, { mode: importMode, userIds: selected });
+      setBeverages(getStoredBeverages());
+      setProfiles(getStoredProfiles());
+      setAliases(getStoredAliases());
+      setEvents(tracker.getEvents());
       setAllUserIds(Object.keys(merged).sort());
-      const n = Object.keys(importedUsers).length;
+      const added = preview.filter((u) => selected.includes(u.userId)).reduce((sum, u) => sum + u.added, 0);
+      const what = `${n} user${n === 1 ? '' : 's'} (${added} new record${added === 1 ? '' : 's'})`;
+      const rows = importSource === 'sheet' ? sheetResult : null;
+      const skipped = rows && rows.errors.length > 0
+        ? ` ${rows.errors.length} unreadable row${rows.errors.length === 1 ? ' was' : 's were'} skipped.`
+        : '';
       setImportSuccess(
         importMode === 'replace'
-          ? `Replaced all data with ${n} imported user${n === 1 ? '' : 's'}.`
-          : `Imported and merged ${n} user${n === 1 ? '' : 's'}.`
+          ? `Replaced all data with ${what}.${skipped}`
+          : `Imported and merged ${what}.${skipped}`
       );
+      setImportPreview(null);
       setImportFile(null);
+      setImportHeader(null);
       setImportPassphrase('');
+      setSheet(null);
       // Refresh the currently-viewed user (if any) from the merged data
       if (currentUser) {
         const key = normalizeId(currentUser);
-        setRecords(merged[key] || []);
+        setRecords(tracker.getRecords(key));
         setCurrentUser(merged[key] ? key : null);
+        setLastAdded(null);
+        cancelEdit();
+        setDeletingId(null);
       }
     } catch (err) {
       setImportError(err && err.message ? err.message : 'Import failed.');
-    } finally {
-      setImportBusy(false);
+    }
+  };
+
+  const openImport = (source) => {
+    setImportSource(source);
+    setImportError('');
+    setImportSuccess('');
+    setShowImport(true);
+  };
+
+  // Choosing a backup file shows what it holds, when it was saved with a header
+  const handleBackupFile = async (file) => {
+    setImportFile(file);
+    setImportHeader(null);
+    setImportError('');
+    setImportSuccess('');
+    if (!file) return;
+    try {
+      setImportHeader(readBackupHeader(await file.text()));
+    } catch (err) {
+      setImportError(err && err.message ? err.message : 'That file could not be read.');
     }
   };
 
   const cancelImport = () => {
     setShowImport(false);
     setImportFile(null);
+    setImportHeader(null);
     setImportPassphrase('');
+    setSheet(null);
+    setImportPreview(null);
     setImportMode('merge');
     setImportError('');
     setImportSuccess('');
   };
 
+  // Make an event the active one (null = none); the views follow it
+  const selectActiveEvent = (id) => {
+    setActiveEventId(id);
+    saveActiveEvent(id);
+    setEventFilter(id || 'all');
+  };
+
+  // Watch a user (alert when their wait is over), or stop watching them
+  const toggleWatch = (id) => {
+    const next = watchedUsers.includes(id) ? watchedUsers.filter((w) => w !== id) : [...watchedUsers, id];
+    setWatchedUsers(next);
+    saveWatchedUsers(next);
+  };
+
+  const dismissReadyAlert = (id) => setReadyAlerts((alerts) => alerts.filter((a) => a !== id));
+
+  // Notifications need the browser's permission, asked for when they're turned on
+  const handleAlertSettingChange = async (key, enabled) => {
+    setAlertError('');
+    if (key === 'notify' && enabled && Notification.permission !== 'granted') {
+      const permission = await Notification.requestPermission();
+      if (permission !== 'granted') {
+        setAlertError('Notifications are blocked for this site; allow them in the browser\'s site settings.');
+        return;
+      }
+    }
+    if (key === 'chime' && enabled) playChime(); // a sample, which also lets the browser play sound later
+    const next = { ...alertSettings, [key]: enabled };
+    setAlertSettings(next);
+    saveAlertSettings(next);
+  };
+
+  // Schedule fields are saved as they're edited, once the value is in range
+  const handleBackupScheduleChange = (key, value) => {
+    const limits = BACKUP_SCHEDULE_LIMITS[key];
+    if (limits && !(Number.isInteger(value) && value >= limits.min && value <= limits.max)) return;
+    const next = normalizeBackupSchedule({ ...backupSchedule, [key]: value });
+    setBackupSchedule(next);
+    saveAuditedSettings(() => saveBackupSchedule(next));
+  };
+
+  const handleSetBackupPassphrase = (e) => {
+    e.preventDefault();
+    if (!backupPassDraft) {
+      setBackupPassError('Please enter a passphrase.');
+      return;
+    }
+    if (backupPassDraft !== backupPassConfirm) {
+      setBackupPassError("Passphrases don't match.");
+      return;
+    }
+    setBackupPassphrase(backupPassDraft);
+    setBackupPassDraft('');
+    setBackupPassConfirm('');
+    setBackupPassError('');
+  };
+
+  const forgetBackupPassphrase = () => {
+    setBackupPassphrase('');
+    setAutoBackupError(null);
+  };
+
+  const handleDownloadAutoBackup = async (id) => {
+    try {
+      await downloadAutoBackup(id);
+      setLastDownloadAt(getLastBackupDownloadAt());
+      setBackupReminderHidden(false);
+    } catch (err) {
+      setAutoBackupError({ message: err && err.message ? err.message : 'The backup could not be downloaded.', at: new Date() });
+    }
+  };
+
+  const openSnapshots = () => {
+    setRestoreTarget(null);
+    setSnapshotError('');
+    setSnapshotSuccess('');
+    setShowSnapshots(true);
+    listSnapshots().then(setSnapshots, () => setSnapshotError('The snapshots could not be read.'));
+  };
+
+  const handleSnapshotLimitChange = (e) => {
+    const limit = parseInt(e.target.value, 10);
+    if (limit >= 1 && limit <= MAX_SNAPSHOT_LIMIT) {
+      setSnapshotLimit(limit);
+      saveAuditedSettings(() => saveSnapshotLimit(limit));
+    }
+  };
+
+  // Put back the data of a snapshot, keeping a snapshot of the current data first
+  const handleRestoreSnapshot = async (id) => {
+    setSnapshotError('');
+    setSnapshotSuccess('');
+    try {
+      const snapshot = await loadSnapshot(id);
+      if (!snapshot) throw new Error('That snapshot is no longer stored.');
+      if (!(await snapshotFirst('restore', setSnapshotError))) return;
+      tracker.restoreSnapshot(snapshot);
+      setSnapshotSuccess(`Restored the data as it was on ${format(new Date(snapshot.takenAt), 'd MMM yyyy, h:mm a')}.`);
+    } catch (err) {
+      setSnapshotError(err && err.message ? err.message : 'The snapshot could not be restored.');
+      return;
+    } finally {
+      setRestoreTarget(null);
+    }
+    setBeverages(getStoredBeverages());
+    setProfiles(getStoredProfiles());
+    setAliases(getStoredAliases());
+    setEvents(tracker.getEvents());
+    setAllUserIds(tracker.listUsers());
+    if (currentUser) {
+      const key = tracker.resolveUser(currentUser);
+      setCurrentUser(tracker.hasUser(key) ? key : null);
+      setRecords(tracker.getRecords(key));
+      setLastAdded(null);
+      cancelEdit();
+      setDeletingId(null);
+    }
+    listSnapshots().then(setSnapshots, () => setSnapshots([]));
+  };
+
+  const openAudit = () => {
+    setAuditFilter({ action: '', from: '', text: '' });
+    setAuditLimit(AUDIT_PAGE_SIZE);
+    setShowAudit(true);
+  };
+
+  // Analytics open on the current user (or everyone), over the last day by default
+  const openAnalytics = () => {
+    setAnalyticsUser(currentUser || '');
+    setAnalyticsStart(toDateTimeLocal(subHours(new Date(), 24).toISOString()));
+    setAnalyticsEnd(toDateTimeLocal(new Date().toISOString()));
+    setPinnedBucket(null);
+    setShowAnalytics(true);
+  };
+
+  // Printable QR badges, for one user or everyone; scanning one searches its ID
+  const openBadges = (ids) => setBadgeIds(ids);
+
+  const openBoard = () => {
+    window.location.hash = 'board';
+    setShowBoard(true);
+  };
+
+  const closeBoard = () => {
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+    setShowBoard(false);
+  };
+
+  const handleBoardHoursChange = (e) => {
+    const hours = parseInt(e.target.value, 10);
+    setBoardHours(hours);
+    saveBoardHours(hours);
+  };
+
+  // Open a user from the board in the normal view
+  const handleBoardSelect = (id) => {
+    closeBoard();
+    handleSearch(id);
+  };
+
+  const handleStartEvent = (e) => {
+    e.preventDefault();
+    try {
+      const event = tracker.createEvent({ name: newEventName });
+      setEvents(tracker.getEvents());
+      selectActiveEvent(event.id);
+      setNewEventName('');
+      setEventError('');
+    } catch (err) {
+      setEventError(err.message);
+    }
+  };
+
+  // End an event and show its summary
+  const handleCloseEvent = (id) => {
+    const summary = tracker.closeEvent(id);
+    setEvents(tracker.getEvents());
+    if (id === activeEventId) selectActiveEvent(null);
+    setEventFilter(id);
+    setEventSummary(summary);
+  };
+
   // Handle waiting time change
   const handleWaitingTimeChange = (e) => {
     const newTime = parseInt(e.target.value, 10);
     if (newTime > 0) {
       setWaitingMinutes(newTime);
-      saveWaitingTime(newTime);
+      saveAuditedSettings(() => saveWaitingTime(newTime));
+    }
+  };
+
+  // Beverage catalog edits (saved on every change, like the other settings)
+  const updateBeverages = (next) => {
+    setBeverages(next);
+    saveAuditedSettings(() => saveBeverages(next));
+  };
+  const handleBeverageChange = (id, field, value) => {
+    updateBeverages(beverages.map((b) => {
+      if (b.id !== id) return b;
+      if (field === 'name') return { ...b, name: value };
+      const n = parseFloat(value);
+      if (field === 'abv') return Number.isFinite(n) && n >= 0 && n <= 100 ? { ...b, abv: n } : b;
+      return Number.isFinite(n) && n > 0 ? { ...b, servingMl: n } : b;
+    }));
+  };
+  const handleAddBeverage = () => {
+    updateBeverages([...beverages, { id: `bev-${Date.now().toString(36)}`, name: 'New beverage', abv: 5, servingMl: 330 }]);
+  };
+  const handleRemoveBeverage = (id) => {
+    updateBeverages(beverages.filter((b) => b.id !== id));
+    if (selectedBeverageId === id) setSelectedBeverageId(null);
+  };
+
+  // Update the current user's profile (weight in kg, sex) used for the BAC estimate
+  const handleProfileChange = (field, value) => {
+    if (!currentUser) return;
+    const current = profiles[currentUser] || {};
+    let next;
+    if (field === 'weightKg') {
+      const n = parseFloat(value);
+      next = { ...current, weightKg: Number.isFinite(n) && n > 0 ? n : undefined };
+    } else {
+      next = { ...current, sex: WIDMARK_R[value] ? value : undefined };
+    }
+    const updated = { ...profiles, [currentUser]: next };
+    setProfiles(updated);
+    saveProfiles(updated);
+    logSettingChanges({ [field]: current[field] }, { [field]: next[field] }, currentUser);
+  };
+
+  // Set (or clear, with an empty value) one of the current user's setting overrides
+  const handleOverrideChange = (key, value) => {
+    if (!currentUser) return;
+    const current = profiles[currentUser] || {};
+    const overrides = { ...getOverrides(current) };
+    const n = parseInt(value, 10);
+    if (value === '') delete overrides[key];
+    else if (isValidOverride(key, n)) overrides[key] = n;
+    else return;
+    const updated = { ...profiles, [currentUser]: { ...current, overrides } };
+    setProfiles(updated);
+    saveProfiles(updated);
+    logSettingChanges(getOverrides(current), overrides, currentUser);
+  };
+
+  const handleClearOverrides = () => {
+    if (!currentUser) return;
+    const profile = { ...(profiles[currentUser] || {}) };
+    delete profile.overrides;
+    const updated = { ...profiles, [currentUser]: profile };
+    setProfiles(updated);
+    saveProfiles(updated);
+    logSettingChanges(getOverrides(profiles[currentUser] || {}), {}, currentUser);
+  };
+
+  // Pick a beverage for the next record and prefill its default serving
+  const handleSelectBeverage = (b) => {
+    if (!b || selectedBeverageId === b.id) {
+      setSelectedBeverageId(null);
+      return;
     }
+    setSelectedBeverageId(b.id);
+    if (b.servingMl) setAmount(String(b.servingMl));
+  };
+
+  // Cap changes (blank = no cap)
+  const handleCapChange = (key, value) => {
+    const n = parseFloat(value);
+    if (value !== '' && !(Number.isFinite(n) && n > 0)) return;
+    const next = { ...caps, [key]: value === '' ? null : n };
+    setCaps(next);
+    saveAuditedSettings(() => saveCaps(next));
+  };
+  const handleAllowOverrideChange = (e) => {
+    const next = { ...caps, allowOverride: e.target.checked };
+    setCaps(next);
+    saveAuditedSettings(() => saveCaps(next));
   };
 
   // Handle threshold (%) changes
@@ -514,29 +1863,71 @@ export default function App() {
     const n = parseInt(e.target.value, 10);
     if (Number.isFinite(n) && n >= 0 && n <= 100) {
       setAlmostReadyPct(n);
-      localStorage.setItem('almostReadyPct', String(n));
+      saveAuditedSettings(() => localStorage.setItem('almostReadyPct', String(n)));
     }
   };
   const handleConfirmPctChange = (e) => {
     const n = parseInt(e.target.value, 10);
     if (Number.isFinite(n) && n >= 0 && n <= 100) {
       setConfirmPct(n);
-      localStorage.setItem('confirmPct', String(n));
+      saveAuditedSettings(() => localStorage.setItem('confirmPct', String(n)));
     }
   };
 
-  const totalConsumption = records.reduce((sum, record) => sum + record.amount, 0);
-  const last2HoursConsumption = calculateRecentConsumption(records, 2);
-  const lastConsumptionTime = records.length > 0 ? records[records.length - 1].timestamp : null;
-  const waitingTimeNeeded = lastConsumptionTime ? getWaitingTime(lastConsumptionTime, waitingMinutes) : 0;
-  const nextAllowedTime = lastConsumptionTime
-    ? format(addMinutes(new Date(lastConsumptionTime), waitingMinutes), 'h:mm a')
-    : null;
+  // The current user's status from the tracker: totals and the wait window,
+  // using the global settings with any per-user overrides applied
+  const status = tracker.getStatus(currentUser || '');
+  // The active event (only while it's open), and the event the views are scoped to.
+  // The wait rules and BAC always use every record.
+  const activeEvent = events.find((e) => e.id === activeEventId && !e.endAt) || null;
+  const openEvents = events.filter((e) => !e.endAt);
+  const filterEvent = events.find((e) => e.id === eventFilter) || null;
+  const shownRecords = recordsForEvent(records, filterEvent && filterEvent.id);
+  const totalConsumption = filterEvent ? sumAmounts(shownRecords) : status.totalMl;
+  const last2HoursConsumption = filterEvent ? calculateRecentConsumption(shownRecords, 2) : status.last2HoursMl;
+  const totalAlcohol = summarizeAlcohol(shownRecords);
+  const hasAlcoholData = totalAlcohol.unknown < shownRecords.length;
+  const recentAlcohol = summarizeAlcohol(shownRecords.filter((r) => new Date(r.timestamp) > subHours(new Date(), 2)));
+  const currentProfile = (currentUser && profiles[currentUser]) || {};
+  const userOverrides = status.overrides;
+  const hasOverrides = Object.keys(userOverrides).length > 0;
+  const waitingTimeNeeded = status.waitingTimeNeeded;
+  const nextAllowedTime = status.nextAllowedAt ? format(status.nextAllowedAt, 'h:mm a') : null;
+  const countdown = formatCountdown(status.waitingSecondsNeeded);
+  const isWatched = !!currentUser && watchedUsers.includes(currentUser);
+  // Shown in the wait banners: alert staff when this user's wait is over
+  const watchButton = currentUser && (
+    <button
+      type="button"
+      onClick={() => toggleWatch(currentUser)}
+      aria-pressed={isWatched}
+      title={isWatched ? 'An alert will show when the wait is over; tap to cancel' : 'Alert me when the wait is over'}
+      className="inline-flex shrink-0 items-center gap-1.5 self-start rounded-lg border border-current px-3 py-1.5 text-sm font-medium opacity-80 transition-opacity hover:opacity-100 focus:outline-none focus-visible:ring-2 focus-visible:ring-current"
+    >
+      {isWatched ? <BellRing size={16} /> : <Bell size={16} />}
+      {isWatched ? 'Alert on' : 'Alert me'}
+    </button>
+  );
   const hasRecords = !!currentUser && records.length > 0;
   // Still inside the waiting window (more time needed before the next drink)
-  const withinWaitWindow = !!currentUser && !!lastConsumptionTime && waitingTimeNeeded > 0;
+  const withinWaitWindow = !!currentUser && status.withinWaitWindow;
   // Remaining wait has dropped below the configured "almost ready" percentage
-  const isAlmostReady = withinWaitWindow && waitingMinutes > 0 && waitingTimeNeeded / waitingMinutes < almostReadyPct / 100;
+  const isAlmostReady = withinWaitWindow && status.isAlmostReady;
+  // Settings that change the rules (waiting time, thresholds, limits) need the admin PIN
+  const adminLocked = !!adminPin && !adminUnlocked;
+
+  // This device's sync state, in a few words
+  const syncLabel = !syncStatus ? null
+    : syncStatus.state === 'syncing' ? 'Syncing…'
+    : syncStatus.state === 'offline' ? `Offline${syncStatus.pending ? ` · ${syncStatus.pending} waiting` : ''}`
+    : syncStatus.state === 'error' ? 'Sync error'
+    : syncStatus.lastSyncAt ? `Synced ${formatDistanceToNow(new Date(syncStatus.lastSyncAt), { addSuffix: true })}`
+    : 'Not synced yet';
+  const SyncIcon = !syncStatus ? null
+    : syncStatus.state === 'syncing' ? RefreshCw
+    : syncStatus.state === 'offline' ? CloudOff
+    : syncStatus.state === 'error' ? AlertTriangle
+    : Cloud;
 
   // Quick-select: first letter (non-letters grouped under '#'), letter tabs, and filtered list
   const firstLetterOf = (id) => {
@@ -544,24 +1935,256 @@ export default function App() {
     return c >= 'A' && c <= 'Z' ? c : '#';
   };
   const letterTabs = ['all', ...Array.from(new Set(allUserIds.map(firstLetterOf))).sort()];
-  const filteredUserIds = selectedLetter === 'all'
+  // A letter whose last user was renamed or merged away falls back to "All"
+  const activeLetter = letterTabs.includes(selectedLetter) ? selectedLetter : 'all';
+  const filteredUserIds = activeLetter === 'all'
     ? allUserIds
-    : allUserIds.filter((id) => firstLetterOf(id) === selectedLetter);
+    : allUserIds.filter((id) => firstLetterOf(id) === activeLetter);
+  const userAliases = aliasesByUser(aliases);
 
   // Chart: ml per 30-min window over the last 6 hours
-  const chartData = buildRecentChartData(records);
+  const chartData = buildRecentChartData(shownRecords);
+
+  // Estimated BAC now and its projection (null without a profile or ABV data)
+  const bacNow = currentUser ? estimateBac(records, currentProfile) : null;
+  const soberTime = bacNow != null && bacNow > 0 ? estimateSoberTime(bacNow) : null;
+  const bacChartData = bacNow ? buildBacProjection(bacNow) : [];
   const last6hTotal = chartData.reduce((sum, d) => sum + d.ml, 0);
   const isDark = theme === 'dark';
   const barColor = isDark ? '#2dd4bf' : '#0f766e'; // teal-400 / teal-700
   const axisColor = isDark ? '#9ca3af' : '#6b7280'; // gray-400 / gray-500
 
+  // The audit log, newest first, with the filter applied
+  const auditEntries = showAudit
+    ? tracker.getAudit({
+      action: auditFilter.action || undefined,
+      from: auditFilter.from ? new Date(`${auditFilter.from}T00:00`) : undefined,
+      text: auditFilter.text,
+    }).reverse()
+    : [];
+
+  // Analytics over the chosen range, in the chosen bucket size when it suits the range
+  let analytics = null;
+  let analyticsError = '';
+  let analyticsBucketSizes = [];
+  if (showAnalytics) {
+    try {
+      const bounds = getRangeBounds(analyticsRange, new Date(), { start: analyticsStart, end: analyticsEnd });
+      analyticsBucketSizes = bucketSizesFor(bounds.start, bounds.end);
+      analytics = tracker.getAnalytics({
+        userId: analyticsUser || undefined,
+        ...bounds,
+        range: 'custom',
+        bucketMinutes: analyticsBucketSizes.includes(analyticsBucket) ? analyticsBucket : defaultBucketMinutes(bounds.start, bounds.end),
+      });
+    } catch (err) {
+      analyticsError = err.message;
+    }
+  }
+  const pinned = analytics && pinnedBucket != null ? analytics.buckets[pinnedBucket] : null;
+
+  // Status board: everyone whose last drink is within the chosen window
+  const boardRows = showBoard ? tracker.getBoard({ hours: boardHours }, boardNow) : [];
+  const boardCounts = boardRows.reduce((counts, row) => ({ ...counts, [row.state]: counts[row.state] + 1 }), { wait: 0, 'almost-ready': 0, ready: 0 });
+  const boardQuery = boardSearch.trim().toLowerCase();
+  const shownBoardRows = boardRows
+    .filter((row) => boardFilter === 'all' || row.state === boardFilter)
+    .filter((row) => !boardQuery || row.userId.includes(boardQuery))
+    .sort((a, b) => (
+      boardSort === 'name' ? a.userId.localeCompare(b.userId)
+        : boardSort === 'recent' ? b.lastConsumptionTime.localeCompare(a.lastConsumptionTime)
+        : b.waitingTimeNeeded - a.waitingTimeNeeded || a.userId.localeCompare(b.userId)
+    ));
+
+  if (badgeIds) {
+    return (
+      <div className="min-h-screen bg-gray-100 p-4 font-sans text-gray-900 sm:p-8 print:bg-white print:p-0 dark:bg-gray-950 dark:text-gray-100">
+        <header className="mb-6 flex flex-wrap items-start justify-between gap-3 border-b border-gray-200 pb-5 print:hidden dark:border-gray-800">
+          <div>
+            <p className="text-xs font-medium uppercase tracking-[0.2em] text-teal-700 dark:text-teal-400">
+              {activeEvent ? activeEvent.name : 'Beverage Monitoring'}
+            </p>
+            <h1 className="mt-1 font-serif text-3xl font-semibold tracking-tight text-gray-900 sm:text-4xl dark:text-white">
+              {badgeIds.length === 1 ? 'Badge' : 'Badges'}
+            </h1>
+            <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+              Scan a badge with a USB scanner into the User ID field{cameraScanSupported ? ', or with the camera button next to it' : ''}.
+            </p>
+          </div>
+          <div className="flex shrink-0 items-center gap-2">
+            <button type="button" onClick={() => window.print()} disabled={badgeIds.length === 0} className={`${primaryBtn} disabled:opacity-60`}>
+              <Printer size={18} />
+              Print
+            </button>
+            <button
+              type="button"
+              onClick={() => setBadgeIds(null)}
+              className="-m-1 rounded-xl p-3 text-gray-500 transition-colors hover:bg-gray-200 hover:text-gray-800 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:text-gray-400 dark:hover:bg-gray-800 dark:hover:text-white"
+              title="Back to the tracker"
+              aria-label="Close the badges"
+            >
+              <ArrowLeft size={24} />
+            </button>
+          </div>
+        </header>
+
+        {badgeIds.length === 0 ? (
+          <p className="py-10 text-center text-gray-500 dark:text-gray-400">There are no users yet.</p>
+        ) : (
+          <ul className="grid grid-cols-2 gap-4 sm:grid-cols-3 lg:grid-cols-4 print:grid-cols-3 print:gap-3">
+            {badgeIds.map((id) => {
+              const qr = badgeQr(id);
+              return (
+                <li key={id} className={`${card} flex break-inside-avoid flex-col items-center p-4 print:rounded-none print:border-gray-400 print:bg-white print:shadow-none`}>
+                  {/* A quiet zone of 4 modules around the code, as scanners expect */}
+                  <svg
+                    viewBox={`-4 -4 ${qr.size + 8} ${qr.size + 8}`}
+                    role="img"
+                    aria-label={`QR code for ${id}`}
+                    shapeRendering="crispEdges"
+                    className="w-full max-w-[12rem] rounded-lg bg-white"
+                  >
+                    <path d={qr.path} fill="#000" />
+                  </svg>
+                  <p className="mt-3 max-w-full truncate text-lg font-semibold text-gray-900 print:text-black dark:text-white">{id}</p>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    );
+  }
+
+  if (showBoard) {
+    return (
+      <div className="min-h-screen bg-gray-100 p-4 font-sans text-gray-900 sm:p-8 dark:bg-gray-950 dark:text-gray-100">
+        <header className="mb-6 flex flex-wrap items-start justify-between gap-3 border-b border-gray-200 pb-5 dark:border-gray-800">
+          <div>
+            <p className="text-xs font-medium uppercase tracking-[0.2em] text-teal-700 dark:text-teal-400">
+              {activeEvent ? activeEvent.name : 'Beverage Monitoring'}
+            </p>
+            <h1 className="mt-1 font-serif text-3xl font-semibold tracking-tight text-gray-900 sm:text-4xl dark:text-white">
+              Status Board
+            </h1>
+            <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+              Updated {format(boardNow, 'h:mm a')} · everyone with a drink in the last {boardHours} hours
+            </p>
+          </div>
+          <div className="flex shrink-0 items-center gap-2">
+            <button
+              type="button"
+              onClick={() => window.open(`${window.location.pathname}${window.location.search}#board`, '_blank')}
+              className="-m-1 rounded-xl p-3 text-gray-500 transition-colors hover:bg-gray-200 hover:text-gray-800 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:text-gray-400 dark:hover:bg-gray-800 dark:hover:text-white"
+              title="Open in a new window (e.g. on a second screen)"
+              aria-label="Open the board in a new window"
+            >
+              <ExternalLink size={24} />
+            </button>
+            <button
+              type="button"
+              onClick={closeBoard}
+              className="-m-1 rounded-xl p-3 text-gray-500 transition-colors hover:bg-gray-200 hover:text-gray-800 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:text-gray-400 dark:hover:bg-gray-800 dark:hover:text-white"
+              title="Back to the tracker"
+              aria-label="Close the status board"
+            >
+              <ArrowLeft size={24} />
+            </button>
+          </div>
+        </header>
+
+        <div className="mb-6 grid grid-cols-3 gap-3">
+          {BOARD_STATES.map((state) => (
+            <button
+              key={state.key}
+              type="button"
+              onClick={() => setBoardFilter(boardFilter === state.key ? 'all' : state.key)}
+              aria-pressed={boardFilter === state.key}
+              className={`rounded-2xl p-4 text-left transition-shadow focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 ${state.chip} ${boardFilter === state.key ? 'ring-2 ring-current' : ''}`}
+            >
+              <p className="text-3xl font-semibold tabular-nums sm:text-4xl">{boardCounts[state.key]}</p>
+              <p className="text-sm font-medium">{state.label}</p>
+            </button>
+          ))}
+        </div>
+
+        <div className="mb-4 flex flex-wrap items-center gap-2">
+          <input
+            type="search"
+            value={boardSearch}
+            onChange={(e) => setBoardSearch(e.target.value)}
+            placeholder="Find a name"
+            aria-label="Find a name"
+            className={`${selectCls} min-w-0 flex-1 sm:max-w-xs`}
+          />
+          <select value={boardFilter} onChange={(e) => setBoardFilter(e.target.value)} aria-label="Show" className={selectCls}>
+            <option value="all">Everyone</option>
+            {BOARD_STATES.map((state) => <option key={state.key} value={state.key}>{state.label}</option>)}
+          </select>
+          <select value={boardSort} onChange={(e) => setBoardSort(e.target.value)} aria-label="Sort by" className={selectCls}>
+            <option value="wait">Longest wait first</option>
+            <option value="recent">Latest drink first</option>
+            <option value="name">Name</option>
+          </select>
+          <select value={boardHours} onChange={handleBoardHoursChange} aria-label="Active in the last" className={selectCls}>
+            {BOARD_HOURS_OPTIONS.map((h) => <option key={h} value={h}>Last {h} hours</option>)}
+          </select>
+        </div>
+
+        {shownBoardRows.length === 0 ? (
+          <p className="py-10 text-center text-gray-500 dark:text-gray-400">
+            {boardRows.length === 0 ? `Nobody has had a drink in the last ${boardHours} hours.` : 'Nobody matches the filter.'}
+          </p>
+        ) : (
+          <ul className="grid gap-3 md:grid-cols-2 xl:grid-cols-3">
+            {shownBoardRows.map((row) => {
+              const state = BOARD_STATES.find((s) => s.key === row.state);
+              const waitFraction = row.settings.waitingMinutes > 0 ? Math.min(1, row.waitingTimeNeeded / row.settings.waitingMinutes) : 0;
+              return (
+                <li key={row.userId}>
+                  <button
+                    type="button"
+                    onClick={() => handleBoardSelect(row.userId)}
+                    className={`${card} block w-full overflow-hidden text-left transition-colors hover:border-teal-600 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600`}
+                  >
+                    <div className="flex items-start justify-between gap-3 p-4">
+                      <div className="min-w-0">
+                        <p className="truncate text-xl font-semibold text-gray-900 sm:text-2xl dark:text-white">{row.userId}</p>
+                        <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                          Last drink {formatDistanceToNow(new Date(row.lastConsumptionTime), { addSuffix: true })}
+                          {' · '}{roundMl(row.last2HoursMl)} ml in 2 h · {roundMl(row.windowMl)} ml in {boardHours} h
+                        </p>
+                      </div>
+                      <div className="shrink-0 text-right">
+                        <span className={`inline-block rounded-lg px-2 py-1 text-sm font-semibold ${state.chip}`}>{state.label}</span>
+                        {row.withinWaitWindow && (
+                          <p className="mt-1 text-sm text-gray-600 dark:text-gray-300">
+                            <span className="text-lg font-semibold tabular-nums text-gray-900 dark:text-white">{row.waitingTimeNeeded} min</span>
+                            {' · '}{format(row.nextAllowedAt, 'h:mm a')}
+                          </p>
+                        )}
+                      </div>
+                    </div>
+                    <div className="h-1.5 bg-gray-100 dark:bg-gray-700/60">
+                      <div className={`h-full ${state.bar}`} style={{ width: `${row.withinWaitWindow ? waitFraction * 100 : 100}%` }} />
+                    </div>
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gray-100 font-sans text-gray-900 dark:bg-gray-950 dark:text-gray-100">
       {/* Config modal */}
       {showConfig && (
         <div
           className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900/40 p-4 backdrop-blur-sm"
-          onClick={() => setShowConfig(false)}
+          onClick={closeConfig}
         >
           <div
             className={`${card} w-full max-w-sm p-6`}
@@ -570,7 +2193,7 @@ export default function App() {
             <div className="mb-6 flex items-center justify-between">
               <h2 className="font-serif text-xl font-semibold text-gray-900 dark:text-white">Settings</h2>
               <button
-                onClick={() => setShowConfig(false)}
+                onClick={closeConfig}
                 className="-m-2 rounded-lg p-2 text-gray-400 transition-colors hover:text-gray-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:hover:text-white"
                 aria-label="Close settings"
               >
@@ -578,6 +2201,22 @@ export default function App() {
               </button>
             </div>
 
+            {adminLocked && (
+              <div className="mb-6 flex items-center justify-between gap-3 rounded-xl border border-gray-200 bg-gray-50 px-4 py-3 text-sm text-gray-600 dark:border-gray-700 dark:bg-gray-900/60 dark:text-gray-300">
+                <span className="flex items-center gap-2">
+                  <Lock size={16} className="shrink-0" />
+                  Rules and data tools need the admin PIN.
+                </span>
+                <button
+                  type="button"
+                  onClick={() => requireAdmin(() => {})}
+                  className="shrink-0 font-medium text-teal-700 hover:underline focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:text-teal-400"
+                >
+                  Unlock
+                </button>
+              </div>
+            )}
+
             {/* Appearance */}
             <div className="mb-6">
               <h3 className="mb-2 text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">Appearance</h3>
@@ -603,7 +2242,49 @@ export default function App() {
               </div>
             </div>
 
-            {/* Waiting Time */}
+            {/* Eligibility alerts for watched users */}
+            <div className="mb-6">
+              <h3 className="mb-2 text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">Alerts</h3>
+              <p className="mb-2 text-sm text-gray-600 dark:text-gray-300">
+                When a user you chose “Alert me” for can drink again, a banner shows on this device. Also:
+              </p>
+              <div className="space-y-2">
+                <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={alertSettings.notify}
+                    onChange={(e) => handleAlertSettingChange('notify', e.target.checked)}
+                    disabled={!notificationsSupported()}
+                    className="h-4 w-4 rounded border-gray-300 text-teal-700 focus:ring-teal-600 dark:border-gray-600"
+                  />
+                  Show a browser notification{!notificationsSupported() && ' (not supported here)'}
+                </label>
+                <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={alertSettings.chime}
+                    onChange={(e) => handleAlertSettingChange('chime', e.target.checked)}
+                    className="h-4 w-4 rounded border-gray-300 text-teal-700 focus:ring-teal-600 dark:border-gray-600"
+                  />
+                  Play a chime
+                </label>
+              </div>
+              {alertError && <p className="mt-2 text-sm text-red-600 dark:text-red-400">{alertError}</p>}
+              {watchedUsers.length > 0 && (
+                <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+                  Watching {watchedUsers.join(', ')}.{' '}
+                  <button
+                    type="button"
+                    onClick={() => { setWatchedUsers([]); saveWatchedUsers([]); }}
+                    className="font-medium text-teal-700 hover:underline focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:text-teal-400"
+                  >
+                    Stop all
+                  </button>
+                </p>
+              )}
+            </div>
+
+            {/* Waiting Time */}
             <div className="mb-6">
               <h3 className="mb-2 text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">Waiting Time</h3>
               <div className="flex items-center gap-3">
@@ -612,8 +2293,9 @@ export default function App() {
                   inputMode="numeric"
                   value={waitingMinutes}
                   onChange={handleWaitingTimeChange}
+                  disabled={adminLocked}
                   min="1"
-                  className={`${inputCls} w-24 tabular-nums`}
+                  className={`${inputCls} w-24 tabular-nums disabled:opacity-60`}
                 />
                 <span className="text-gray-600 dark:text-gray-300">minutes between drinks</span>
               </div>
@@ -631,9 +2313,10 @@ export default function App() {
                     inputMode="numeric"
                     value={almostReadyPct}
                     onChange={handleAlmostReadyPctChange}
+                    disabled={adminLocked}
                     min="0"
                     max="100"
-                    className={`${inputCls} w-20 tabular-nums`}
+                    className={`${inputCls} w-20 tabular-nums disabled:opacity-60`}
                   />
                   <span className="text-sm text-gray-600 dark:text-gray-300">
                     Show <span className="font-medium text-gray-900 dark:text-gray-100">“Almost ready”</span> when below this %
@@ -645,9 +2328,10 @@ export default function App() {
                     inputMode="numeric"
                     value={confirmPct}
                     onChange={handleConfirmPctChange}
+                    disabled={adminLocked}
                     min="0"
                     max="100"
-                    className={`${inputCls} w-20 tabular-nums`}
+                    className={`${inputCls} w-20 tabular-nums disabled:opacity-60`}
                   />
                   <span className="text-sm text-gray-600 dark:text-gray-300">
                     <span className="font-medium text-gray-900 dark:text-gray-100">Confirm</span> a new drink when above this %
@@ -656,12 +2340,476 @@ export default function App() {
               </div>
             </div>
 
+            {/* Consumption caps */}
+            <div className="mb-6">
+              <h3 className="mb-2 text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">
+                Limits <span className="font-normal normal-case">(ml, blank = none)</span>
+              </h3>
+              <div className="grid grid-cols-3 gap-2">
+                {CAPS.map(({ key, label }) => (
+                  <label key={key} className="text-xs text-gray-500 dark:text-gray-400">
+                    {label}
+                    <input
+                      type="number"
+                      inputMode="decimal"
+                      defaultValue={caps[key] ?? ''}
+                      onChange={(e) => handleCapChange(key, e.target.value)}
+                      disabled={adminLocked}
+                      placeholder="None"
+                      min="0"
+                      step="any"
+                      className={`${inputCls} mt-1 px-2 py-2 text-sm tabular-nums disabled:opacity-60`}
+                    />
+                  </label>
+                ))}
+              </div>
+              <label className="mt-3 flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={caps.allowOverride}
+                  onChange={handleAllowOverrideChange}
+                  disabled={adminLocked}
+                  className="h-4 w-4 rounded border-gray-300 text-teal-700 focus:ring-teal-600 dark:border-gray-600"
+                />
+                Allow staff to override a limit with a reason
+              </label>
+            </div>
+
+            {/* Beverage catalog */}
+            <div className="mb-6">
+              <h3 className="mb-2 text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">
+                Beverages <span className="font-normal normal-case">(ABV %, serving ml)</span>
+              </h3>
+              <div className="space-y-2">
+                {beverages.map((b) => (
+                  <div key={b.id} className="flex items-center gap-2">
+                    <input
+                      type="text"
+                      value={b.name}
+                      onChange={(e) => handleBeverageChange(b.id, 'name', e.target.value)}
+                      aria-label="Beverage name"
+                      className={`${inputCls} px-3 py-2`}
+                    />
+                    <input
+                      type="number"
+                      inputMode="decimal"
+                      defaultValue={b.abv}
+                      onChange={(e) => handleBeverageChange(b.id, 'abv', e.target.value)}
+                      min="0"
+                      max="100"
+                      step="0.1"
+                      aria-label={`${b.name} ABV (%)`}
+                      className={`${inputCls} w-16 shrink-0 px-2 py-2 tabular-nums`}
+                    />
+                    <input
+                      type="number"
+                      inputMode="decimal"
+                      defaultValue={b.servingMl}
+                      onChange={(e) => handleBeverageChange(b.id, 'servingMl', e.target.value)}
+                      min="0"
+                      step="any"
+                      aria-label={`${b.name} default serving (ml)`}
+                      className={`${inputCls} w-20 shrink-0 px-2 py-2 tabular-nums`}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => handleRemoveBeverage(b.id)}
+                      className="shrink-0 rounded-lg p-2 text-gray-400 transition-colors hover:bg-red-50 hover:text-red-600 focus:outline-none focus-visible:ring-2 focus-visible:ring-red-600 dark:hover:bg-red-900/20 dark:hover:text-red-400"
+                      title="Remove beverage"
+                      aria-label={`Remove ${b.name}`}
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <button
+                type="button"
+                onClick={handleAddBeverage}
+                className="mt-2 inline-flex items-center gap-1.5 rounded-lg px-2 py-1.5 text-sm font-medium text-teal-700 transition-colors hover:bg-teal-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:text-teal-400 dark:hover:bg-teal-900/20"
+              >
+                <Plus size={16} />
+                Add beverage
+              </button>
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                Records keep the name and ABV they were logged with; editing the catalog doesn&apos;t change past records.
+              </p>
+            </div>
+
+            {/* Events */}
+            <div className="mb-6">
+              <h3 className="mb-2 text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">Events</h3>
+              <form onSubmit={handleStartEvent} className="flex gap-2">
+                <input
+                  type="text"
+                  value={newEventName}
+                  onChange={(e) => { setNewEventName(e.target.value); setEventError(''); }}
+                  placeholder="New event, e.g. Summer party"
+                  aria-label="Event name"
+                  className={`${inputCls} px-3 py-2 text-sm`}
+                />
+                <button
+                  type="submit"
+                  className="shrink-0 rounded-lg px-2 py-1.5 text-sm font-medium text-teal-700 transition-colors hover:bg-teal-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:text-teal-400 dark:hover:bg-teal-900/20"
+                >
+                  Start
+                </button>
+              </form>
+              {eventError && <p className="mt-1 text-sm text-red-600 dark:text-red-400">{eventError}</p>}
+              {events.length > 0 && (
+                <ul className="mt-2 max-h-48 space-y-1 overflow-y-auto">
+                  {events.map((event) => (
+                    <li key={event.id} className="flex items-center justify-between gap-2 text-sm">
+                      <span className="min-w-0">
+                        <span className="block truncate font-medium text-gray-800 dark:text-gray-100">
+                          {event.name}
+                          {event.id === activeEventId && !event.endAt ? ' (active)' : ''}
+                        </span>
+                        <span className="block text-xs text-gray-500 dark:text-gray-400">
+                          {format(new Date(event.startAt), 'd MMM yyyy, h:mm a')}
+                          {event.endAt ? ` – ${format(new Date(event.endAt), 'h:mm a')}` : ' · open'}
+                        </span>
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => (event.endAt ? setEventSummary(tracker.getEventSummary(event.id)) : handleCloseEvent(event.id))}
+                        className="shrink-0 rounded-lg px-2 py-1.5 text-sm font-medium text-teal-700 transition-colors hover:bg-teal-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:text-teal-400 dark:hover:bg-teal-900/20"
+                      >
+                        {event.endAt ? 'Summary' : 'Close'}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                Drinks logged while an event is active (pick it in the header) are tagged with it.
+              </p>
+            </div>
+
+            {/* Multi-device sync */}
+            <div className="mb-6">
+              <h3 className="mb-2 text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">Sync</h3>
+              <form onSubmit={handleSaveSync} className="space-y-2">
+                <input
+                  type="url"
+                  value={syncDraft.url}
+                  onChange={(e) => setSyncDraft({ ...syncDraft, url: e.target.value })}
+                  disabled={adminLocked}
+                  placeholder="Server, e.g. http://192.168.1.10:8787"
+                  aria-label="Sync server address"
+                  className={`${inputCls} px-3 py-2 text-sm disabled:opacity-60`}
+                />
+                <div className="flex gap-2">
+                  <input
+                    type="password"
+                    value={syncDraft.token}
+                    onChange={(e) => setSyncDraft({ ...syncDraft, token: e.target.value })}
+                    disabled={adminLocked}
+                    placeholder="Token (optional)"
+                    autoComplete="off"
+                    aria-label="Sync token"
+                    className={`${inputCls} px-3 py-2 text-sm disabled:opacity-60`}
+                  />
+                  <input
+                    type="text"
+                    value={syncDraft.deviceName}
+                    onChange={(e) => setSyncDraft({ ...syncDraft, deviceName: e.target.value })}
+                    disabled={adminLocked}
+                    placeholder="Device name"
+                    aria-label="Device name"
+                    className={`${inputCls} px-3 py-2 text-sm disabled:opacity-60`}
+                  />
+                </div>
+                <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={syncDraft.enabled}
+                    onChange={(e) => setSyncDraft({ ...syncDraft, enabled: e.target.checked })}
+                    disabled={adminLocked}
+                    className="h-4 w-4 rounded border-gray-300 text-teal-700 focus:ring-teal-600 dark:border-gray-600"
+                  />
+                  Sync records with other devices
+                </label>
+                {syncError && <p className="text-sm text-red-600 dark:text-red-400">{syncError}</p>}
+                <div className="flex items-center gap-3">
+                  <button
+                    type="submit"
+                    disabled={adminLocked}
+                    className="rounded-lg px-2 py-1.5 text-sm font-medium text-teal-700 transition-colors hover:bg-teal-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 disabled:opacity-50 dark:text-teal-400 dark:hover:bg-teal-900/20"
+                  >
+                    Save
+                  </button>
+                  {syncEngine && (
+                    <button
+                      type="button"
+                      onClick={syncQuietly(syncEngine)}
+                      disabled={syncStatus && syncStatus.state === 'syncing'}
+                      className="inline-flex items-center gap-1.5 rounded-lg px-2 py-1.5 text-sm font-medium text-teal-700 transition-colors hover:bg-teal-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 disabled:opacity-50 dark:text-teal-400 dark:hover:bg-teal-900/20"
+                    >
+                      <RefreshCw size={16} />
+                      Sync now
+                    </button>
+                  )}
+                </div>
+              </form>
+              {syncStatus && (
+                <div className="mt-2 space-y-1 text-xs text-gray-500 dark:text-gray-400">
+                  <p>
+                    {syncLabel} · {syncStatus.pending} change{syncStatus.pending === 1 ? '' : 's'} waiting to send
+                  </p>
+                  {syncStatus.error && <p className="text-red-600 dark:text-red-400">{syncStatus.error}</p>}
+                  {syncStatus.devices.length > 0 && (
+                    <ul className="space-y-0.5">
+                      {syncStatus.devices.map((device) => (
+                        <li key={device.id} className="flex justify-between gap-2">
+                          <span className="truncate">
+                            {device.name}
+                            {device.id === syncStatus.deviceId ? ' (this device)' : ''}
+                          </span>
+                          <span className="shrink-0">
+                            seen {formatDistanceToNow(new Date(device.lastSeenAt), { addSuffix: true })}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {/* Automatic backups */}
+            <div className="mb-6">
+              <h3 className="mb-2 text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">Automatic Backups</h3>
+              <label className="mb-2 flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={backupSchedule.enabled}
+                  onChange={(e) => handleBackupScheduleChange('enabled', e.target.checked)}
+                  disabled={adminLocked}
+                  className="h-4 w-4 rounded border-gray-300 text-teal-700 focus:ring-teal-600 dark:border-gray-600"
+                />
+                Make encrypted backups on this device automatically
+              </label>
+              <div className="mb-2 flex flex-wrap items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+                <span>Every</span>
+                <input
+                  type="number"
+                  inputMode="numeric"
+                  value={backupSchedule.everyRecords}
+                  onChange={(e) => handleBackupScheduleChange('everyRecords', parseInt(e.target.value, 10))}
+                  disabled={adminLocked}
+                  min={BACKUP_SCHEDULE_LIMITS.everyRecords.min}
+                  max={BACKUP_SCHEDULE_LIMITS.everyRecords.max}
+                  aria-label="Records between backups"
+                  className={`${inputCls} w-20 px-3 py-2 text-sm tabular-nums disabled:opacity-60`}
+                />
+                <span>records or</span>
+                <input
+                  type="number"
+                  inputMode="numeric"
+                  value={backupSchedule.everyMinutes}
+                  onChange={(e) => handleBackupScheduleChange('everyMinutes', parseInt(e.target.value, 10))}
+                  disabled={adminLocked}
+                  min={BACKUP_SCHEDULE_LIMITS.everyMinutes.min}
+                  max={BACKUP_SCHEDULE_LIMITS.everyMinutes.max}
+                  aria-label="Minutes between backups"
+                  className={`${inputCls} w-20 px-3 py-2 text-sm tabular-nums disabled:opacity-60`}
+                />
+                <span>minutes, keeping</span>
+                <input
+                  type="number"
+                  inputMode="numeric"
+                  value={backupSchedule.keep}
+                  onChange={(e) => handleBackupScheduleChange('keep', parseInt(e.target.value, 10))}
+                  disabled={adminLocked}
+                  min={BACKUP_SCHEDULE_LIMITS.keep.min}
+                  max={BACKUP_SCHEDULE_LIMITS.keep.max}
+                  aria-label="Automatic backups to keep"
+                  className={`${inputCls} w-20 px-3 py-2 text-sm tabular-nums disabled:opacity-60`}
+                />
+              </div>
+              <div className="mb-2 flex flex-wrap items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+                <span>Remind me to download one after</span>
+                <input
+                  type="number"
+                  inputMode="numeric"
+                  value={backupSchedule.remindHours}
+                  onChange={(e) => handleBackupScheduleChange('remindHours', parseInt(e.target.value, 10))}
+                  disabled={adminLocked}
+                  min={BACKUP_SCHEDULE_LIMITS.remindHours.min}
+                  max={BACKUP_SCHEDULE_LIMITS.remindHours.max}
+                  aria-label="Hours before a download reminder"
+                  className={`${inputCls} w-20 px-3 py-2 text-sm tabular-nums disabled:opacity-60`}
+                />
+                <span>hours</span>
+              </div>
+              <p className="mb-2 text-xs text-gray-500 dark:text-gray-400">
+                0 turns a trigger or the reminder off. Backups are only made after new records were added.
+              </p>
+              {backupPassphrase ? (
+                <div className="flex flex-wrap items-center gap-3 text-sm">
+                  <span className="text-gray-600 dark:text-gray-300">Passphrase set for this session.</span>
+                  <button
+                    type="button"
+                    onClick={() => setBackupRequested(true)}
+                    disabled={autoBackupBusy}
+                    className="inline-flex items-center gap-1.5 rounded-lg px-2 py-1.5 text-sm font-medium text-teal-700 transition-colors hover:bg-teal-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 disabled:opacity-50 dark:text-teal-400 dark:hover:bg-teal-900/20"
+                  >
+                    <DatabaseBackup size={16} />
+                    {autoBackupBusy ? 'Backing up…' : 'Back up now'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={forgetBackupPassphrase}
+                    className="rounded-lg px-2 py-1.5 text-sm font-medium text-gray-600 transition-colors hover:bg-gray-100 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:text-gray-300 dark:hover:bg-gray-800"
+                  >
+                    Forget passphrase
+                  </button>
+                </div>
+              ) : (
+                <form onSubmit={handleSetBackupPassphrase} className="space-y-2">
+                  <div className="flex gap-2">
+                    <input
+                      type="password"
+                      value={backupPassDraft}
+                      onChange={(e) => { setBackupPassDraft(e.target.value); setBackupPassError(''); }}
+                      placeholder="Backup passphrase"
+                      autoComplete="new-password"
+                      aria-label="Backup passphrase"
+                      className={`${inputCls} px-3 py-2 text-sm`}
+                    />
+                    <input
+                      type="password"
+                      value={backupPassConfirm}
+                      onChange={(e) => { setBackupPassConfirm(e.target.value); setBackupPassError(''); }}
+                      placeholder="Confirm"
+                      autoComplete="new-password"
+                      aria-label="Confirm the backup passphrase"
+                      className={`${inputCls} px-3 py-2 text-sm`}
+                    />
+                  </div>
+                  {backupPassError && <p className="text-sm text-red-600 dark:text-red-400">{backupPassError}</p>}
+                  <div className="flex items-center gap-3">
+                    <button
+                      type="submit"
+                      className="rounded-lg px-2 py-1.5 text-sm font-medium text-teal-700 transition-colors hover:bg-teal-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:text-teal-400 dark:hover:bg-teal-900/20"
+                    >
+                      Use passphrase
+                    </button>
+                    <span className="text-xs text-gray-500 dark:text-gray-400">Kept only until this tab is closed, never saved.</span>
+                  </div>
+                </form>
+              )}
+              {autoBackupError && <p className="mt-2 text-sm text-red-600 dark:text-red-400">{autoBackupError.message}</p>}
+              <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                {lastAutoBackupAt
+                  ? `Last automatic backup ${formatDistanceToNow(new Date(lastAutoBackupAt), { addSuffix: true })}`
+                  : 'No automatic backup yet'}
+                {' · '}
+                {lastDownloadAt
+                  ? `last download ${formatDistanceToNow(new Date(lastDownloadAt), { addSuffix: true })}`
+                  : 'no backup downloaded on this device yet'}
+              </p>
+              {autoBackups.length > 0 && (
+                <ul className="mt-2 max-h-48 space-y-1 overflow-y-auto">
+                  {autoBackups.map((backup) => (
+                    <li key={backup.id} className="flex items-center justify-between gap-2 text-sm">
+                      <span className="min-w-0">
+                        <span className="block truncate font-medium text-gray-800 dark:text-gray-100">
+                          {format(new Date(backup.takenAt), 'd MMM yyyy, h:mm a')}
+                        </span>
+                        <span className="block text-xs text-gray-500 dark:text-gray-400">
+                          {backup.userCount} user{backup.userCount === 1 ? '' : 's'}, {backup.recordCount} record{backup.recordCount === 1 ? '' : 's'}
+                        </span>
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => requireAdmin(() => handleDownloadAutoBackup(backup.id))}
+                        className="shrink-0 rounded-lg px-2 py-1.5 text-sm font-medium text-teal-700 transition-colors hover:bg-teal-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:text-teal-400 dark:hover:bg-teal-900/20"
+                      >
+                        Download
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {/* Admin PIN */}
+            <div className="mb-6">
+              <h3 className="mb-2 text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">Admin PIN</h3>
+              {adminLocked ? (
+                <p className="text-sm text-gray-600 dark:text-gray-300">
+                  A PIN is set. Unlock to change or remove it.
+                </p>
+              ) : (
+                <form onSubmit={handleSetPin} className="space-y-2">
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {adminPin
+                      ? 'Enter a new PIN to change it.'
+                      : 'Optional. Once set, resets, exports, replacing imports and rule changes ask for it; logging drinks never does.'}
+                  </p>
+                  <div className="flex gap-2">
+                    <input
+                      type="password"
+                      inputMode="numeric"
+                      value={newPin}
+                      onChange={(e) => setNewPin(e.target.value)}
+                      placeholder={adminPin ? 'New PIN' : 'PIN'}
+                      autoComplete="new-password"
+                      aria-label={adminPin ? 'New admin PIN' : 'Admin PIN'}
+                      className={`${inputCls} px-3 py-2`}
+                    />
+                    <input
+                      type="password"
+                      inputMode="numeric"
+                      value={newPinConfirm}
+                      onChange={(e) => setNewPinConfirm(e.target.value)}
+                      placeholder="Confirm"
+                      autoComplete="new-password"
+                      aria-label="Confirm admin PIN"
+                      className={`${inputCls} px-3 py-2`}
+                    />
+                  </div>
+                  {pinSetupError && <p className="text-sm text-red-600 dark:text-red-400">{pinSetupError}</p>}
+                  <div className="flex items-center gap-3">
+                    <button
+                      type="submit"
+                      disabled={pinBusy || !newPin}
+                      className="inline-flex items-center gap-1.5 rounded-lg px-2 py-1.5 text-sm font-medium text-teal-700 transition-colors hover:bg-teal-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 disabled:opacity-50 dark:text-teal-400 dark:hover:bg-teal-900/20"
+                    >
+                      <Lock size={16} />
+                      {adminPin ? 'Change PIN' : 'Set PIN'}
+                    </button>
+                    {adminPin && (
+                      <button
+                        type="button"
+                        onClick={handleRemovePin}
+                        className="rounded-lg px-2 py-1.5 text-sm font-medium text-red-700 transition-colors hover:bg-red-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-red-600 dark:text-red-400 dark:hover:bg-red-900/20"
+                      >
+                        Remove PIN
+                      </button>
+                    )}
+                  </div>
+                </form>
+              )}
+            </div>
+
             <div className="my-5 border-t border-gray-200 dark:border-gray-700" />
 
+            <button
+              onClick={() => requireAdmin(() => setShowUserAdmin(true))}
+              disabled={allUserIds.length === 0}
+              className="mb-2 inline-flex w-full items-center justify-center gap-2 rounded-xl border border-gray-300 bg-white px-5 py-3 font-medium text-gray-700 transition-colors hover:bg-gray-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 disabled:opacity-50 dark:border-gray-600 dark:bg-gray-900 dark:text-gray-200 dark:hover:bg-gray-800"
+            >
+              <Users size={18} />
+              Manage Users
+            </button>
+
             {/* Download all users (encrypted) + help */}
             <div className="flex gap-2">
               <button
-                onClick={() => { setEncryptError(''); setShowEncryptPrompt(true); }}
+                onClick={() => requireAdmin(() => openEncryptPrompt('backup'))}
                 className="inline-flex flex-1 items-center justify-center gap-2 rounded-xl border border-gray-300 bg-white px-5 py-3 font-medium text-gray-700 transition-colors hover:bg-gray-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:border-gray-600 dark:bg-gray-900 dark:text-gray-200 dark:hover:bg-gray-800"
               >
                 <Download size={18} />
@@ -677,26 +2825,70 @@ export default function App() {
               </button>
             </div>
 
+            <div className="mt-2 flex gap-2">
+              <button
+                onClick={() => requireAdmin(() => downloadCsv(null, null, filterEvent))}
+                disabled={allUserIds.length === 0}
+                className="inline-flex min-w-0 flex-1 items-center justify-center gap-2 rounded-xl border border-gray-300 bg-white px-5 py-3 font-medium text-gray-700 transition-colors hover:bg-gray-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 disabled:opacity-50 dark:border-gray-600 dark:bg-gray-900 dark:text-gray-200 dark:hover:bg-gray-800"
+              >
+                <FileSpreadsheet size={18} className="shrink-0" />
+                <span className="truncate">{filterEvent ? `Export ${filterEvent.name} CSV` : 'Export All Users CSV'}</span>
+              </button>
+              <button
+                onClick={() => requireAdmin(() => openEncryptPrompt('all-csv'))}
+                disabled={allUserIds.length === 0}
+                className="inline-flex shrink-0 items-center justify-center rounded-xl border border-gray-300 bg-white px-3 text-gray-500 transition-colors hover:bg-gray-50 hover:text-gray-800 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 disabled:opacity-50 dark:border-gray-600 dark:bg-gray-900 dark:text-gray-400 dark:hover:bg-gray-800 dark:hover:text-white"
+                title="Encrypted CSV"
+                aria-label="Download encrypted all-users CSV"
+              >
+                <Lock size={20} />
+              </button>
+            </div>
+
+            <div className="mt-2 flex gap-2">
+              <button
+                onClick={() => openImport('backup')}
+                className="inline-flex flex-1 items-center justify-center gap-2 rounded-xl border border-gray-300 bg-white px-5 py-3 font-medium text-gray-700 transition-colors hover:bg-gray-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:border-gray-600 dark:bg-gray-900 dark:text-gray-200 dark:hover:bg-gray-800"
+              >
+                <Upload size={18} />
+                Import Backup
+              </button>
+              <button
+                onClick={() => openImport('sheet')}
+                className="inline-flex flex-1 items-center justify-center gap-2 rounded-xl border border-gray-300 bg-white px-5 py-3 font-medium text-gray-700 transition-colors hover:bg-gray-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:border-gray-600 dark:bg-gray-900 dark:text-gray-200 dark:hover:bg-gray-800"
+              >
+                <FileSpreadsheet size={18} />
+                Import Spreadsheet
+              </button>
+            </div>
+
+            <button
+              onClick={() => requireAdmin(openAudit)}
+              className="mt-2 inline-flex w-full items-center justify-center gap-2 rounded-xl border border-gray-300 bg-white px-5 py-3 font-medium text-gray-700 transition-colors hover:bg-gray-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:border-gray-600 dark:bg-gray-900 dark:text-gray-200 dark:hover:bg-gray-800"
+            >
+              <ScrollText size={18} />
+              Audit Log
+            </button>
             <button
-              onClick={() => { setImportError(''); setImportSuccess(''); setShowImport(true); }}
+              onClick={() => requireAdmin(openSnapshots)}
               className="mt-2 inline-flex w-full items-center justify-center gap-2 rounded-xl border border-gray-300 bg-white px-5 py-3 font-medium text-gray-700 transition-colors hover:bg-gray-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:border-gray-600 dark:bg-gray-900 dark:text-gray-200 dark:hover:bg-gray-800"
             >
-              <Upload size={18} />
-              Import Backup
+              <ArchiveRestore size={18} />
+              Restore Snapshot
             </button>
 
             <div className="my-5 border-t border-gray-200 dark:border-gray-700" />
 
             <div className="space-y-2">
               <button
-                onClick={() => setResetConfirm('defaults')}
+                onClick={() => requireAdmin(() => setResetConfirm('defaults'))}
                 className="inline-flex w-full items-center justify-center gap-2 rounded-xl border border-gray-300 bg-white px-5 py-3 font-medium text-gray-700 transition-colors hover:bg-gray-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:border-gray-600 dark:bg-gray-900 dark:text-gray-200 dark:hover:bg-gray-800"
               >
                 <RotateCcw size={18} />
                 Reset to Defaults
               </button>
               <button
-                onClick={() => setResetConfirm('data')}
+                onClick={() => requireAdmin(() => { setResetError(''); setResetConfirm('data'); })}
                 className="inline-flex w-full items-center justify-center gap-2 rounded-xl border border-red-300 bg-white px-5 py-3 font-medium text-red-700 transition-colors hover:bg-red-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-red-600 dark:border-red-800/70 dark:bg-gray-900 dark:text-red-400 dark:hover:bg-red-900/20"
               >
                 <Trash2 size={18} />
@@ -725,11 +2917,12 @@ export default function App() {
                 </h2>
                 <p className="mt-1 text-sm text-gray-600 dark:text-gray-300">
                   {resetConfirm === 'data'
-                    ? 'This permanently deletes all users and their records. This cannot be undone.'
+                    ? 'This deletes all users and their records. A snapshot is kept first, so the data can be restored from Settings → Restore Snapshot.'
                     : `Waiting time and thresholds will return to their defaults (${DEFAULT_WAITING_MINUTES} min, ${DEFAULT_ALMOST_READY_PCT}% / ${DEFAULT_CONFIRM_PCT}%).`}
                 </p>
               </div>
             </div>
+            {resetError && <p className="mb-3 text-sm text-red-600 dark:text-red-400">{resetError}</p>}
             <div className="flex gap-2">
               <button
                 onClick={() => setResetConfirm(null)}
@@ -740,7 +2933,8 @@ export default function App() {
               {resetConfirm === 'data' ? (
                 <button
                   onClick={handleResetData}
-                  className="inline-flex flex-1 items-center justify-center rounded-xl bg-red-600 px-5 py-3 font-medium text-white transition-colors hover:bg-red-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-red-600 focus-visible:ring-offset-2 focus-visible:ring-offset-gray-100 dark:focus-visible:ring-offset-gray-950"
+                  disabled={snapshotBusy}
+                  className="inline-flex flex-1 items-center justify-center rounded-xl bg-red-600 px-5 py-3 font-medium text-white transition-colors hover:bg-red-700 disabled:opacity-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-red-600 focus-visible:ring-offset-2 focus-visible:ring-offset-gray-100 dark:focus-visible:ring-offset-gray-950"
                 >
                   Delete all
                 </button>
@@ -754,6 +2948,62 @@ export default function App() {
         </div>
       )}
 
+      {/* Consumption cap reached */}
+      {capViolation && (
+        <div
+          className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900/40 p-4 backdrop-blur-sm"
+          onClick={cancelCapViolation}
+        >
+          <div className={`${card} w-full max-w-sm p-6`} onClick={(e) => e.stopPropagation()}>
+            <div className="mb-4 flex gap-3">
+              <Ban className="mt-0.5 shrink-0 text-red-600 dark:text-red-400" size={22} />
+              <div>
+                <h2 className="font-serif text-xl font-semibold text-gray-900 dark:text-white">Limit reached</h2>
+                <ul className="mt-1 space-y-0.5 text-sm text-gray-600 dark:text-gray-300">
+                  {capViolation.map((c) => (
+                    <li key={c.key}>
+                      <span className="font-medium text-gray-900 dark:text-gray-100">{c.label}:</span>{' '}
+                      {roundMl(c.total)} ml with this entry (limit {c.limit} ml)
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+            {caps.allowOverride ? (
+              <form onSubmit={handleCapOverride} className="space-y-3">
+                <textarea
+                  value={overrideReason}
+                  onChange={(e) => setOverrideReason(e.target.value)}
+                  placeholder="Reason for staff override"
+                  rows={2}
+                  className={inputCls}
+                />
+                <div className="flex gap-2">
+                  <button
+                    type="button"
+                    onClick={cancelCapViolation}
+                    className="flex-1 rounded-xl border border-gray-300 bg-white px-5 py-3 font-medium text-gray-700 transition-colors hover:bg-gray-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:border-gray-600 dark:bg-gray-900 dark:text-gray-200 dark:hover:bg-gray-800"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={!overrideReason.trim()}
+                    className="inline-flex flex-1 items-center justify-center rounded-xl bg-red-600 px-5 py-3 font-medium text-white transition-colors hover:bg-red-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-red-600 focus-visible:ring-offset-2 focus-visible:ring-offset-gray-100 disabled:opacity-50 dark:focus-visible:ring-offset-gray-950"
+                  >
+                    {capEdit ? 'Override & save' : 'Override & add'}
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <button onClick={cancelCapViolation} className={`${primaryBtn} w-full`}>
+                OK
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* "Add another drink?" confirmation */}
       {showConfirm && (
         <div
@@ -777,7 +3027,7 @@ export default function App() {
               >
                 No
               </button>
-              <button onClick={commitRecord} className={`${primaryBtn} flex-1`}>
+              <button onClick={() => commitRecord()} className={`${primaryBtn} flex-1`}>
                 Yes, add
               </button>
             </div>
@@ -793,7 +3043,9 @@ export default function App() {
         >
           <div className={`${card} w-full max-w-sm p-6`} onClick={(e) => e.stopPropagation()}>
             <div className="mb-4 flex items-center justify-between">
-              <h2 className="font-serif text-xl font-semibold text-gray-900 dark:text-white">Encrypt &amp; download</h2>
+              <h2 className="font-serif text-xl font-semibold text-gray-900 dark:text-white">
+                {encryptTarget === 'backup' ? 'Encrypt & download' : 'Encrypt CSV'}
+              </h2>
               <button
                 onClick={cancelEncrypt}
                 className="-m-2 rounded-lg p-2 text-gray-400 transition-colors hover:text-gray-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:hover:text-white"
@@ -803,7 +3055,9 @@ export default function App() {
               </button>
             </div>
             <p className="mb-3 text-sm text-gray-600 dark:text-gray-300">
-              Enter a passphrase. Your full dataset is encrypted with it (AES-256-GCM) for backup/transfer to another device. You'll need this exact passphrase to restore it — it cannot be recovered.
+              {encryptTarget === 'backup'
+                ? "Enter a passphrase. Your full dataset is encrypted with it (AES-256-GCM) for backup/transfer to another device. You'll need this exact passphrase to restore it — it cannot be recovered."
+                : `Enter a passphrase. The ${encryptTarget === 'user-csv' ? `CSV for ${currentUser}` : 'all-users CSV'} is encrypted with it (AES-256-GCM). Decrypt it with the backup tool from the encryption help — it cannot be imported as a backup.`}
             </p>
             <form onSubmit={(e) => { e.preventDefault(); handleEncryptDownload(); }} className="space-y-3">
               <div className="relative">
@@ -844,6 +3098,25 @@ export default function App() {
                   {showPass2 ? <EyeOff size={20} /> : <Eye size={20} />}
                 </button>
               </div>
+              <select
+                value={backupFormat.iterations}
+                onChange={(e) => handleBackupFormatChange('iterations', parseInt(e.target.value, 10))}
+                aria-label="Key derivation strength"
+                className={`${selectCls} w-full`}
+              >
+                {BACKUP_ITERATION_OPTIONS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+              </select>
+              {encryptTarget === 'backup' && (
+                <label className="flex items-start gap-2 text-sm text-gray-600 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={backupFormat.header}
+                    onChange={(e) => handleBackupFormatChange('header', e.target.checked)}
+                    className="mt-0.5 h-4 w-4 rounded border-gray-300 text-teal-700 focus:ring-teal-600 dark:border-gray-600"
+                  />
+                  Add a readable summary (device name, export time, user and record counts, date range) that can be seen without the passphrase
+                </label>
+              )}
               {encryptError && <p className="text-sm text-red-600 dark:text-red-400">{encryptError}</p>}
               <div className="flex gap-2">
                 <button
@@ -862,17 +3135,17 @@ export default function App() {
         </div>
       )}
 
-      {/* Import backup */}
-      {showImport && (
+      {/* User management: rename, aliases, merge */}
+      {showUserAdmin && (
         <div
           className="fixed inset-0 z-[60] flex items-center justify-center bg-gray-900/50 p-4 backdrop-blur-sm"
-          onClick={cancelImport}
+          onClick={closeUserAdmin}
         >
-          <div className={`${card} w-full max-w-sm p-6`} onClick={(e) => e.stopPropagation()}>
+          <div className={`${card} w-full max-w-md p-6`} onClick={(e) => e.stopPropagation()}>
             <div className="mb-4 flex items-center justify-between">
-              <h2 className="font-serif text-xl font-semibold text-gray-900 dark:text-white">Import backup</h2>
+              <h2 className="font-serif text-xl font-semibold text-gray-900 dark:text-white">Manage users</h2>
               <button
-                onClick={cancelImport}
+                onClick={closeUserAdmin}
                 className="-m-2 rounded-lg p-2 text-gray-400 transition-colors hover:text-gray-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:hover:text-white"
                 aria-label="Close"
               >
@@ -880,58 +3153,205 @@ export default function App() {
               </button>
             </div>
             <p className="mb-3 text-sm text-gray-600 dark:text-gray-300">
-              Choose an encrypted backup file and enter its passphrase. User names are normalized to lowercase on import.
+              Rename a user, add aliases that search resolves to them, or tick several users to merge them. Old IDs are kept as aliases.
             </p>
-            <div className="mb-3">
-              <div className="inline-flex rounded-xl border border-gray-200 bg-gray-100 p-1 dark:border-gray-700 dark:bg-gray-900">
-                {[{ key: 'merge', label: 'Merge' }, { key: 'replace', label: 'Replace' }].map(({ key, label }) => (
-                  <button
-                    key={key}
-                    type="button"
-                    onClick={() => setImportMode(key)}
-                    className={`rounded-lg px-4 py-2 text-sm font-medium transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 ${
-                      importMode === key
-                        ? 'bg-white text-teal-700 shadow-sm dark:bg-gray-700 dark:text-teal-300'
-                        : 'text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200'
-                    }`}
+            {userAdminError && <p className="mb-3 text-sm text-red-600 dark:text-red-400">{userAdminError}</p>}
+            <ul className="max-h-80 space-y-2 overflow-y-auto">
+              {allUserIds.map((id) => {
+                const count = tracker.getRecords(id).length;
+                const editing = userAdminEdit && userAdminEdit.id === id ? userAdminEdit : null;
+                return (
+                  <li key={id} className="rounded-xl border border-gray-200 px-3 py-2 dark:border-gray-700">
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={mergeSelection.includes(id)}
+                        onChange={() => toggleMergeSelection(id)}
+                        aria-label={`Select ${id} for merging`}
+                        className="h-4 w-4 rounded border-gray-300 text-teal-700 focus:ring-teal-600 dark:border-gray-600"
+                      />
+                      <span className="min-w-0 flex-1 truncate font-medium text-gray-900 dark:text-gray-100">{id}</span>
+                      <span className="shrink-0 text-xs tabular-nums text-gray-500 dark:text-gray-400">
+                        {count} record{count === 1 ? '' : 's'}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => { setUserAdminError(''); setUserAdminEdit({ id, mode: 'rename', value: id }); }}
+                        className="rounded-lg p-1.5 text-gray-400 transition-colors hover:bg-gray-100 hover:text-gray-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:hover:bg-gray-700 dark:hover:text-white"
+                        title="Rename"
+                        aria-label={`Rename ${id}`}
+                      >
+                        <Pencil size={16} />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => { setUserAdminError(''); setUserAdminEdit({ id, mode: 'alias', value: '' }); }}
+                        className="rounded-lg p-1.5 text-gray-400 transition-colors hover:bg-gray-100 hover:text-gray-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:hover:bg-gray-700 dark:hover:text-white"
+                        title="Add alias"
+                        aria-label={`Add an alias for ${id}`}
+                      >
+                        <Plus size={16} />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => openBadges([id])}
+                        className="rounded-lg p-1.5 text-gray-400 transition-colors hover:bg-gray-100 hover:text-gray-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:hover:bg-gray-700 dark:hover:text-white"
+                        title="Badge"
+                        aria-label={`Print a badge for ${id}`}
+                      >
+                        <QrCode size={16} />
+                      </button>
+                    </div>
+                    {userAliases[id] && (
+                      <div className="mt-1 flex flex-wrap gap-1 pl-6">
+                        {userAliases[id].map((alias) => (
+                          <span
+                            key={alias}
+                            className="inline-flex items-center gap-1 rounded-lg bg-gray-100 py-0.5 pl-2 pr-1 text-xs text-gray-600 dark:bg-gray-900 dark:text-gray-300"
+                          >
+                            {alias}
+                            <button
+                              type="button"
+                              onClick={() => runUserAdmin(() => tracker.removeAlias(alias))}
+                              className="rounded p-0.5 text-gray-400 hover:text-red-600 focus:outline-none focus-visible:ring-2 focus-visible:ring-red-600 dark:hover:text-red-400"
+                              aria-label={`Remove alias ${alias}`}
+                            >
+                              <X size={12} />
+                            </button>
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                    {editing && (
+                      <form onSubmit={handleUserAdminSubmit} className="mt-2 flex gap-2 pl-6">
+                        <input
+                          type="text"
+                          value={editing.value}
+                          onChange={(e) => setUserAdminEdit({ ...editing, value: e.target.value })}
+                          placeholder={editing.mode === 'rename' ? 'New ID' : 'Alias'}
+                          aria-label={editing.mode === 'rename' ? `New ID for ${id}` : `Alias for ${id}`}
+                          autoFocus
+                          className={`${inputCls} px-3 py-2 text-sm`}
+                        />
+                        <button type="submit" disabled={!editing.value.trim() || snapshotBusy} className={`${primaryBtn} shrink-0 px-3 py-2 text-sm disabled:opacity-60`}>
+                          {editing.mode === 'rename' ? 'Rename' : 'Add'}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setUserAdminEdit(null)}
+                          className="shrink-0 rounded-lg p-2 text-gray-400 transition-colors hover:text-gray-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:hover:text-white"
+                          aria-label="Cancel"
+                        >
+                          <X size={16} />
+                        </button>
+                      </form>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+            {mergeSelection.length >= 2 && (
+              <div className="mt-4 space-y-2 border-t border-gray-200 pt-4 dark:border-gray-700">
+                <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+                  Merge {mergeSelection.length} users into
+                  <select
+                    value={mergeSelection.includes(mergeTarget) ? mergeTarget : mergeSelection[0]}
+                    onChange={(e) => setMergeTarget(e.target.value)}
+                    aria-label="User to keep"
+                    className={`${inputCls} w-auto flex-1 px-2 py-1.5 text-sm`}
                   >
-                    {label}
-                  </button>
-                ))}
+                    {mergeSelection.map((id) => <option key={id} value={id}>{id}</option>)}
+                  </select>
+                </label>
+                <button type="button" onClick={handleMergeUsers} disabled={snapshotBusy} className={`${primaryBtn} w-full disabled:opacity-60`}>
+                  <Merge size={18} />
+                  Merge Users
+                </button>
               </div>
-              <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
-                {importMode === 'merge'
-                  ? 'Adds imported users to the current data; exact duplicate records are skipped.'
-                  : 'Deletes all current data first, then loads only the imported data.'}
-              </p>
-            </div>
-            <form onSubmit={(e) => { e.preventDefault(); handleImport(); }} className="space-y-3">
-              <input
-                type="file"
-                accept=".json,application/json"
-                onChange={(e) => { setImportFile(e.target.files && e.target.files[0] ? e.target.files[0] : null); setImportError(''); setImportSuccess(''); }}
-                className="block w-full text-sm text-gray-600 file:mr-3 file:rounded-lg file:border-0 file:bg-teal-700 file:px-4 file:py-2 file:font-medium file:text-white hover:file:bg-teal-800 dark:text-gray-300 dark:file:bg-teal-600 dark:hover:file:bg-teal-500"
-              />
-              <input
-                type="password"
-                value={importPassphrase}
-                onChange={(e) => setImportPassphrase(e.target.value)}
-                placeholder="Passphrase"
-                autoComplete="off"
-                className={inputCls}
+            )}
+            {allUserIds.length > 0 && (
+              <button
+                type="button"
+                onClick={() => openBadges(allUserIds)}
+                className="mt-4 inline-flex w-full items-center justify-center gap-2 rounded-xl border border-gray-300 bg-white px-5 py-3 font-medium text-gray-700 transition-colors hover:bg-gray-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:border-gray-600 dark:bg-gray-900 dark:text-gray-200 dark:hover:bg-gray-800"
+              >
+                <QrCode size={18} />
+                Badges for All Users
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Camera scan of a user's badge */}
+      {showScanner && (
+        <div
+          className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900/40 p-4 backdrop-blur-sm"
+          onClick={closeScanner}
+        >
+          <div className={`${card} w-full max-w-sm p-6`} onClick={(e) => e.stopPropagation()}>
+            <div className="mb-4 flex items-center justify-between">
+              <h2 className="font-serif text-xl font-semibold text-gray-900 dark:text-white">Scan a badge</h2>
+              <button
+                onClick={closeScanner}
+                className="-m-2 rounded-lg p-2 text-gray-400 transition-colors hover:text-gray-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:hover:text-white"
+                aria-label="Close"
+              >
+                <X size={22} />
+              </button>
+            </div>
+            {scanError ? (
+              <p role="alert" className="text-sm text-red-600 dark:text-red-400">{scanError}</p>
+            ) : (
+              <>
+                <video ref={scanVideo} muted playsInline className="aspect-square w-full rounded-xl bg-black object-cover" />
+                <p className="mt-3 text-sm text-gray-600 dark:text-gray-300">Hold the badge’s QR code in front of the camera. The user opens as soon as it is read.</p>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Admin PIN prompt (above the other dialogs) */}
+      {pinPrompt && (
+        <div
+          className="fixed inset-0 z-[70] flex items-center justify-center bg-gray-900/50 p-4 backdrop-blur-sm"
+          onClick={cancelPinPrompt}
+        >
+          <div className={`${card} w-full max-w-xs p-6`} onClick={(e) => e.stopPropagation()}>
+            <div className="mb-4 flex items-center justify-between">
+              <h2 className="font-serif text-xl font-semibold text-gray-900 dark:text-white">Admin PIN</h2>
+              <button
+                onClick={cancelPinPrompt}
+                className="-m-2 rounded-lg p-2 text-gray-400 transition-colors hover:text-gray-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:hover:text-white"
+                aria-label="Close"
+              >
+                <X size={22} />
+              </button>
+            </div>
+            <form onSubmit={handlePinSubmit} className="space-y-3">
+              <input
+                type="password"
+                inputMode="numeric"
+                value={pinInput}
+                onChange={(e) => setPinInput(e.target.value)}
+                placeholder="PIN"
+                autoComplete="off"
+                autoFocus
+                aria-label="Admin PIN"
+                className={`${inputCls} tracking-widest`}
               />
-              {importError && <p className="text-sm text-red-600 dark:text-red-400">{importError}</p>}
-              {importSuccess && <p className="text-sm text-green-700 dark:text-green-400">{importSuccess}</p>}
+              {pinError && <p className="text-sm text-red-600 dark:text-red-400">{pinError}</p>}
               <div className="flex gap-2">
                 <button
                   type="button"
-                  onClick={cancelImport}
+                  onClick={cancelPinPrompt}
                   className="flex-1 rounded-xl border border-gray-300 bg-white px-5 py-3 font-medium text-gray-700 transition-colors hover:bg-gray-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:border-gray-600 dark:bg-gray-900 dark:text-gray-200 dark:hover:bg-gray-800"
                 >
-                  {importSuccess ? 'Done' : 'Cancel'}
+                  Cancel
                 </button>
-                <button type="submit" disabled={importBusy} className={`${primaryBtn} flex-1 disabled:opacity-60`}>
-                  {importBusy ? 'Importing…' : 'Import'}
+                <button type="submit" disabled={pinBusy || !pinInput} className={`${primaryBtn} flex-1 disabled:opacity-60`}>
+                  {pinBusy ? 'Checking…' : 'Unlock'}
                 </button>
               </div>
             </form>
@@ -939,6 +3359,681 @@ export default function App() {
         </div>
       )}
 
+      {/* Import backup */}
+      {showImport && (
+        <div
+          className="fixed inset-0 z-[60] flex items-center justify-center bg-gray-900/50 p-4 backdrop-blur-sm"
+          onClick={cancelImport}
+        >
+          <div
+            className={`${card} max-h-[90vh] w-full overflow-y-auto p-6 ${sheet && sheet.table ? 'max-w-lg' : 'max-w-sm'}`}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="mb-4 flex items-center justify-between">
+              <h2 className="font-serif text-xl font-semibold text-gray-900 dark:text-white">
+                {importSource === 'sheet' ? 'Import spreadsheet' : 'Import backup'}
+              </h2>
+              <button
+                onClick={cancelImport}
+                className="-m-2 rounded-lg p-2 text-gray-400 transition-colors hover:text-gray-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:hover:text-white"
+                aria-label="Close"
+              >
+                <X size={22} />
+              </button>
+            </div>
+            {importPreview ? (
+              <div className="space-y-3">
+                <p className="text-sm text-gray-600 dark:text-gray-300">
+                  {importMode === 'replace'
+                    ? "Nothing has changed yet. Replacing deletes all current data first; untick users you don't want to load."
+                    : "Nothing has changed yet. Untick users you don't want to import."}
+                </p>
+                {importPreview.users.length === 0 ? (
+                  <p className="text-sm text-gray-500 dark:text-gray-400">The file has nothing that isn&apos;t here already.</p>
+                ) : (
+                  <ul className="max-h-72 divide-y divide-gray-200 overflow-y-auto rounded-xl border border-gray-200 dark:divide-gray-700 dark:border-gray-700">
+                    {importPreview.users.map((u) => {
+                      const selected = importPreview.selected.includes(u.userId);
+                      // When replacing, an unticked (or absent) user's current records are destroyed too
+                      const destroyed = importMode === 'replace' && !selected ? u.after - u.added + u.removed : u.removed;
+                      return (
+                        <li key={u.userId}>
+                          <label className={`flex items-start gap-3 px-3 py-2 ${u.incoming > 0 ? 'cursor-pointer' : ''}`}>
+                            <input
+                              type="checkbox"
+                              checked={selected}
+                              disabled={u.incoming === 0}
+                              onChange={() => toggleImportUser(u.userId)}
+                              className="mt-1 h-4 w-4 rounded border-gray-300 text-teal-700 focus:ring-teal-600 dark:border-gray-600"
+                            />
+                            <span className="min-w-0 flex-1">
+                              <span className="block truncate font-medium text-gray-900 dark:text-white">
+                                {u.userId}
+                                {u.isNew && u.incoming > 0 && <span className="ml-2 rounded-full bg-teal-100 px-2 py-0.5 text-xs font-medium text-teal-800 dark:bg-teal-900/60 dark:text-teal-200">New</span>}
+                              </span>
+                              <span className="block text-xs text-gray-500 dark:text-gray-400">
+                                {[
+                                  u.added > 0 && `+${u.added} record${u.added === 1 ? '' : 's'}`,
+                                  u.updated > 0 && `${u.updated} updated`,
+                                  u.duplicates > 0 && `${u.duplicates} already here (skipped)`,
+                                  u.incoming === 0 && importMode !== 'replace' && 'records moved',
+                                ].filter(Boolean).join(' · ') || (u.incoming === 0 ? 'Not in the file' : 'No changes')}
+                              </span>
+                              {destroyed > 0 && (
+                                <span className="block text-xs font-medium text-red-600 dark:text-red-400">
+                                  {importMode === 'replace' ? `${destroyed} current record${destroyed === 1 ? '' : 's'} will be destroyed` : `${destroyed} record${destroyed === 1 ? '' : 's'} will be removed`}
+                                </span>
+                              )}
+                            </span>
+                          </label>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                )}
+                {importError && <p className="text-sm text-red-600 dark:text-red-400">{importError}</p>}
+                <div className="flex gap-2">
+                  <button
+                    type="button"
+                    onClick={() => setImportPreview(null)}
+                    className="flex-1 rounded-xl border border-gray-300 bg-white px-5 py-3 font-medium text-gray-700 transition-colors hover:bg-gray-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:border-gray-600 dark:bg-gray-900 dark:text-gray-200 dark:hover:bg-gray-800"
+                  >
+                    Back
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleConfirmImport}
+                    disabled={(importMode === 'merge' && importPreview.selected.length === 0) || snapshotBusy}
+                    className={importMode === 'replace'
+                      ? 'inline-flex flex-1 items-center justify-center rounded-xl bg-red-600 px-5 py-3 font-medium text-white transition-colors hover:bg-red-700 disabled:opacity-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-red-600 focus-visible:ring-offset-2 focus-visible:ring-offset-gray-100 dark:focus-visible:ring-offset-gray-950'
+                      : `${primaryBtn} flex-1 disabled:opacity-60`}
+                  >
+                    {importMode === 'replace' ? 'Replace Data' : `Import ${importPreview.selected.length} User${importPreview.selected.length === 1 ? '' : 's'}`}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <>
+              <p className="mb-3 text-sm text-gray-600 dark:text-gray-300">
+                {importSource === 'sheet'
+                  ? 'Choose a CSV file (e.g. a pre-registration list or tally sheet) or an unencrypted JSON file, then match its columns. User names are normalized to lowercase on import.'
+                  : 'Choose an encrypted backup file and enter its passphrase. User names are normalized to lowercase on import.'}
+              </p>
+              <div className="mb-3">
+                <div className="inline-flex rounded-xl border border-gray-200 bg-gray-100 p-1 dark:border-gray-700 dark:bg-gray-900">
+                  {[{ key: 'merge', label: 'Merge' }, { key: 'replace', label: 'Replace' }].map(({ key, label }) => (
+                    <button
+                      key={key}
+                      type="button"
+                      onClick={() => setImportMode(key)}
+                      className={`rounded-lg px-4 py-2 text-sm font-medium transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 ${
+                        importMode === key
+                          ? 'bg-white text-teal-700 shadow-sm dark:bg-gray-700 dark:text-teal-300'
+                          : 'text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                  {importMode === 'merge'
+                    ? 'Adds imported users to the current data; records it already has are skipped.'
+                    : 'Deletes all current data first, then loads only the imported data.'}
+                </p>
+              </div>
+              <form onSubmit={(e) => { e.preventDefault(); handleImport(); }} className="space-y-3">
+                {importSource === 'sheet' ? (
+                  <input
+                    type="file"
+                    accept=".csv,.tsv,.txt,.json,text/csv,application/json"
+                    onChange={(e) => handleSheetFile(e.target.files && e.target.files[0] ? e.target.files[0] : null)}
+                    className="block w-full text-sm text-gray-600 file:mr-3 file:rounded-lg file:border-0 file:bg-teal-700 file:px-4 file:py-2 file:font-medium file:text-white hover:file:bg-teal-800 dark:text-gray-300 dark:file:bg-teal-600 dark:hover:file:bg-teal-500"
+                  />
+                ) : (
+                  <>
+                    <input
+                      type="file"
+                      accept=".json,application/json"
+                      onChange={(e) => handleBackupFile(e.target.files && e.target.files[0] ? e.target.files[0] : null)}
+                      className="block w-full text-sm text-gray-600 file:mr-3 file:rounded-lg file:border-0 file:bg-teal-700 file:px-4 file:py-2 file:font-medium file:text-white hover:file:bg-teal-800 dark:text-gray-300 dark:file:bg-teal-600 dark:hover:file:bg-teal-500"
+                    />
+                    <input
+                      type="password"
+                      value={importPassphrase}
+                      onChange={(e) => setImportPassphrase(e.target.value)}
+                      placeholder="Passphrase"
+                      autoComplete="off"
+                      className={inputCls}
+                    />
+                    {importHeader && (
+                      <p className="text-sm text-gray-600 dark:text-gray-300">
+                        Saved {importHeader.device ? `on ${importHeader.device} ` : ''}
+                        {importHeader.exportedAt ? format(new Date(importHeader.exportedAt), 'd MMM yyyy, h:mm a') : ''}
+                        {': '}
+                        {importHeader.userCount} user{importHeader.userCount === 1 ? '' : 's'}, {importHeader.recordCount} record{importHeader.recordCount === 1 ? '' : 's'}
+                        {importHeader.firstRecordAt && importHeader.lastRecordAt
+                          ? ` from ${format(new Date(importHeader.firstRecordAt), 'd MMM yyyy')} to ${format(new Date(importHeader.lastRecordAt), 'd MMM yyyy')}`
+                          : ''}.
+                      </p>
+                    )}
+                  </>
+                )}
+                {importSource === 'sheet' && sheet && sheet.dataset && (
+                  <p className="text-sm text-gray-600 dark:text-gray-300">
+                    This is an unencrypted dataset export with {Object.keys(sheet.dataset.users).length} user{Object.keys(sheet.dataset.users).length === 1 ? '' : 's'}; it is imported as it is.
+                  </p>
+                )}
+                {importSource === 'sheet' && sheetResult && (
+                  <div className="space-y-3 rounded-xl border border-gray-200 p-3 dark:border-gray-700">
+                    <div className="grid grid-cols-2 gap-2">
+                      {IMPORT_FIELDS.map((field) => (
+                        <label key={field.key} className="text-xs text-gray-500 dark:text-gray-400">
+                          {field.label}{field.required ? '' : ' (optional)'}
+                          <select
+                            value={sheetMapping[field.key]}
+                            onChange={(e) => setSheetMapping({ ...sheetMapping, [field.key]: Number(e.target.value) })}
+                            className={`${inputCls} mt-1 px-2 py-1.5 text-sm`}
+                          >
+                            <option value={-1}>{field.required ? 'Choose a column…' : 'None'}</option>
+                            {sheet.table.columns.map((column, i) => <option key={i} value={i}>{column}</option>)}
+                          </select>
+                        </label>
+                      ))}
+                    </div>
+                    <label className="block text-xs text-gray-500 dark:text-gray-400">
+                      Date format
+                      <select
+                        value={sheetDateFormat}
+                        onChange={(e) => setSheetDateFormat(e.target.value)}
+                        className={`${inputCls} mt-1 px-2 py-1.5 text-sm`}
+                      >
+                        {DATE_FORMATS.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+                      </select>
+                    </label>
+                    <p className="text-sm text-gray-700 dark:text-gray-200">
+                      {sheetResult.recordCount} of {sheet.table.rows.length - sheetResult.skipped} row{sheet.table.rows.length - sheetResult.skipped === 1 ? '' : 's'} ready to import
+                      {sheetResult.skipped > 0 && ` (${sheetResult.skipped} total row${sheetResult.skipped === 1 ? '' : 's'} ignored)`}.
+                    </p>
+                    {sheetResult.errors.length > 0 && (
+                      <div className="text-xs text-amber-700 dark:text-amber-400">
+                        <p className="font-medium">Rows that will be skipped:</p>
+                        <ul className="mt-1 max-h-32 space-y-0.5 overflow-y-auto">
+                          {sheetResult.errors.slice(0, 50).map(({ row, message }) => (
+                            <li key={row}>Row {row}: {message}</li>
+                          ))}
+                        </ul>
+                        {sheetResult.errors.length > 50 && <p className="mt-1">…and {sheetResult.errors.length - 50} more.</p>}
+                      </div>
+                    )}
+                  </div>
+                )}
+                {importError && <p className="text-sm text-red-600 dark:text-red-400">{importError}</p>}
+                {importSuccess && <p className="text-sm text-green-700 dark:text-green-400">{importSuccess}</p>}
+                <div className="flex gap-2">
+                  <button
+                    type="button"
+                    onClick={cancelImport}
+                    className="flex-1 rounded-xl border border-gray-300 bg-white px-5 py-3 font-medium text-gray-700 transition-colors hover:bg-gray-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:border-gray-600 dark:bg-gray-900 dark:text-gray-200 dark:hover:bg-gray-800"
+                  >
+                    {importSuccess ? 'Done' : 'Cancel'}
+                  </button>
+                  <button type="submit" disabled={importBusy} className={`${primaryBtn} flex-1 disabled:opacity-60`}>
+                    {importBusy ? 'Reading…' : 'Preview'}
+                  </button>
+                </div>
+              </form>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Event summary (shown when an event is closed) */}
+      {eventSummary && (
+        <div
+          className="fixed inset-0 z-[60] flex items-center justify-center bg-gray-900/50 p-4 backdrop-blur-sm"
+          onClick={() => setEventSummary(null)}
+        >
+          <div className={`${card} max-h-[85vh] w-full max-w-md overflow-y-auto p-6`} onClick={(e) => e.stopPropagation()}>
+            <div className="mb-1 flex items-center justify-between">
+              <h2 className="font-serif text-xl font-semibold text-gray-900 dark:text-white">{eventSummary.event.name}</h2>
+              <button
+                onClick={() => setEventSummary(null)}
+                className="-m-2 rounded-lg p-2 text-gray-400 transition-colors hover:text-gray-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:hover:text-white"
+                aria-label="Close"
+              >
+                <X size={22} />
+              </button>
+            </div>
+            <p className="mb-4 text-sm text-gray-500 dark:text-gray-400">
+              {format(new Date(eventSummary.event.startAt), 'd MMM yyyy, h:mm a')}
+              {eventSummary.event.endAt ? ` – ${format(new Date(eventSummary.event.endAt), 'd MMM yyyy, h:mm a')}` : ' · still open'}
+            </p>
+            <dl className="space-y-2 text-sm">
+              {[
+                ['People', eventSummary.userCount],
+                ['Drinks logged', eventSummary.recordCount],
+                ['Total', `${roundMl(eventSummary.totalMl)} ml`],
+                ['Pure alcohol', `${eventSummary.grams.toFixed(1)} g · ${(eventSummary.grams / STANDARD_DRINK_GRAMS).toFixed(1)} std drinks`],
+                ['Limit overrides', eventSummary.overrideCount],
+              ].map(([label, value]) => (
+                <div key={label} className="flex items-baseline justify-between gap-4">
+                  <dt className="text-gray-500 dark:text-gray-400">{label}</dt>
+                  <dd className="text-right font-medium tabular-nums text-gray-900 dark:text-gray-100">{value}</dd>
+                </div>
+              ))}
+            </dl>
+            {eventSummary.unknown > 0 && (
+              <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                Alcohol totals exclude {eventSummary.unknown} record{eventSummary.unknown === 1 ? '' : 's'} without a beverage.
+              </p>
+            )}
+            {eventSummary.users.length > 0 && (
+              <div className="mt-4 border-t border-gray-200 pt-3 dark:border-gray-700">
+                <p className="mb-2 text-sm font-medium text-gray-500 dark:text-gray-400">Per person</p>
+                <ul className="max-h-48 space-y-1 overflow-y-auto text-sm">
+                  {eventSummary.users.map((u) => (
+                    <li key={u.userId} className="flex justify-between gap-4">
+                      <span className="truncate text-gray-800 dark:text-gray-100">{u.userId}</span>
+                      <span className="shrink-0 tabular-nums text-gray-500 dark:text-gray-400">
+                        {u.recordCount} drink{u.recordCount === 1 ? '' : 's'} · {roundMl(u.totalMl)} ml
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            <button
+              type="button"
+              onClick={() => requireAdmin(() => downloadCsv(null, null, eventSummary.event))}
+              disabled={eventSummary.recordCount === 0}
+              className={`${primaryBtn} mt-5 w-full disabled:opacity-60`}
+            >
+              <FileSpreadsheet size={18} />
+              Download Event CSV
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Analytics: consumption over a chosen range */}
+      {showAnalytics && (
+        <div
+          className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900/40 p-4 backdrop-blur-sm"
+          onClick={() => setShowAnalytics(false)}
+        >
+          <div className={`${card} max-h-[90vh] w-full max-w-3xl overflow-y-auto p-6`} onClick={(e) => e.stopPropagation()}>
+            <div className="mb-4 flex items-center justify-between">
+              <h2 className="font-serif text-xl font-semibold text-gray-900 dark:text-white">Analytics</h2>
+              <button
+                onClick={() => setShowAnalytics(false)}
+                className="-m-2 rounded-lg p-2 text-gray-400 transition-colors hover:text-gray-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:hover:text-white"
+                aria-label="Close analytics"
+              >
+                <X size={22} />
+              </button>
+            </div>
+
+            <div className="mb-3 flex flex-wrap items-center gap-2">
+              <select
+                value={analyticsUser}
+                onChange={(e) => { setAnalyticsUser(e.target.value); setPinnedBucket(null); }}
+                aria-label="Whose records"
+                className={selectCls}
+              >
+                <option value="">Everyone</option>
+                {allUserIds.map((id) => <option key={id} value={id}>{id}</option>)}
+              </select>
+              <div className="inline-flex flex-wrap rounded-xl border border-gray-200 bg-gray-100 p-1 dark:border-gray-700 dark:bg-gray-900">
+                {ANALYTICS_RANGES.map(({ key, label }) => (
+                  <button
+                    key={key}
+                    type="button"
+                    onClick={() => { setAnalyticsRange(key); setPinnedBucket(null); }}
+                    className={`rounded-lg px-3 py-1.5 text-sm font-medium transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 ${
+                      analyticsRange === key
+                        ? 'bg-white text-teal-700 shadow-sm dark:bg-gray-700 dark:text-teal-300'
+                        : 'text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <select
+                value={analytics ? analytics.bucketMinutes : ''}
+                onChange={(e) => { setAnalyticsBucket(Number(e.target.value)); setPinnedBucket(null); }}
+                disabled={!analytics}
+                aria-label="Bucket size"
+                className={selectCls}
+              >
+                {analyticsBucketSizes.map((size) => <option key={size} value={size}>Per {formatMinutes(size)}</option>)}
+              </select>
+            </div>
+            {analyticsRange === 'custom' && (
+              <div className="mb-3 flex flex-wrap items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+                <input
+                  type="datetime-local"
+                  value={analyticsStart}
+                  onChange={(e) => { setAnalyticsStart(e.target.value); setPinnedBucket(null); }}
+                  aria-label="From"
+                  className={selectCls}
+                />
+                to
+                <input
+                  type="datetime-local"
+                  value={analyticsEnd}
+                  onChange={(e) => { setAnalyticsEnd(e.target.value); setPinnedBucket(null); }}
+                  aria-label="To"
+                  className={selectCls}
+                />
+              </div>
+            )}
+
+            {analyticsError ? (
+              <p className="text-sm text-red-600 dark:text-red-400">{analyticsError}</p>
+            ) : (
+              <>
+                <p className="mb-3 text-sm text-gray-500 dark:text-gray-400">
+                  {format(analytics.start, 'd MMM yyyy, h:mm a')} – {format(analytics.end, 'd MMM yyyy, h:mm a')}
+                </p>
+                <dl className="mb-4 grid grid-cols-2 gap-3 sm:grid-cols-4">
+                  {[
+                    ['Drinks', analytics.recordCount],
+                    ['Total', `${roundMl(analytics.totalMl)} ml`],
+                    ['Pure alcohol', `${analytics.grams.toFixed(1)} g`],
+                    ['Avg. between drinks', analytics.averageIntervalMinutes == null ? '—' : formatMinutes(analytics.averageIntervalMinutes)],
+                  ].map(([label, value]) => (
+                    <div key={label} className="rounded-xl bg-gray-50 p-3 dark:bg-gray-900/60">
+                      <dt className="text-xs text-gray-500 dark:text-gray-400">{label}</dt>
+                      <dd className="mt-0.5 text-lg font-semibold tabular-nums text-gray-900 dark:text-gray-100">{value}</dd>
+                    </div>
+                  ))}
+                </dl>
+
+                {analytics.recordCount > 0 ? (
+                  <ResponsiveContainer width="100%" height={200}>
+                    <BarChart data={analytics.buckets} margin={{ top: 8, right: 6, bottom: 0, left: 6 }}>
+                      <XAxis
+                        dataKey="label"
+                        tickLine={false}
+                        axisLine={false}
+                        minTickGap={12}
+                        tick={{ fontSize: 10, fill: axisColor }}
+                      />
+                      <Tooltip
+                        cursor={{ fill: isDark ? '#374151' : '#e5e7eb' }}
+                        content={({ active, payload }) => {
+                          if (!active || !payload || payload.length === 0) return null;
+                          const bucket = payload[0].payload;
+                          return (
+                            <div className="rounded-lg border border-gray-200 bg-white px-3 py-2 text-xs shadow-md dark:border-gray-700 dark:bg-gray-800">
+                              <p className="font-medium text-gray-900 dark:text-gray-100">
+                                {format(bucket.start, 'EEE d MMM, h:mm a')} – {format(bucket.end, 'h:mm a')}
+                              </p>
+                              <p className="text-gray-600 dark:text-gray-300">{bucket.count} drink{bucket.count === 1 ? '' : 's'} · {roundMl(bucket.ml)} ml</p>
+                              {bucket.records.slice(0, 5).map(({ userId: id, record }) => (
+                                <p key={record.id} className="tabular-nums text-gray-500 dark:text-gray-400">
+                                  {format(new Date(record.timestamp), 'h:mm a')} · {id} · {roundMl(record.amount)} ml
+                                </p>
+                              ))}
+                              {bucket.records.length > 5 && (
+                                <p className="text-gray-500 dark:text-gray-400">+{bucket.records.length - 5} more; click the bar for all</p>
+                              )}
+                            </div>
+                          );
+                        }}
+                      />
+                      <Bar
+                        dataKey="ml"
+                        fill={barColor}
+                        radius={[3, 3, 0, 0]}
+                        maxBarSize={28}
+                        isAnimationActive={false}
+                        onClick={(_, index) => setPinnedBucket(index)}
+                        className="cursor-pointer"
+                      />
+                    </BarChart>
+                  </ResponsiveContainer>
+                ) : (
+                  <p className="py-6 text-center text-sm text-gray-500 dark:text-gray-400">No drinks in this range.</p>
+                )}
+
+                {pinned && (
+                  <div className="mt-4 border-t border-gray-200 pt-3 dark:border-gray-700">
+                    <div className="mb-2 flex items-center justify-between gap-2">
+                      <p className="text-sm font-medium text-gray-500 dark:text-gray-400">
+                        {format(pinned.start, 'EEE d MMM, h:mm a')} – {format(pinned.end, 'h:mm a')} · {pinned.count} drink{pinned.count === 1 ? '' : 's'}
+                      </p>
+                      <button
+                        type="button"
+                        onClick={() => setPinnedBucket(null)}
+                        className="-m-1 shrink-0 rounded-lg p-1 text-gray-400 transition-colors hover:text-gray-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:hover:text-white"
+                        aria-label="Close the records list"
+                      >
+                        <X size={18} />
+                      </button>
+                    </div>
+                    <ul className="max-h-48 space-y-1 overflow-y-auto text-sm">
+                      {pinned.records.map(({ userId: id, record }) => (
+                        <li key={record.id} className="flex justify-between gap-4">
+                          <span className="truncate text-gray-800 dark:text-gray-100">
+                            {format(new Date(record.timestamp), 'h:mm a')} · {id}{record.beverage ? ` · ${record.beverage.name}` : ''}
+                          </span>
+                          <span className="shrink-0 tabular-nums text-gray-500 dark:text-gray-400">{roundMl(record.amount)} ml</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {!analyticsUser && analytics.users.length > 0 && (
+                  <div className="mt-4 border-t border-gray-200 pt-3 dark:border-gray-700">
+                    <p className="mb-2 text-sm font-medium text-gray-500 dark:text-gray-400">Per person ({analytics.userCount})</p>
+                    <ul className="max-h-48 space-y-1 overflow-y-auto text-sm">
+                      {analytics.users.map((u) => (
+                        <li key={u.userId} className="flex justify-between gap-4">
+                          <button
+                            type="button"
+                            onClick={() => { setAnalyticsUser(u.userId); setPinnedBucket(null); }}
+                            className="truncate text-left text-gray-800 hover:underline focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:text-gray-100"
+                          >
+                            {u.userId}
+                          </button>
+                          <span className="shrink-0 tabular-nums text-gray-500 dark:text-gray-400">
+                            {u.recordCount} drink{u.recordCount === 1 ? '' : 's'} · {roundMl(u.totalMl)} ml
+                            {u.averageIntervalMinutes != null && ` · every ${formatMinutes(u.averageIntervalMinutes)}`}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Audit log */}
+      {showAudit && (
+        <div
+          className="fixed inset-0 z-[60] flex items-center justify-center bg-gray-900/50 p-4 backdrop-blur-sm"
+          onClick={() => setShowAudit(false)}
+        >
+          <div className={`${card} max-h-[90vh] w-full max-w-2xl overflow-y-auto p-6`} onClick={(e) => e.stopPropagation()}>
+            <div className="mb-4 flex items-center justify-between">
+              <h2 className="font-serif text-xl font-semibold text-gray-900 dark:text-white">Audit Log</h2>
+              <button
+                onClick={() => setShowAudit(false)}
+                className="-m-2 rounded-lg p-2 text-gray-400 transition-colors hover:text-gray-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:hover:text-white"
+                aria-label="Close the audit log"
+              >
+                <X size={22} />
+              </button>
+            </div>
+            <div className="mb-3 flex flex-wrap items-center gap-2">
+              <select
+                value={auditFilter.action}
+                onChange={(e) => setAuditFilter({ ...auditFilter, action: e.target.value })}
+                aria-label="Kind of change"
+                className={selectCls}
+              >
+                <option value="">All changes</option>
+                {AUDIT_ACTIONS.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+              </select>
+              <input
+                type="date"
+                value={auditFilter.from}
+                onChange={(e) => setAuditFilter({ ...auditFilter, from: e.target.value })}
+                aria-label="From"
+                className={selectCls}
+              />
+              <input
+                type="search"
+                value={auditFilter.text}
+                onChange={(e) => setAuditFilter({ ...auditFilter, text: e.target.value })}
+                placeholder="User or value"
+                aria-label="Search"
+                className={`${selectCls} min-w-0 flex-1`}
+              />
+            </div>
+            <div className="mb-3 flex items-center justify-between gap-2 text-sm text-gray-500 dark:text-gray-400">
+              <span>{auditEntries.length} entr{auditEntries.length === 1 ? 'y' : 'ies'}</span>
+              <button
+                type="button"
+                onClick={() => triggerDownload(buildAuditCsv(auditEntries), `alcohol_tracker_audit_${format(new Date(), 'yyyy-MM-dd')}.csv`, 'text/csv;charset=utf-8')}
+                disabled={auditEntries.length === 0}
+                className="inline-flex items-center gap-1.5 rounded-lg border border-gray-300 bg-white px-3 py-1.5 text-sm font-medium text-gray-700 transition-colors hover:bg-gray-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 disabled:opacity-50 dark:border-gray-600 dark:bg-gray-900 dark:text-gray-200 dark:hover:bg-gray-800"
+              >
+                <FileSpreadsheet size={16} />
+                Download CSV
+              </button>
+            </div>
+            {auditEntries.length === 0 ? (
+              <p className="py-6 text-center text-sm text-gray-500 dark:text-gray-400">No changes match.</p>
+            ) : (
+              <ul className="divide-y divide-gray-200 text-sm dark:divide-gray-700">
+                {auditEntries.slice(0, auditLimit).map((entry) => (
+                  <li key={entry.id} className="py-2">
+                    <div className="flex items-baseline justify-between gap-3">
+                      <span className="font-medium text-gray-900 dark:text-gray-100">
+                        {auditActionLabel(entry.action)}{entry.userId ? ` · ${entry.userId}` : ''}
+                      </span>
+                      <span className="shrink-0 tabular-nums text-xs text-gray-500 dark:text-gray-400">
+                        {format(new Date(entry.at), 'd MMM yyyy, h:mm:ss a')}
+                      </span>
+                    </div>
+                    <p className="break-words text-gray-600 dark:text-gray-300">{auditSummary(entry)}</p>
+                    {entry.device && <p className="text-xs text-gray-400 dark:text-gray-500">Device {entry.device}</p>}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {auditEntries.length > auditLimit && (
+              <button
+                type="button"
+                onClick={() => setAuditLimit((n) => n + AUDIT_PAGE_SIZE)}
+                className="mt-3 rounded-lg px-2 py-1.5 text-sm font-medium text-teal-700 transition-colors hover:bg-teal-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:text-teal-400 dark:hover:bg-teal-900/20"
+              >
+                Show more
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Snapshots */}
+      {showSnapshots && (
+        <div
+          className="fixed inset-0 z-[60] flex items-center justify-center bg-gray-900/50 p-4 backdrop-blur-sm"
+          onClick={() => setShowSnapshots(false)}
+        >
+          <div className={`${card} max-h-[90vh] w-full max-w-lg overflow-y-auto p-6`} onClick={(e) => e.stopPropagation()}>
+            <div className="mb-4 flex items-center justify-between">
+              <h2 className="font-serif text-xl font-semibold text-gray-900 dark:text-white">Restore Snapshot</h2>
+              <button
+                onClick={() => setShowSnapshots(false)}
+                className="-m-2 rounded-lg p-2 text-gray-400 transition-colors hover:text-gray-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:hover:text-white"
+                aria-label="Close the snapshots"
+              >
+                <X size={22} />
+              </button>
+            </div>
+            <p className="mb-3 text-sm text-gray-600 dark:text-gray-300">
+              A snapshot of all users and records is kept on this device before every reset, replacing import, rename or merge of users, and restore. Settings and the audit log are not part of it.
+            </p>
+            <div className="mb-4 flex items-center gap-3 text-sm">
+              <span className="text-gray-600 dark:text-gray-300">Keep the newest</span>
+              <input
+                type="number"
+                inputMode="numeric"
+                value={snapshotLimit}
+                onChange={handleSnapshotLimitChange}
+                min="1"
+                max={MAX_SNAPSHOT_LIMIT}
+                aria-label="Snapshots to keep"
+                className={`${inputCls} w-20 px-3 py-2 text-sm tabular-nums`}
+              />
+              <span className="text-gray-600 dark:text-gray-300">snapshots</span>
+            </div>
+            {snapshotError && <p className="mb-3 text-sm text-red-600 dark:text-red-400">{snapshotError}</p>}
+            {snapshotSuccess && <p className="mb-3 text-sm text-green-700 dark:text-green-400">{snapshotSuccess}</p>}
+            {snapshots.length === 0 ? (
+              <p className="py-6 text-center text-sm text-gray-500 dark:text-gray-400">No snapshots yet.</p>
+            ) : (
+              <ul className="divide-y divide-gray-200 text-sm dark:divide-gray-700">
+                {snapshots.map((snapshot) => (
+                  <li key={snapshot.id} className="flex items-center justify-between gap-3 py-2">
+                    <span className="min-w-0">
+                      <span className="block font-medium text-gray-900 dark:text-gray-100">
+                        {format(new Date(snapshot.takenAt), 'd MMM yyyy, h:mm:ss a')}
+                      </span>
+                      <span className="block text-xs text-gray-500 dark:text-gray-400">
+                        {snapshotReasonLabel(snapshot.reason)} · {snapshot.userCount} user{snapshot.userCount === 1 ? '' : 's'}, {snapshot.recordCount} record{snapshot.recordCount === 1 ? '' : 's'}
+                      </span>
+                    </span>
+                    {restoreTarget === snapshot.id ? (
+                      <span className="flex shrink-0 gap-1">
+                        <button
+                          type="button"
+                          onClick={() => setRestoreTarget(null)}
+                          className="rounded-lg px-2 py-1.5 text-sm font-medium text-gray-600 transition-colors hover:bg-gray-100 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:text-gray-300 dark:hover:bg-gray-800"
+                        >
+                          Cancel
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleRestoreSnapshot(snapshot.id)}
+                          disabled={snapshotBusy}
+                          className="rounded-lg bg-red-600 px-3 py-1.5 text-sm font-medium text-white transition-colors hover:bg-red-700 disabled:opacity-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-red-600"
+                        >
+                          Replace data
+                        </button>
+                      </span>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => { setSnapshotSuccess(''); setRestoreTarget(snapshot.id); }}
+                        className="shrink-0 rounded-lg px-2 py-1.5 text-sm font-medium text-teal-700 transition-colors hover:bg-teal-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:text-teal-400 dark:hover:bg-teal-900/20"
+                      >
+                        Restore
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {restoreTarget && (
+              <p className="mt-3 text-sm text-gray-600 dark:text-gray-300">
+                Restoring replaces all current users and records with the snapshot’s. The current data is kept as a new snapshot first.
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Encryption help */}
       {showEncryptHelp && (
         <div
@@ -957,25 +4052,30 @@ export default function App() {
               </button>
             </div>
             <div className="space-y-3 text-sm text-gray-600 dark:text-gray-300">
-              <p>The export is your full dataset (all users and records) as JSON, encrypted with a passphrase you choose, using the browser's built-in Web Crypto API. The file is encrypted-only — it contains no readable data, just the cipher parameters and ciphertext.</p>
+              <p>The export is your full dataset (all users and records) as JSON, compressed with gzip and then encrypted with a passphrase you choose, using the browser's built-in Web Crypto API. Apart from the cipher parameters, the only readable part is an optional summary (device name, export time, user and record counts, date range), which can’t be changed without the passphrase.</p>
               <ul className="list-disc space-y-1 pl-5">
                 <li>Cipher: <span className="font-medium text-gray-900 dark:text-gray-100">AES-256-GCM</span> (authenticated encryption).</li>
-                <li>Key derivation: <span className="font-medium text-gray-900 dark:text-gray-100">PBKDF2-SHA256</span>, {PBKDF2_ITERATIONS.toLocaleString()} iterations, with a random 16-byte salt.</li>
+                <li>Key derivation: <span className="font-medium text-gray-900 dark:text-gray-100">PBKDF2-SHA256</span>, {PBKDF2_ITERATIONS.toLocaleString()} iterations by default (selectable when downloading), with a random 16-byte salt.</li>
                 <li>A fresh random 12-byte IV is generated for every export.</li>
+                <li>A SHA-256 checksum of the ciphertext tells a damaged file apart from a wrong passphrase.</li>
               </ul>
               <p>
                 The downloaded <code className="rounded bg-gray-100 px-1 dark:bg-gray-700">.json</code> file stores
                 {' '}<code className="rounded bg-gray-100 px-1 dark:bg-gray-700">algorithm</code>,
                 {' '}<code className="rounded bg-gray-100 px-1 dark:bg-gray-700">kdf</code>,
                 {' '}<code className="rounded bg-gray-100 px-1 dark:bg-gray-700">iterations</code>,
+                {' '}<code className="rounded bg-gray-100 px-1 dark:bg-gray-700">compression</code>,
                 {' '}<code className="rounded bg-gray-100 px-1 dark:bg-gray-700">salt</code>,
-                {' '}<code className="rounded bg-gray-100 px-1 dark:bg-gray-700">iv</code>, and
-                {' '}<code className="rounded bg-gray-100 px-1 dark:bg-gray-700">ciphertext</code> (salt, iv and ciphertext are base64).
+                {' '}<code className="rounded bg-gray-100 px-1 dark:bg-gray-700">iv</code>,
+                {' '}<code className="rounded bg-gray-100 px-1 dark:bg-gray-700">ciphertext</code> and
+                {' '}<code className="rounded bg-gray-100 px-1 dark:bg-gray-700">checksum</code> (salt, iv and ciphertext are base64), plus the optional
+                {' '}<code className="rounded bg-gray-100 px-1 dark:bg-gray-700">header</code>, which is the GCM additional data.
+                Files from older versions (version 1: uncompressed, no header or checksum) still import.
                 The passphrase itself is never stored — keep it safe, it cannot be recovered.
               </p>
-              <p className="font-medium text-gray-900 dark:text-gray-100">To decrypt (Node.js):</p>
-              <pre className="overflow-x-auto rounded-lg bg-gray-900 p-3 text-xs leading-relaxed text-gray-100">{DECRYPT_SNIPPET}</pre>
-              <p>Replace <code className="rounded bg-gray-100 px-1 dark:bg-gray-700">YOUR_PASSPHRASE</code> and the input filename, then run it with Node. It writes <code className="rounded bg-gray-100 px-1 dark:bg-gray-700">decrypted.json</code> — the full dataset, ready to import.</p>
+              <p className="font-medium text-gray-900 dark:text-gray-100">Outside the app (Node.js, offline):</p>
+              <pre className="overflow-x-auto rounded-lg bg-gray-900 p-3 text-xs leading-relaxed text-gray-100">{BACKUP_TOOL_EXAMPLE}</pre>
+              <p>The backup tool in the app’s repository uses the same encryption and merge code as the app. It decrypts backups and encrypted CSVs, re-encrypts with a new passphrase, merges backups from several devices, prints summary statistics and converts to CSV. It asks for the passphrase, or reads it from <code className="rounded bg-gray-100 px-1 dark:bg-gray-700">BACKUP_PASSPHRASE</code>.</p>
             </div>
           </div>
         </div>
@@ -991,244 +4091,766 @@ export default function App() {
                 Alcohol Tracker
               </h1>
             </div>
-            <button
-              onClick={() => setShowConfig(true)}
-              className="-m-1 shrink-0 rounded-xl p-3 text-gray-500 transition-colors hover:bg-gray-200 hover:text-gray-800 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:text-gray-400 dark:hover:bg-gray-800 dark:hover:text-white"
-              title="Settings"
-              aria-label="Open settings"
-            >
-              <Settings size={24} />
-            </button>
+            <div className="flex shrink-0 items-center gap-2">
+              {openEvents.length > 0 && (
+                <label className="inline-flex items-center gap-1.5 rounded-lg bg-gray-200/70 px-2 py-1 text-xs font-medium text-gray-700 dark:bg-gray-800 dark:text-gray-200">
+                  <CalendarDays size={14} />
+                  <select
+                    value={activeEvent ? activeEvent.id : ''}
+                    onChange={(e) => selectActiveEvent(e.target.value || null)}
+                    aria-label="Active event"
+                    className="max-w-[9rem] truncate bg-transparent focus:outline-none"
+                  >
+                    <option value="">No event</option>
+                    {openEvents.map((event) => <option key={event.id} value={event.id}>{event.name}</option>)}
+                  </select>
+                </label>
+              )}
+              {syncStatus && (
+                <span
+                  role="status"
+                  title={syncStatus.error || `${syncStatus.pending} change${syncStatus.pending === 1 ? '' : 's'} waiting to send`}
+                  className={`inline-flex items-center gap-1.5 rounded-lg px-2 py-1 text-xs font-medium ${
+                    syncStatus.state === 'error'
+                      ? 'bg-red-50 text-red-700 dark:bg-red-900/25 dark:text-red-300'
+                      : syncStatus.state === 'offline'
+                        ? 'bg-amber-50 text-amber-800 dark:bg-amber-900/25 dark:text-amber-200'
+                        : 'bg-teal-50 text-teal-800 dark:bg-teal-900/25 dark:text-teal-200'
+                  }`}
+                >
+                  <SyncIcon size={14} className={syncStatus.state === 'syncing' ? 'animate-spin' : ''} />
+                  {syncLabel}
+                </span>
+              )}
+              <button
+                onClick={openAnalytics}
+                className="-m-1 shrink-0 rounded-xl p-3 text-gray-500 transition-colors hover:bg-gray-200 hover:text-gray-800 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:text-gray-400 dark:hover:bg-gray-800 dark:hover:text-white"
+                title="Analytics"
+                aria-label="Open analytics"
+              >
+                <ChartColumn size={24} />
+              </button>
+              <button
+                onClick={openBoard}
+                className="-m-1 shrink-0 rounded-xl p-3 text-gray-500 transition-colors hover:bg-gray-200 hover:text-gray-800 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:text-gray-400 dark:hover:bg-gray-800 dark:hover:text-white"
+                title="Status board"
+                aria-label="Open the status board"
+              >
+                <LayoutGrid size={24} />
+              </button>
+              <button
+                onClick={openConfig}
+                className="-m-1 shrink-0 rounded-xl p-3 text-gray-500 transition-colors hover:bg-gray-200 hover:text-gray-800 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:text-gray-400 dark:hover:bg-gray-800 dark:hover:text-white"
+                title="Settings"
+                aria-label="Open settings"
+              >
+                <Settings size={24} />
+              </button>
+            </div>
           </header>
 
-          <div className={hasRecords ? 'md:grid md:grid-cols-2 md:gap-6 md:items-start' : ''}>
-            {/* Controls column */}
-            <div>
-              {/* Quick name selector: A–Z filter + tappable name chips */}
-              {allUserIds.length > 0 && (
-                <div className="mb-6">
-                  <h2 className="mb-2 text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">Select a name</h2>
-                  <div className="flex gap-1 overflow-x-auto -mx-1 px-1 py-1">
-                    {letterTabs.map((letter) => (
-                      <button
-                        key={letter}
-                        type="button"
-                        onClick={() => setSelectedLetter(letter)}
-                        className={`shrink-0 min-w-[2.5rem] rounded-lg px-2 py-2 text-sm font-semibold transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 ${
-                          selectedLetter === letter
-                            ? 'bg-teal-700 text-white dark:bg-teal-600'
-                            : 'border border-gray-200 bg-white text-gray-600 hover:bg-gray-50 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-300 dark:hover:bg-gray-700'
-                        }`}
-                      >
-                        {letter === 'all' ? 'All' : letter}
-                      </button>
-                    ))}
+          {/* Storage errors (e.g. quota exceeded) — the change shown was rolled back */}
+          {storageError && (
+            <div role="alert" className="mb-6 flex gap-3 rounded-2xl border border-red-200 bg-red-50 p-4 text-red-800 dark:border-red-800/70 dark:bg-red-900/25 dark:text-red-200">
+              <AlertTriangle className="mt-0.5 shrink-0" size={20} />
+              <p className="flex-1 text-sm">{storageError}</p>
+              <button
+                type="button"
+                onClick={() => setStorageError('')}
+                className="-m-1 shrink-0 self-start rounded-lg p-1 opacity-70 transition-opacity hover:opacity-100 focus:outline-none focus-visible:ring-2 focus-visible:ring-red-600"
+                aria-label="Dismiss"
+              >
+                <X size={18} />
+              </button>
+            </div>
+          )}
+
+          {/* Watched users whose wait just ended */}
+          {readyAlerts.map((id) => (
+            <div key={id} role="status" className="mb-6 flex items-center gap-3 rounded-2xl border border-green-200 bg-green-50 p-4 text-green-800 dark:border-green-800/70 dark:bg-green-900/25 dark:text-green-200">
+              <BellRing className="shrink-0" size={20} />
+              <p className="flex-1 text-sm"><span className="font-semibold">{id}</span> can have another drink now.</p>
+              <button
+                type="button"
+                onClick={() => { dismissReadyAlert(id); handleSearch(id); }}
+                className="shrink-0 rounded-lg px-2 py-1.5 text-sm font-medium transition-colors hover:bg-green-100 focus:outline-none focus-visible:ring-2 focus-visible:ring-green-600 dark:hover:bg-green-900/40"
+              >
+                Open
+              </button>
+              <button
+                type="button"
+                onClick={() => dismissReadyAlert(id)}
+                className="-m-1 shrink-0 rounded-lg p-1 opacity-70 transition-opacity hover:opacity-100 focus:outline-none focus-visible:ring-2 focus-visible:ring-green-600"
+                aria-label="Dismiss"
+              >
+                <X size={18} />
+              </button>
+            </div>
+          ))}
+
+          {/* Automatic backups waiting on the passphrase, and the download reminder */}
+          {storeReady && backupSchedule.enabled && !backupPassphrase && (
+            <div role="status" className="mb-6 flex items-center gap-3 rounded-2xl border border-amber-200 bg-amber-50 p-4 text-amber-900 dark:border-amber-800/70 dark:bg-amber-900/25 dark:text-amber-100">
+              <DatabaseBackup className="shrink-0" size={20} />
+              <p className="flex-1 text-sm">Automatic backups are paused until the backup passphrase is entered for this session.</p>
+              <button
+                type="button"
+                onClick={openConfig}
+                className="shrink-0 rounded-lg px-3 py-1.5 text-sm font-medium transition-colors hover:bg-amber-100 focus:outline-none focus-visible:ring-2 focus-visible:ring-amber-600 dark:hover:bg-amber-900/40"
+              >
+                Settings
+              </button>
+            </div>
+          )}
+          {storeReady && allUserIds.length > 0 && !backupReminderHidden && isDownloadOverdue(backupSchedule, lastDownloadAt, backupNow) && (
+            <div role="status" className="mb-6 flex items-center gap-3 rounded-2xl border border-amber-200 bg-amber-50 p-4 text-amber-900 dark:border-amber-800/70 dark:bg-amber-900/25 dark:text-amber-100">
+              <Download className="shrink-0" size={20} />
+              <p className="flex-1 text-sm">
+                {lastDownloadAt
+                  ? `The last backup was downloaded ${formatDistanceToNow(new Date(lastDownloadAt))} ago.`
+                  : 'No backup has been downloaded on this device yet.'}
+              </p>
+              <button
+                type="button"
+                onClick={() => requireAdmin(() => openEncryptPrompt('backup'))}
+                className="shrink-0 rounded-lg px-3 py-1.5 text-sm font-medium transition-colors hover:bg-amber-100 focus:outline-none focus-visible:ring-2 focus-visible:ring-amber-600 dark:hover:bg-amber-900/40"
+              >
+                Download
+              </button>
+              <button
+                type="button"
+                onClick={() => setBackupReminderHidden(true)}
+                className="-m-1 shrink-0 rounded-lg p-1 opacity-70 transition-opacity hover:opacity-100 focus:outline-none focus-visible:ring-2 focus-visible:ring-amber-600"
+                aria-label="Remind me later"
+              >
+                <X size={18} />
+              </button>
+            </div>
+          )}
+
+          {applyUpdate && (
+            <div role="status" className="mb-6 flex items-center gap-3 rounded-2xl border border-teal-200 bg-teal-50 p-4 text-teal-900 dark:border-teal-800/70 dark:bg-teal-900/25 dark:text-teal-100">
+              <RefreshCw className="shrink-0" size={20} />
+              <p className="flex-1 text-sm">An update is available.</p>
+              <button
+                type="button"
+                onClick={applyUpdate}
+                className="shrink-0 rounded-lg px-3 py-1.5 text-sm font-medium text-teal-800 transition-colors hover:bg-teal-100 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:text-teal-200 dark:hover:bg-teal-900/40"
+              >
+                Reload
+              </button>
+              <button
+                type="button"
+                onClick={() => setApplyUpdate(null)}
+                className="-m-1 shrink-0 rounded-lg p-1 opacity-70 transition-opacity hover:opacity-100 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600"
+                aria-label="Dismiss"
+              >
+                <X size={18} />
+              </button>
+            </div>
+          )}
+
+          {!storeReady && !storageError && (
+            <p className="text-gray-500 dark:text-gray-400">Loading…</p>
+          )}
+
+          {storeReady && (
+            <div className={hasRecords ? 'md:grid md:grid-cols-2 md:gap-6 md:items-start' : ''}>
+              {/* Controls column */}
+              <div>
+                {/* Quick name selector: A–Z filter + tappable name chips */}
+                {allUserIds.length > 0 && (
+                  <div className="mb-6">
+                    <h2 className="mb-2 text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">Select a name</h2>
+                    <div className="flex gap-1 overflow-x-auto -mx-1 px-1 py-1">
+                      {letterTabs.map((letter) => (
+                        <button
+                          key={letter}
+                          type="button"
+                          onClick={() => setSelectedLetter(letter)}
+                          className={`shrink-0 min-w-[2.5rem] rounded-lg px-2 py-2 text-sm font-semibold transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 ${
+                            activeLetter === letter
+                              ? 'bg-teal-700 text-white dark:bg-teal-600'
+                              : 'border border-gray-200 bg-white text-gray-600 hover:bg-gray-50 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-300 dark:hover:bg-gray-700'
+                          }`}
+                        >
+                          {letter === 'all' ? 'All' : letter}
+                        </button>
+                      ))}
+                    </div>
+                    <div className="mt-1 flex max-h-56 flex-wrap gap-2 overflow-y-auto -mx-1 px-1 py-1">
+                      {filteredUserIds.map((name) => (
+                        <button
+                          key={name}
+                          type="button"
+                          onClick={() => handleSearch(name)}
+                          className={`rounded-xl px-3 py-2 text-base transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 ${
+                            currentUser === name
+                              ? 'bg-teal-700 text-white dark:bg-teal-600'
+                              : 'border border-gray-200 bg-white text-gray-700 hover:border-teal-400 hover:bg-gray-50 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-200 dark:hover:border-teal-500'
+                          }`}
+                        >
+                          {name}
+                        </button>
+                      ))}
+                    </div>
                   </div>
-                  <div className="mt-1 flex max-h-56 flex-wrap gap-2 overflow-y-auto -mx-1 px-1 py-1">
-                    {filteredUserIds.map((name) => (
+                )}
+
+                {/* User ID Input with Autocomplete */}
+                <div className="relative mb-6">
+                  <div className="flex items-stretch gap-2">
+                    <input
+                      type="text"
+                      value={userId}
+                      onChange={handleUserIdChange}
+                      onKeyDown={handleUserIdKeyDown}
+                      onFocus={() => setIsInputActive(true)}
+                      placeholder="Enter User ID"
+                      className={inputCls}
+                    />
+                    {cameraScanSupported && (
                       <button
-                        key={name}
                         type="button"
-                        onClick={() => handleSearch(name)}
-                        className={`rounded-xl px-3 py-2 text-base transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 ${
-                          currentUser === name
-                            ? 'bg-teal-700 text-white dark:bg-teal-600'
-                            : 'border border-gray-200 bg-white text-gray-700 hover:border-teal-400 hover:bg-gray-50 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-200 dark:hover:border-teal-500'
-                        }`}
+                        onClick={openScanner}
+                        className="shrink-0 rounded-xl border border-gray-300 bg-white px-3 text-gray-600 transition-colors hover:bg-gray-50 hover:text-gray-900 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:border-gray-600 dark:bg-gray-900 dark:text-gray-300 dark:hover:bg-gray-800 dark:hover:text-white"
+                        title="Scan a badge with the camera"
+                        aria-label="Scan a badge with the camera"
                       >
-                        {name}
+                        <ScanLine size={20} />
                       </button>
-                    ))}
+                    )}
+                    <button onClick={() => handleSearch()} className={`${primaryBtn} shrink-0`}>
+                      Search
+                    </button>
                   </div>
-                </div>
-              )}
 
-              {/* User ID Input with Autocomplete */}
-              <div className="relative mb-6">
-                <div className="flex items-stretch gap-2">
-                  <input
-                    type="text"
-                    value={userId}
-                    onChange={(e) => setUserId(e.target.value)}
-                    onFocus={() => setIsInputActive(true)}
-                    placeholder="Enter User ID"
-                    className={inputCls}
-                  />
-                  <button onClick={() => handleSearch()} className={`${primaryBtn} shrink-0`}>
-                    Search
-                  </button>
+                  {/* Suggestions dropdown */}
+                  {suggestions.length > 0 && isInputActive && (
+                    <div className="absolute z-10 mt-1 w-full overflow-hidden rounded-xl border border-gray-200 bg-white shadow-lg dark:border-gray-700 dark:bg-gray-800">
+                      {suggestions.map((suggestion, index) => (
+                        <div
+                          key={index}
+                          className="cursor-pointer px-4 py-3 text-gray-800 hover:bg-gray-50 dark:text-gray-200 dark:hover:bg-gray-700"
+                          onClick={() => handleSuggestionClick(suggestion)}
+                        >
+                          {suggestion}
+                        </div>
+                      ))}
+                    </div>
+                  )}
                 </div>
 
-                {/* Suggestions dropdown */}
-                {suggestions.length > 0 && isInputActive && (
-                  <div className="absolute z-10 mt-1 w-full overflow-hidden rounded-xl border border-gray-200 bg-white shadow-lg dark:border-gray-700 dark:bg-gray-800">
-                    {suggestions.map((suggestion, index) => (
-                      <div
-                        key={index}
-                        className="cursor-pointer px-4 py-3 text-gray-800 hover:bg-gray-50 dark:text-gray-200 dark:hover:bg-gray-700"
-                        onClick={() => handleSuggestionClick(suggestion)}
-                      >
-                        {suggestion}
-                      </div>
-                    ))}
+                {/* New User Prompt */}
+                {showNewUserPrompt && (
+                  <div className={`${card} mb-6 p-4`}>
+                    <p className="text-gray-700 dark:text-gray-200">User not found. Would you like to create a new user?</p>
+                    <button onClick={handleCreateUser} className={`${primaryBtn} mt-3 w-full sm:w-auto`}>
+                      Create New User
+                    </button>
                   </div>
                 )}
-              </div>
-
-              {/* New User Prompt */}
-              {showNewUserPrompt && (
-                <div className={`${card} mb-6 p-4`}>
-                  <p className="text-gray-700 dark:text-gray-200">User not found. Would you like to create a new user?</p>
-                  <button onClick={handleCreateUser} className={`${primaryBtn} mt-3 w-full sm:w-auto`}>
-                    Create New User
-                  </button>
-                </div>
-              )}
 
-              {/* Green confirmation — only right after clicking Add Record */}
-              {currentUser && justRecorded && withinWaitWindow && (
-                <div className="mb-6 flex gap-3 rounded-2xl border border-green-200 bg-green-50 p-4 text-green-800 dark:border-green-800/70 dark:bg-green-900/25 dark:text-green-200">
-                  <CheckCircle2 className="mt-0.5 shrink-0" size={20} />
-                  <div>
-                    <p className="font-semibold">Amount recorded</p>
-                    <p className="text-sm opacity-90">
-                      The next drink can be taken at <span className="font-medium">{nextAllowedTime}</span> (about {waitingTimeNeeded} min from now).
-                    </p>
-                  </div>
-                </div>
-              )}
-
-              {/* Wait warning when viewing an existing user within the waiting window */}
-              {currentUser && !justRecorded && withinWaitWindow && (
-                isAlmostReady ? (
-                  <div className="mb-6 flex gap-3 rounded-2xl border border-amber-200 bg-amber-50 p-4 text-amber-900 dark:border-amber-700/60 dark:bg-amber-900/25 dark:text-amber-200">
-                    <Clock className="mt-0.5 shrink-0" size={20} />
-                    <div>
-                      <p className="font-semibold">Almost ready</p>
-                      <p className="text-sm opacity-90">
-                        About {waitingTimeNeeded} min left — the next drink can be taken at <span className="font-medium">{nextAllowedTime}</span>.
-                      </p>
-                    </div>
-                  </div>
-                ) : (
-                  <div className="mb-6 flex gap-3 rounded-2xl border border-red-200 bg-red-50 p-4 text-red-800 dark:border-red-800/70 dark:bg-red-900/25 dark:text-red-200">
-                    <AlertTriangle className="mt-0.5 shrink-0" size={20} />
-                    <div>
-                      <p className="font-semibold">Please wait</p>
+                {/* Green confirmation — only right after clicking Add Record */}
+                {currentUser && justRecorded && withinWaitWindow && (
+                  <div className="mb-6 flex gap-3 rounded-2xl border border-green-200 bg-green-50 p-4 text-green-800 dark:border-green-800/70 dark:bg-green-900/25 dark:text-green-200">
+                    <CheckCircle2 className="mt-0.5 shrink-0" size={20} />
+                    <div className="flex-1">
+                      <p className="font-semibold">Amount recorded</p>
                       <p className="text-sm opacity-90">
-                        About {waitingTimeNeeded} more minutes — the next drink can be taken at <span className="font-medium">{nextAllowedTime}</span>.
+                        The next drink can be taken at <span className="font-medium">{nextAllowedTime}</span> (<span className="tabular-nums">{countdown}</span> from now).
                       </p>
                     </div>
-                  </div>
-                )
-              )}
-
-              {/* Add Record Form */}
-              {currentUser && (
-                <div className={`${card} mb-6 p-5`}>
-                  <h2 className="mb-3 font-serif text-xl font-semibold text-gray-900 dark:text-white">
-                    Add record <span className="font-sans text-base font-normal text-gray-500 dark:text-gray-400">· {currentUser}</span>
-                  </h2>
-                  <form onSubmit={handleAddRecord} className="flex flex-col gap-2 sm:flex-row">
-                    <input
-                      type="number"
-                      inputMode="decimal"
-                      value={amount}
-                      onChange={(e) => setAmount(e.target.value)}
-                      placeholder="Amount (ml)"
-                      min="0"
-                      step="0.01"
-                      className={`${inputCls} tabular-nums`}
-                    />
-                    <button type="submit" className={`${primaryBtn} shrink-0`}>
-                      Add Record
-                    </button>
-                  </form>
-                  <div className="mt-3 grid grid-cols-4 gap-2 sm:grid-cols-8">
-                    {AMOUNT_PRESETS.map((preset) => (
+                    {lastAdded && (
                       <button
-                        key={preset}
                         type="button"
-                        onClick={() => setAmount(preset.toString())}
-                        className="rounded-xl border border-gray-200 bg-gray-50 py-2.5 text-base tabular-nums text-gray-700 transition-colors hover:border-teal-400 hover:bg-white active:bg-gray-100 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:border-gray-700 dark:bg-gray-900 dark:text-gray-200 dark:hover:border-teal-500 dark:hover:bg-gray-800"
+                        onClick={handleUndoLast}
+                        className="inline-flex shrink-0 items-center gap-1.5 self-start rounded-lg border border-green-300 bg-white/70 px-3 py-1.5 text-sm font-medium text-green-800 transition-colors hover:bg-white focus:outline-none focus-visible:ring-2 focus-visible:ring-green-600 dark:border-green-700 dark:bg-green-950/40 dark:text-green-200 dark:hover:bg-green-900/40"
                       >
-                        {preset}
+                        <Undo2 size={16} />
+                        Undo last record
                       </button>
-                    ))}
+                    )}
+                    {watchButton}
                   </div>
-                </div>
-              )}
-            </div>
+                )}
 
-            {/* Data column */}
-            <div>
-              {/* Consumption Statistics */}
-              {currentUser && records.length > 0 && (
-                <div className={`${card} mb-6 p-5`}>
-                  <h2 className="mb-4 font-serif text-xl font-semibold text-gray-900 dark:text-white">Statistics</h2>
-                  <dl className="space-y-3">
-                    <div className="flex items-baseline justify-between gap-4">
-                      <dt className="text-gray-500 dark:text-gray-400">Total consumption</dt>
-                      <dd className="font-medium tabular-nums text-gray-900 dark:text-gray-100">{totalConsumption.toFixed(2)} ml</dd>
+                {/* Wait warning when viewing an existing user within the waiting window */}
+                {currentUser && !justRecorded && withinWaitWindow && (
+                  isAlmostReady ? (
+                    <div className="mb-6 flex gap-3 rounded-2xl border border-amber-200 bg-amber-50 p-4 text-amber-900 dark:border-amber-700/60 dark:bg-amber-900/25 dark:text-amber-200">
+                      <Clock className="mt-0.5 shrink-0" size={20} />
+                      <div className="flex-1">
+                        <p className="font-semibold">Almost ready</p>
+                        <p className="text-sm opacity-90">
+                          <span className="font-medium tabular-nums">{countdown}</span> left — the next drink can be taken at <span className="font-medium">{nextAllowedTime}</span>.
+                        </p>
+                      </div>
+                      {watchButton}
                     </div>
-                    <div className="flex items-baseline justify-between gap-4">
-                      <dt className="text-gray-500 dark:text-gray-400">Last 2 hours</dt>
-                      <dd className="font-medium tabular-nums text-gray-900 dark:text-gray-100">{last2HoursConsumption.toFixed(2)} ml</dd>
+                  ) : (
+                    <div className="mb-6 flex gap-3 rounded-2xl border border-red-200 bg-red-50 p-4 text-red-800 dark:border-red-800/70 dark:bg-red-900/25 dark:text-red-200">
+                      <AlertTriangle className="mt-0.5 shrink-0" size={20} />
+                      <div className="flex-1">
+                        <p className="font-semibold">Please wait</p>
+                        <p className="text-sm opacity-90">
+                          <span className="font-medium tabular-nums">{countdown}</span> left — the next drink can be taken at <span className="font-medium">{nextAllowedTime}</span>.
+                        </p>
+                      </div>
+                      {watchButton}
                     </div>
-                    <div className="flex items-baseline justify-between gap-4">
-                      <dt className="text-gray-500 dark:text-gray-400">Time since last drink</dt>
-                      <dd className="font-medium text-gray-900 dark:text-gray-100">{formatDistanceToNow(new Date(records[records.length - 1].timestamp))}</dd>
+                  )
+                )}
+
+                {/* Add Record Form */}
+                {currentUser && (
+                  <div className={`${card} mb-6 p-5`}>
+                    <div className="mb-3 flex items-start justify-between gap-2">
+                      <h2 className="font-serif text-xl font-semibold text-gray-900 dark:text-white">
+                        Add record <span className="font-sans text-base font-normal text-gray-500 dark:text-gray-400">· {currentUser}</span>
+                      </h2>
+                      <div className="flex shrink-0 items-center gap-1">
+                        <button
+                          type="button"
+                          onClick={() => openBadges([currentUser])}
+                          className="rounded-lg p-1.5 text-gray-500 transition-colors hover:bg-gray-100 hover:text-gray-800 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:text-gray-400 dark:hover:bg-gray-700 dark:hover:text-white"
+                          title="Print a badge"
+                          aria-label={`Print a badge for ${currentUser}`}
+                        >
+                          <QrCode size={18} />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setShowOverrides((v) => !v)}
+                          aria-expanded={showOverrides}
+                          className={`inline-flex shrink-0 items-center gap-1.5 rounded-lg px-2 py-1.5 text-sm font-medium transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 ${
+                            hasOverrides
+                              ? 'bg-amber-100 text-amber-900 hover:bg-amber-200 dark:bg-amber-900/40 dark:text-amber-200 dark:hover:bg-amber-900/60'
+                              : 'text-gray-500 hover:bg-gray-100 hover:text-gray-800 dark:text-gray-400 dark:hover:bg-gray-700 dark:hover:text-white'
+                          }`}
+                          title="Rules for this user"
+                        >
+                          <SlidersHorizontal size={16} />
+                          {hasOverrides ? 'Custom rules' : 'Rules'}
+                        </button>
+                      </div>
                     </div>
-                  </dl>
-
-                  {/* Last 6 hours, ml per 30-min window */}
-                  <div className="mt-5 border-t border-gray-200 pt-4 dark:border-gray-700">
-                    <p className="mb-2 text-sm font-medium text-gray-500 dark:text-gray-400">Last 6 hours</p>
-                    {last6hTotal > 0 ? (
-                      <ResponsiveContainer width="100%" height={110}>
-                        <BarChart data={chartData} margin={{ top: 16, right: 6, bottom: 0, left: 6 }}>
-                          <XAxis
-                            dataKey="time"
-                            tickLine={false}
-                            axisLine={false}
-                            interval={1}
-                            tick={{ fontSize: 10, fill: axisColor }}
+                    {hasOverrides && !showOverrides && (
+                      <p className="-mt-1 mb-3 text-sm text-amber-800 dark:text-amber-300">
+                        {Object.entries(userOverrides).map(([key, v]) => `${OVERRIDE_LIMITS[key].label} ${v}${OVERRIDE_LIMITS[key].unit}`).join(' · ')}
+                      </p>
+                    )}
+                    {showOverrides && (
+                      <div className="mb-4 rounded-xl border border-gray-200 bg-gray-50 p-3 dark:border-gray-700 dark:bg-gray-900/60">
+                        <p className="mb-2 text-xs text-gray-500 dark:text-gray-400">
+                          Overrides for {currentUser} only. Leave blank to use the global setting.
+                          {adminLocked && (
+                            <>
+                              {' '}
+                              <button
+                                type="button"
+                                onClick={() => requireAdmin(() => {})}
+                                className="font-medium text-teal-700 hover:underline focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:text-teal-400"
+                              >
+                                Unlock to change
+                              </button>
+                            </>
+                          )}
+                        </p>
+                        <div className="grid grid-cols-3 gap-2" key={currentUser}>
+                          {[
+                            { key: 'waitingMinutes', label: 'Wait (min)', global: waitingMinutes },
+                            { key: 'almostReadyPct', label: 'Almost ready %', global: almostReadyPct },
+                            { key: 'confirmPct', label: 'Confirm %', global: confirmPct },
+                          ].map(({ key, label, global }) => (
+                            <label key={key} className="text-xs text-gray-500 dark:text-gray-400">
+                              {label}
+                              <input
+                                type="number"
+                                inputMode="numeric"
+                                defaultValue={userOverrides[key] ?? ''}
+                                onChange={(e) => handleOverrideChange(key, e.target.value)}
+                                disabled={adminLocked}
+                                placeholder={String(global)}
+                                min={OVERRIDE_LIMITS[key].min}
+                                max={Number.isFinite(OVERRIDE_LIMITS[key].max) ? OVERRIDE_LIMITS[key].max : undefined}
+                                className={`${inputCls} mt-1 px-2 py-2 text-sm tabular-nums disabled:opacity-60 ${key in userOverrides ? 'border-amber-400 dark:border-amber-600' : ''}`}
+                              />
+                            </label>
+                          ))}
+                        </div>
+                        {hasOverrides && !adminLocked && (
+                          <button
+                            type="button"
+                            onClick={() => { handleClearOverrides(); setShowOverrides(false); }}
+                            className="mt-2 text-sm font-medium text-teal-700 hover:underline focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:text-teal-400"
+                          >
+                            Use global settings
+                          </button>
+                        )}
+                      </div>
+                    )}
+                    {beverages.length > 0 && (
+                      <div className="mb-3 flex flex-wrap gap-2">
+                        {beverages.map((b) => (
+                          <button
+                            key={b.id}
+                            type="button"
+                            onClick={() => handleSelectBeverage(b)}
+                            aria-pressed={selectedBeverageId === b.id}
+                            className={`rounded-xl px-3 py-2 text-sm transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 ${
+                              selectedBeverageId === b.id
+                                ? 'bg-teal-700 text-white dark:bg-teal-600'
+                                : 'border border-gray-200 bg-gray-50 text-gray-700 hover:border-teal-400 hover:bg-white dark:border-gray-700 dark:bg-gray-900 dark:text-gray-200 dark:hover:border-teal-500 dark:hover:bg-gray-800'
+                            }`}
+                          >
+                            {b.name} <span className="tabular-nums opacity-75">{b.abv}%</span>
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    <form onSubmit={handleAddRecord} className="flex flex-col gap-2 sm:flex-row">
+                      <input
+                        type="number"
+                        inputMode="decimal"
+                        value={amount}
+                        onChange={(e) => setAmount(e.target.value)}
+                        placeholder="Amount (ml)"
+                        min="0"
+                        step="0.01"
+                        className={`${inputCls} tabular-nums`}
+                      />
+                      <button type="submit" className={`${primaryBtn} shrink-0`}>
+                        Add Record
+                      </button>
+                    </form>
+                    <div className="mt-3 grid grid-cols-4 gap-2 sm:grid-cols-8">
+                      {AMOUNT_PRESETS.map((preset) => (
+                        <button
+                          key={preset}
+                          type="button"
+                          onClick={() => setAmount(preset.toString())}
+                          className="rounded-xl border border-gray-200 bg-gray-50 py-2.5 text-base tabular-nums text-gray-700 transition-colors hover:border-teal-400 hover:bg-white active:bg-gray-100 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:border-gray-700 dark:bg-gray-900 dark:text-gray-200 dark:hover:border-teal-500 dark:hover:bg-gray-800"
+                        >
+                          {preset}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              {/* Data column */}
+              <div>
+                {/* Which event the statistics, records and CSV cover */}
+                {currentUser && records.length > 0 && events.length > 0 && (
+                  <label className="mb-3 flex items-center justify-end gap-2 text-sm text-gray-500 dark:text-gray-400">
+                    <CalendarDays size={16} />
+                    Showing
+                    <select
+                      value={filterEvent ? filterEvent.id : 'all'}
+                      onChange={(e) => setEventFilter(e.target.value)}
+                      aria-label="Show records from"
+                      className={`${inputCls} w-auto px-2 py-1.5 text-sm`}
+                    >
+                      <option value="all">All records</option>
+                      {events.map((event) => <option key={event.id} value={event.id}>{event.name}</option>)}
+                    </select>
+                  </label>
+                )}
+                {/* Consumption Statistics */}
+                {currentUser && records.length > 0 && (
+                  <div className={`${card} mb-6 p-5`}>
+                    <h2 className="mb-4 font-serif text-xl font-semibold text-gray-900 dark:text-white">Statistics</h2>
+                    <dl className="space-y-3">
+                      <div className="flex items-baseline justify-between gap-4">
+                        <dt className="text-gray-500 dark:text-gray-400">Total consumption</dt>
+                        <dd className="text-right font-medium tabular-nums text-gray-900 dark:text-gray-100">
+                          {totalConsumption.toFixed(2)} ml
+                          {hasAlcoholData && (
+                            <span className="block text-sm font-normal text-gray-500 dark:text-gray-400">
+                              {totalAlcohol.grams.toFixed(1)} g alcohol · {(totalAlcohol.grams / STANDARD_DRINK_GRAMS).toFixed(1)} std drinks
+                            </span>
+                          )}
+                        </dd>
+                      </div>
+                      <div className="flex items-baseline justify-between gap-4">
+                        <dt className="text-gray-500 dark:text-gray-400">Last 2 hours</dt>
+                        <dd className="text-right font-medium tabular-nums text-gray-900 dark:text-gray-100">
+                          {last2HoursConsumption.toFixed(2)} ml
+                          {hasAlcoholData && (
+                            <span className="block text-sm font-normal text-gray-500 dark:text-gray-400">
+                              {recentAlcohol.grams.toFixed(1)} g alcohol · {(recentAlcohol.grams / STANDARD_DRINK_GRAMS).toFixed(1)} std drinks
+                            </span>
+                          )}
+                        </dd>
+                      </div>
+                      <div className="flex items-baseline justify-between gap-4">
+                        <dt className="text-gray-500 dark:text-gray-400">Time since last drink</dt>
+                        <dd className="font-medium text-gray-900 dark:text-gray-100">{formatDistanceToNow(new Date(records[records.length - 1].timestamp))}</dd>
+                      </div>
+                    </dl>
+                    {hasAlcoholData && totalAlcohol.unknown > 0 && (
+                      <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                        Alcohol totals exclude {totalAlcohol.unknown} record{totalAlcohol.unknown === 1 ? '' : 's'} without a beverage. 1 std drink = {STANDARD_DRINK_GRAMS} g.
+                      </p>
+                    )}
+
+                    {/* Estimated blood alcohol (Widmark) */}
+                    <div className="mt-5 border-t border-gray-200 pt-4 dark:border-gray-700">
+                      <div className="mb-2 flex items-center justify-between gap-2">
+                        <p className="text-sm font-medium text-gray-500 dark:text-gray-400">Estimated BAC</p>
+                        <div className="flex items-center gap-2">
+                          <input
+                            type="number"
+                            inputMode="decimal"
+                            key={currentUser}
+                            defaultValue={currentProfile.weightKg ?? ''}
+                            onChange={(e) => handleProfileChange('weightKg', e.target.value)}
+                            placeholder="kg"
+                            min="1"
+                            step="any"
+                            aria-label="Body weight (kg)"
+                            className={`${inputCls} w-20 px-2 py-1.5 text-sm tabular-nums`}
                           />
-                          <Bar dataKey="ml" fill={barColor} radius={[3, 3, 0, 0]} maxBarSize={22} isAnimationActive={false}>
-                            <LabelList
-                              dataKey="ml"
-                              position="top"
-                              formatter={(v) => (v > 0 ? v : '')}
-                              style={{ fontSize: 9, fill: axisColor }}
+                          <select
+                            value={currentProfile.sex ?? ''}
+                            onChange={(e) => handleProfileChange('sex', e.target.value)}
+                            aria-label="Sex"
+                            className={`${inputCls} w-auto px-2 py-1.5 text-sm`}
+                          >
+                            <option value="">Sex</option>
+                            <option value="male">Male</option>
+                            <option value="female">Female</option>
+                          </select>
+                        </div>
+                      </div>
+                      {!hasBacProfile(currentProfile) ? (
+                        <p className="text-sm text-gray-400 dark:text-gray-500">Enter body weight and sex to estimate blood alcohol.</p>
+                      ) : bacNow == null ? (
+                        <p className="text-sm text-gray-400 dark:text-gray-500">No records with a beverage (ABV) to estimate from.</p>
+                      ) : (
+                        <>
+                          <dl className="space-y-3">
+                            <div className="flex items-baseline justify-between gap-4">
+                              <dt className="text-gray-500 dark:text-gray-400">Current estimate</dt>
+                              <dd className="font-medium tabular-nums text-gray-900 dark:text-gray-100">{bacNow.toFixed(3)}%</dd>
+                            </div>
+                            <div className="flex items-baseline justify-between gap-4">
+                              <dt className="text-gray-500 dark:text-gray-400">Back to zero</dt>
+                              <dd className="font-medium text-gray-900 dark:text-gray-100">
+                                {soberTime ? `${format(soberTime, 'h:mm a')} (in ${formatDistanceToNow(soberTime)})` : 'Now'}
+                              </dd>
+                            </div>
+                          </dl>
+                          {bacChartData.length > 0 && (
+                            <ResponsiveContainer width="100%" height={110}>
+                              <AreaChart data={bacChartData} margin={{ top: 16, right: 6, bottom: 0, left: 6 }}>
+                                <XAxis
+                                  dataKey="time"
+                                  tickLine={false}
+                                  axisLine={false}
+                                  interval="preserveStartEnd"
+                                  tick={{ fontSize: 10, fill: axisColor }}
+                                />
+                                <Area
+                                  type="linear"
+                                  dataKey="bac"
+                                  stroke={barColor}
+                                  fill={barColor}
+                                  fillOpacity={0.2}
+                                  isAnimationActive={false}
+                                />
+                              </AreaChart>
+                            </ResponsiveContainer>
+                          )}
+                          <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                            Rough estimate from logged drinks{totalAlcohol.unknown > 0 ? ' with a beverage' : ''}, assuming no more are taken. Not a measure of fitness to drive.
+                          </p>
+                        </>
+                      )}
+                    </div>
+
+                    {/* Last 6 hours, ml per 30-min window */}
+                    <div className="mt-5 border-t border-gray-200 pt-4 dark:border-gray-700">
+                      <p className="mb-2 text-sm font-medium text-gray-500 dark:text-gray-400">Last 6 hours</p>
+                      {last6hTotal > 0 ? (
+                        <ResponsiveContainer width="100%" height={110}>
+                          <BarChart data={chartData} margin={{ top: 16, right: 6, bottom: 0, left: 6 }}>
+                            <XAxis
+                              dataKey="time"
+                              tickLine={false}
+                              axisLine={false}
+                              interval={1}
+                              tick={{ fontSize: 10, fill: axisColor }}
                             />
-                          </Bar>
-                        </BarChart>
-                      </ResponsiveContainer>
-                    ) : (
-                      <p className="text-sm text-gray-400 dark:text-gray-500">No consumption in the last 6 hours.</p>
-                    )}
+                            <Bar dataKey="ml" fill={barColor} radius={[3, 3, 0, 0]} maxBarSize={22} isAnimationActive={false}>
+                              <LabelList
+                                dataKey="ml"
+                                position="top"
+                                formatter={(v) => (v > 0 ? v : '')}
+                                style={{ fontSize: 9, fill: axisColor }}
+                              />
+                            </Bar>
+                          </BarChart>
+                        </ResponsiveContainer>
+                      ) : (
+                        <p className="text-sm text-gray-400 dark:text-gray-500">No consumption in the last 6 hours.</p>
+                      )}
+                    </div>
                   </div>
-                </div>
-              )}
+                )}
 
-              {/* Records Display */}
-              {currentUser && records.length > 0 && (
-                <div className={`${card} mb-6 p-5`}>
-                  <h2 className="mb-3 font-serif text-xl font-semibold text-gray-900 dark:text-white">Records</h2>
-                  <div className="md:max-h-[55vh] md:overflow-y-auto">
-                    <ul className="divide-y divide-gray-200 dark:divide-gray-700">
-                      {records.map((record, index) => (
-                        <li key={index} className="flex items-baseline justify-between gap-4 py-3">
-                          <span className="font-medium tabular-nums text-gray-900 dark:text-gray-100">{record.amount.toFixed(2)} ml</span>
-                          <span className="text-sm text-gray-500 dark:text-gray-400">{new Date(record.timestamp).toLocaleString()}</span>
-                        </li>
-                      ))}
-                    </ul>
+                {/* Records Display */}
+                {currentUser && records.length > 0 && (
+                  <div className={`${card} mb-6 p-5`}>
+                    <div className="mb-3 flex items-center justify-between gap-2">
+                      <h2 className="font-serif text-xl font-semibold text-gray-900 dark:text-white">Records</h2>
+                      <div className="flex shrink-0 gap-1">
+                        <button
+                          type="button"
+                          onClick={() => requireAdmin(() => downloadCsv(currentUser, shownRecords, filterEvent))}
+                          className="inline-flex items-center gap-1.5 rounded-lg border border-gray-300 bg-white px-3 py-1.5 text-sm font-medium text-gray-700 transition-colors hover:bg-gray-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:border-gray-600 dark:bg-gray-900 dark:text-gray-200 dark:hover:bg-gray-800"
+                        >
+                          <Download size={16} />
+                          CSV
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => requireAdmin(() => openEncryptPrompt('user-csv'))}
+                          className="rounded-lg border border-gray-300 bg-white px-2 py-1.5 text-gray-500 transition-colors hover:bg-gray-50 hover:text-gray-800 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:border-gray-600 dark:bg-gray-900 dark:text-gray-400 dark:hover:bg-gray-800 dark:hover:text-white"
+                          title="Encrypted CSV"
+                          aria-label={`Download encrypted CSV for ${currentUser}`}
+                        >
+                          <Lock size={16} />
+                        </button>
+                      </div>
+                    </div>
+                    <div className="md:max-h-[55vh] md:overflow-y-auto">
+                      <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                        {records.map((record) => (!filterEvent || record.event === filterEvent.id) && (
+                          editingId === record.id ? (
+                            <li key={record.id} className="py-3">
+                              <form onSubmit={handleSaveEdit} className="space-y-2">
+                                <div className="flex gap-2">
+                                  <input
+                                    type="number"
+                                    inputMode="decimal"
+                                    value={editAmount}
+                                    onChange={(e) => setEditAmount(e.target.value)}
+                                    min="0"
+                                    step="0.01"
+                                    aria-label="Amount (ml)"
+                                    className={`${inputCls} w-28 shrink-0 tabular-nums`}
+                                  />
+                                  <input
+                                    type="datetime-local"
+                                    value={editTime}
+                                    onChange={(e) => setEditTime(e.target.value)}
+                                    aria-label="Date and time"
+                                    className={inputCls}
+                                  />
+                                </div>
+                                <select
+                                  value={editBeverageId}
+                                  onChange={(e) => setEditBeverageId(e.target.value)}
+                                  aria-label="Beverage"
+                                  className={inputCls}
+                                >
+                                  <option value="">No beverage</option>
+                                  {record.beverage && !beverages.some((b) => b.id === record.beverage.id) && (
+                                    <option value={CURRENT_BEVERAGE}>{record.beverage.name} ({record.beverage.abv}%)</option>
+                                  )}
+                                  {beverages.map((b) => (
+                                    <option key={b.id} value={b.id}>{b.name} ({b.abv}%)</option>
+                                  ))}
+                                </select>
+                                {editError && <p className="text-sm text-red-600 dark:text-red-400">{editError}</p>}
+                                <div className="flex gap-2">
+                                  <button
+                                    type="button"
+                                    onClick={cancelEdit}
+                                    className="flex-1 rounded-xl border border-gray-300 bg-white px-4 py-2 font-medium text-gray-700 transition-colors hover:bg-gray-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:border-gray-600 dark:bg-gray-900 dark:text-gray-200 dark:hover:bg-gray-800"
+                                  >
+                                    Cancel
+                                  </button>
+                                  <button type="submit" className={`${primaryBtn} flex-1 py-2`}>
+                                    Save
+                                  </button>
+                                </div>
+                              </form>
+                            </li>
+                          ) : (
+                            <li key={record.id} className="flex items-center justify-between gap-4 py-3">
+                              <div className="min-w-0">
+                                <div className="flex flex-col sm:flex-row sm:items-baseline sm:gap-4">
+                                  <span className="font-medium tabular-nums text-gray-900 dark:text-gray-100">{record.amount.toFixed(2)} ml</span>
+                                  <span className="text-sm text-gray-500 dark:text-gray-400">{new Date(record.timestamp).toLocaleString()}</span>
+                                </div>
+                                {record.beverage && (
+                                  <p className="text-sm tabular-nums text-gray-500 dark:text-gray-400">
+                                    {record.beverage.name} · {record.beverage.abv}% · {pureAlcoholGrams(record).toFixed(1)} g
+                                  </p>
+                                )}
+                                {record.override && (
+                                  <p className="mt-0.5 text-sm text-red-700 dark:text-red-400">
+                                    <span className="font-medium">Limit override:</span> {record.override.reason}
+                                  </p>
+                                )}
+                              </div>
+                              {deletingId === record.id ? (
+                                <div className="flex shrink-0 items-center gap-2">
+                                  <span className="text-sm text-gray-600 dark:text-gray-300">Delete?</span>
+                                  <button
+                                    type="button"
+                                    onClick={() => setDeletingId(null)}
+                                    className="rounded-lg border border-gray-300 bg-white px-3 py-1.5 text-sm font-medium text-gray-700 transition-colors hover:bg-gray-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:border-gray-600 dark:bg-gray-900 dark:text-gray-200 dark:hover:bg-gray-800"
+                                  >
+                                    No
+                                  </button>
+                                  <button
+                                    type="button"
+                                    onClick={() => handleDeleteRecord(record.id)}
+                                    className="rounded-lg bg-red-600 px-3 py-1.5 text-sm font-medium text-white transition-colors hover:bg-red-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-red-600"
+                                  >
+                                    Yes
+                                  </button>
+                                </div>
+                              ) : (
+                                <div className="flex shrink-0 items-center gap-1">
+                                  <button
+                                    type="button"
+                                    onClick={() => startEdit(record)}
+                                    className="rounded-lg p-2 text-gray-400 transition-colors hover:bg-gray-100 hover:text-gray-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-600 dark:hover:bg-gray-700 dark:hover:text-white"
+                                    title="Edit record"
+                                    aria-label="Edit record"
+                                  >
+                                    <Pencil size={16} />
+                                  </button>
+                                  <button
+                                    type="button"
+                                    onClick={() => { cancelEdit(); setDeletingId(record.id); }}
+                                    className="rounded-lg p-2 text-gray-400 transition-colors hover:bg-red-50 hover:text-red-600 focus:outline-none focus-visible:ring-2 focus-visible:ring-red-600 dark:hover:bg-red-900/20 dark:hover:text-red-400"
+                                    title="Delete record"
+                                    aria-label="Delete record"
+                                  >
+                                    <Trash2 size={16} />
+                                  </button>
+                                </div>
+                              )}
+                            </li>
+                          )
+                        ))}
+                      </ul>
+                      {filterEvent && shownRecords.length === 0 && (
+                        <p className="py-3 text-sm text-gray-500 dark:text-gray-400">No records from {filterEvent.name}.</p>
+                      )}
+                    </div>
                   </div>
-                </div>
-              )}
+                )}
+              </div>
             </div>
-          </div>
+          )}
         </div>
       </div>
     </div>
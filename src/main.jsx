@@ -1,6 +1,12 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+// Fonts are bundled (not loaded from Google Fonts) so the app renders the same offline
+import '@fontsource-variable/fraunces/opsz.css'
+import '@fontsource/ibm-plex-sans/400.css'
+import '@fontsource/ibm-plex-sans/500.css'
+import '@fontsource/ibm-plex-sans/600.css'
+import '@fontsource/ibm-plex-sans/700.css'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
@@ -0,0 +1,35 @@
+// Registers the service worker (production builds only) and reports when a new
+// deployment has been downloaded. onUpdateReady receives a function that
+// switches to the new version and reloads the page.
+export const registerServiceWorker = (onUpdateReady) => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  let updating = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    // Only reload for an update the user accepted, not the first install
+    if (!updating) return;
+    updating = false;
+    window.location.reload();
+  });
+
+  const offer = (worker) => onUpdateReady(() => {
+    updating = true;
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  });
+
+  navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+    .then((registration) => {
+      if (registration.waiting && navigator.serviceWorker.controller) offer(registration.waiting);
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        if (!worker) return;
+        worker.addEventListener('statechange', () => {
+          // "installed" with a page already controlled = a newer version is waiting
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) offer(worker);
+        });
+      });
+      // A kiosk can stay open for days; look for a new deployment every hour
+      setInterval(() => { registration.update().catch(() => {}); }, 60 * 60 * 1000);
+    })
+    .catch(() => { /* offline support is best-effort; the app works without it */ });
+};
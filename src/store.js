@@ -0,0 +1,413 @@
+// Persistent storage for users and their records, backed by IndexedDB.
+//
+// openStore() loads everything into memory once (migrating older data on the
+// way); after that, reads are synchronous and writes update the in-memory copy
+// immediately, then persist only the users that changed. A failed write rolls
+// the in-memory copy back and is reported to the onStoreError() listeners.
+// Other open tabs of the app (e.g. the status board on a second screen) are
+// told about every persisted change and reload the users it touched.
+// The audit log is kept alongside, in its own append-only object store, and
+// dataset snapshots and automatic backups in others; those are read and
+// written asynchronously. The sync engine's state (its outbox, cursor and
+// known record versions) is kept in the meta store, read once on load.
+import { assignRecordIds } from './tracker/records.js';
+
+const DB_NAME = 'alcohol-tracker';
+const DB_VERSION = 4; // 2 added the audit store, 3 the snapshots store, 4 the backups store
+const LEGACY_KEY = 'alcoholTracker';
+const AUDIT_KEY = 'auditLog'; // the audit log when IndexedDB is unavailable
+const SYNC_STATE_KEY = 'syncState'; // the sync state's meta key (and localStorage key without IndexedDB)
+
+// Data migrations, applied in order to the whole dataset ({ [id]: records });
+// MIGRATIONS[n] upgrades schema version n to n + 1.
+const MIGRATIONS = [
+  // 0 -> 1: lowercase user IDs (as normalizeId does), merging users whose IDs collide
+  (users) => {
+    const migrated = {};
+    Object.entries(users).forEach(([id, records]) => {
+      const key = id.trim().toLowerCase();
+      migrated[key] = [...(migrated[key] || []), ...(Array.isArray(records) ? records : [])];
+    });
+    Object.keys(migrated).forEach((key) => {
+      migrated[key].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    });
+    return migrated;
+  },
+  // 1 -> 2: give every record an ID (the same legacy ID other devices assign)
+  (users) => Object.fromEntries(
+    Object.entries(users).map(([id, records]) => [id, assignRecordIds(id, records)])
+  ),
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+let db = null; // null when IndexedDB is unavailable and localStorage is used instead
+let cache = {};
+let auditCache = [];
+let syncStateCache = null;
+let legacySyncState = false; // the sync state is still in localStorage
+let opened = false; // changes from other tabs are ignored until the store is loaded
+const errorListeners = new Set();
+const saveListeners = new Set();
+const changeListeners = new Set();
+const channel = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel('alcohol-tracker-store');
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error('The write was aborted.'));
+});
+
+const openDb = () => new Promise((resolve, reject) => {
+  if (typeof indexedDB === 'undefined') {
+    reject(new Error('IndexedDB is not available.'));
+    return;
+  }
+  const req = indexedDB.open(DB_NAME, DB_VERSION);
+  req.onupgradeneeded = () => {
+    const d = req.result;
+    if (!d.objectStoreNames.contains('users')) d.createObjectStore('users', { keyPath: 'id' });
+    if (!d.objectStoreNames.contains('meta')) d.createObjectStore('meta', { keyPath: 'key' });
+    if (!d.objectStoreNames.contains('audit')) d.createObjectStore('audit', { keyPath: 'id' });
+    if (!d.objectStoreNames.contains('snapshots')) d.createObjectStore('snapshots', { keyPath: 'id' });
+    if (!d.objectStoreNames.contains('backups')) d.createObjectStore('backups', { keyPath: 'id' });
+  };
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+  req.onblocked = () => reject(new Error('The tracker is open in another tab; close it and reload.'));
+});
+
+const readLegacyUsers = () => {
+  try {
+    const stored = localStorage.getItem(LEGACY_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch {
+    return null;
+  }
+};
+
+const readLegacySyncState = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SYNC_STATE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+const readLegacyAudit = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(AUDIT_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+const isQuotaError = (err) => !!err && (
+  err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED' || err.code === 22
+);
+
+// A user-facing message for a failed write
+const describeError = (err) => (isQuotaError(err)
+  ? 'Storage is full, so the last change was not saved. Download a backup, then free up space on this device.'
+  : `The last change could not be saved (${err && err.message ? err.message : 'unknown error'}).`);
+
+// Replace the whole dataset in one transaction and record its schema version
+const writeAll = async (users, version) => {
+  const tx = db.transaction(['users', 'meta'], 'readwrite');
+  const usersStore = tx.objectStore('users');
+  usersStore.clear();
+  Object.entries(users).forEach(([id, records]) => usersStore.put({ id, records }));
+  tx.objectStore('meta').put({ key: 'schemaVersion', value: version });
+  await transactionDone(tx);
+};
+
+// Load the dataset, migrating it (and any legacy localStorage data) to the
+// current schema. Falls back to localStorage when IndexedDB can't be opened.
+export const openStore = async () => {
+  try {
+    db = await openDb();
+  } catch {
+    db = null;
+    cache = MIGRATIONS.reduce((users, migrate) => migrate(users), readLegacyUsers() || {});
+    auditCache = readLegacyAudit();
+    syncStateCache = readLegacySyncState();
+    opened = true;
+    return { ...cache };
+  }
+  const tx = db.transaction(['users', 'meta', 'audit'], 'readonly');
+  const [rows, meta, audit, syncState] = await Promise.all([
+    request(tx.objectStore('users').getAll()),
+    request(tx.objectStore('meta').get('schemaVersion')),
+    request(tx.objectStore('audit').getAll()),
+    request(tx.objectStore('meta').get(SYNC_STATE_KEY)),
+  ]);
+  auditCache = audit;
+  // The sync state used to be kept in localStorage; it moves over on its next save
+  syncStateCache = syncState ? syncState.value : readLegacySyncState();
+  legacySyncState = !syncState && syncStateCache !== null;
+  const version = meta ? meta.value : 0;
+  let users = Object.fromEntries(rows.map((row) => [row.id, row.records]));
+  // First load: start from the dataset the app used to keep in localStorage
+  const legacy = version === 0 ? readLegacyUsers() : null;
+  if (legacy) users = { ...legacy, ...users };
+  if (version < SCHEMA_VERSION) {
+    users = MIGRATIONS.slice(version).reduce((data, migrate) => migrate(data), users);
+    try {
+      await writeAll(users, SCHEMA_VERSION);
+    } catch (err) {
+      throw new Error(describeError(err));
+    }
+    if (legacy) localStorage.removeItem(LEGACY_KEY);
+  }
+  cache = users;
+  opened = true;
+  return { ...cache };
+};
+
+// All users and their records. The object is a copy; record arrays are shared,
+// so replace them rather than mutating in place.
+export const getStoredUsers = () => ({ ...cache });
+
+// Subscribe to failed writes; returns an unsubscribe function
+export const onStoreError = (listener) => {
+  errorListeners.add(listener);
+  return () => errorListeners.delete(listener);
+};
+
+// Subscribe to saves (called as soon as the in-memory copy changes, before it
+// is persisted); returns an unsubscribe function
+export const onUsersSaved = (listener) => {
+  saveListeners.add(listener);
+  return () => saveListeners.delete(listener);
+};
+
+// Subscribe to changes saved by another tab (called with the user IDs that
+// changed, after they were reloaded); returns an unsubscribe function
+export const onExternalChange = (listener) => {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+};
+
+const announce = (ids) => {
+  if (channel) channel.postMessage({ type: 'users-changed', ids });
+};
+
+if (channel) {
+  channel.onmessage = async ({ data }) => {
+    if (!opened || !data) return;
+    if (data.type === 'audit-appended' && data.entry) {
+      auditCache = [...auditCache, data.entry];
+      return;
+    }
+    if (data.type !== 'users-changed' || !Array.isArray(data.ids)) return;
+    if (db) {
+      const tx = db.transaction('users', 'readonly');
+      const rows = await Promise.all(data.ids.map((id) => request(tx.objectStore('users').get(id))));
+      const next = { ...cache };
+      data.ids.forEach((id, i) => {
+        if (rows[i]) next[id] = rows[i].records;
+        else delete next[id];
+      });
+      cache = next;
+    } else {
+      cache = readLegacyUsers() || {};
+    }
+    changeListeners.forEach((listener) => listener(data.ids));
+  };
+}
+
+const reportError = (err) => {
+  const message = describeError(err);
+  errorListeners.forEach((listener) => listener(message));
+};
+
+// Save the dataset. Only users whose record arrays changed (or were removed)
+// are written. Resolves once persisted; on failure the in-memory copy for
+// those users is restored and listeners are notified (the promise still resolves).
+export const saveUsers = (users) => {
+  const previous = cache;
+  const next = { ...users };
+  const changed = Object.keys(next).filter((id) => next[id] !== previous[id]);
+  const removed = Object.keys(previous).filter((id) => !(id in next));
+  cache = next;
+  if (changed.length === 0 && removed.length === 0) return Promise.resolve();
+  saveListeners.forEach((listener) => listener());
+
+  const rollback = (err) => {
+    [...changed, ...removed].forEach((id) => {
+      if (cache[id] !== next[id]) return; // a later write already replaced it
+      if (id in previous) cache[id] = previous[id];
+      else delete cache[id];
+    });
+    reportError(err);
+  };
+
+  if (!db) {
+    try {
+      localStorage.setItem(LEGACY_KEY, JSON.stringify(cache));
+      announce([...changed, ...removed]);
+    } catch (err) {
+      rollback(err);
+    }
+    return Promise.resolve();
+  }
+
+  let tx;
+  try {
+    tx = db.transaction('users', 'readwrite');
+    const store = tx.objectStore('users');
+    changed.forEach((id) => store.put({ id, records: next[id] }));
+    removed.forEach((id) => store.delete(id));
+  } catch (err) {
+    rollback(err);
+    return Promise.resolve();
+  }
+  return transactionDone(tx).then(() => announce([...changed, ...removed]), rollback);
+};
+
+// The audit log entries (unordered; the tracker sorts them by time)
+export const getStoredAudit = () => [...auditCache];
+
+// Add an entry to the audit log. Entries are never changed or removed; a
+// failed write drops the entry from memory and notifies the error listeners.
+export const appendAudit = (entry) => {
+  auditCache = [...auditCache, entry];
+  const rollback = (err) => {
+    auditCache = auditCache.filter((e) => e !== entry);
+    reportError(err);
+  };
+  const announceEntry = () => {
+    if (channel) channel.postMessage({ type: 'audit-appended', entry });
+  };
+
+  if (!db) {
+    try {
+      localStorage.setItem(AUDIT_KEY, JSON.stringify(auditCache));
+      announceEntry();
+    } catch (err) {
+      rollback(err);
+    }
+    return Promise.resolve();
+  }
+
+  let tx;
+  try {
+    tx = db.transaction('audit', 'readwrite');
+    tx.objectStore('audit').add(entry);
+  } catch (err) {
+    rollback(err);
+    return Promise.resolve();
+  }
+  return transactionDone(tx).then(announceEntry, rollback);
+};
+
+// The sync engine's saved state (see tracker/sync.js createSync), or null
+export const getStoredSyncState = () => syncStateCache;
+
+// Save the sync state, or clear it with null. Never throws: a failed write is
+// reported to the onStoreError() listeners, and the next save tries again.
+export const saveSyncState = (state) => {
+  syncStateCache = state;
+  if (!db) {
+    try {
+      if (state) localStorage.setItem(SYNC_STATE_KEY, JSON.stringify(state));
+      else localStorage.removeItem(SYNC_STATE_KEY);
+    } catch (err) {
+      reportError(err);
+    }
+    return Promise.resolve();
+  }
+
+  let tx;
+  try {
+    tx = db.transaction('meta', 'readwrite');
+    if (state) tx.objectStore('meta').put({ key: SYNC_STATE_KEY, value: state });
+    else tx.objectStore('meta').delete(SYNC_STATE_KEY);
+  } catch (err) {
+    reportError(err);
+    return Promise.resolve();
+  }
+  return transactionDone(tx).then(() => {
+    if (!legacySyncState) return;
+    localStorage.removeItem(SYNC_STATE_KEY);
+    legacySyncState = false;
+  }, reportError);
+};
+
+// Snapshots and automatic backups are both kept as archives: items of
+// { id, takenAt, ...counts } plus a large body that is only read when needed
+const ARCHIVES = {
+  snapshots: { legacyKey: 'snapshots', body: 'dataset', noun: 'snapshot' },
+  backups: { legacyKey: 'autoBackups', body: 'payload', noun: 'backup' },
+};
+
+const readLegacyArchive = (name) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(ARCHIVES[name].legacyKey));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+// Store an item. Rejects with a user-facing message when it can't be saved.
+const putArchived = async (name, item) => {
+  const { legacyKey, noun } = ARCHIVES[name];
+  try {
+    if (!db) {
+      localStorage.setItem(legacyKey, JSON.stringify([...readLegacyArchive(name), item]));
+      return;
+    }
+    const tx = db.transaction(name, 'readwrite');
+    tx.objectStore(name).put(item);
+    await transactionDone(tx);
+  } catch (err) {
+    throw new Error(isQuotaError(err)
+      ? `Storage is full. Download a backup and keep fewer ${noun}s, then try again.`
+      : `The ${noun} could not be saved (${err && err.message ? err.message : 'unknown error'}).`);
+  }
+};
+
+// Every stored item without its body, newest first
+const listArchived = async (name) => {
+  const all = db ? await request(db.transaction(name, 'readonly').objectStore(name).getAll()) : readLegacyArchive(name);
+  return all
+    .map((item) => Object.fromEntries(Object.entries(item).filter(([key]) => key !== ARCHIVES[name].body)))
+    .sort((a, b) => b.takenAt.localeCompare(a.takenAt));
+};
+
+// One item with its body, or null
+const getArchived = async (name, id) => {
+  if (!db) return readLegacyArchive(name).find((item) => item.id === id) || null;
+  return (await request(db.transaction(name, 'readonly').objectStore(name).get(id))) || null;
+};
+
+const deleteArchived = async (name, ids) => {
+  if (ids.length === 0) return;
+  if (!db) {
+    localStorage.setItem(ARCHIVES[name].legacyKey, JSON.stringify(readLegacyArchive(name).filter((item) => !ids.includes(item.id))));
+    return;
+  }
+  const tx = db.transaction(name, 'readwrite');
+  ids.forEach((id) => tx.objectStore(name).delete(id));
+  await transactionDone(tx);
+};
+
+// Dataset snapshots (see tracker/snapshots.js): listSnapshots() leaves out the
+// datasets, loadSnapshot() reads one, deleteSnapshots() drops the oldest
+export const saveSnapshot = (snapshot) => putArchived('snapshots', snapshot);
+export const listSnapshots = () => listArchived('snapshots');
+export const loadSnapshot = (id) => getArchived('snapshots', id);
+export const deleteSnapshots = (ids) => deleteArchived('snapshots', ids);
+
+// Automatic encrypted backups ({ id, takenAt, userCount, recordCount, payload }), the same way
+export const saveAutoBackup = (backup) => putArchived('backups', backup);
+export const listAutoBackups = () => listArchived('backups');
+export const loadAutoBackup = (id) => getArchived('backups', id);
+export const deleteAutoBackups = (ids) => deleteArchived('backups', ids);
@@ -0,0 +1,44 @@
+// Service worker: precaches the built app so it loads with no network, and
+// waits for the page's go-ahead before replacing an older version. Built into
+// dist/sw.js by the serviceWorker() plugin in vite.config.js, which prepends
+// PRECACHE (asset paths relative to the app's base) and VERSION.
+/* global PRECACHE, VERSION */
+
+const CACHE_PREFIX = 'alcohol-tracker-';
+const CACHE_NAME = `${CACHE_PREFIX}${VERSION}`;
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE.map(scopeUrl))));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys.filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME).map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page posts this when the user accepts the "update available" prompt
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Navigations get the cached app shell; other precached files come from the
+// cache; anything else goes to the network as usual.
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || !request.url.startsWith(self.registration.scope)) return;
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      caches.match(scopeUrl('index.html'), { cacheName: CACHE_NAME }).then((cached) => cached || fetch(request))
+    );
+    return;
+  }
+  event.respondWith(
+    caches.match(request, { cacheName: CACHE_NAME }).then((cached) => cached || fetch(request))
+  );
+});
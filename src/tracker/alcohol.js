@@ -0,0 +1,92 @@
+// Beverages, pure-alcohol accounting and the Widmark BAC estimate.
+import { addMinutes, format } from 'date-fns';
+
+// Default beverage catalog (name, ABV %, default serving in ml)
+export const DEFAULT_BEVERAGES = [
+  { id: 'beer', name: 'Beer', abv: 5, servingMl: 330 },
+  { id: 'wine', name: 'Wine', abv: 12, servingMl: 150 },
+  { id: 'spirits', name: 'Spirits', abv: 40, servingMl: 40 },
+];
+
+// The beverage snapshot stored on a record, or undefined if it isn't usable
+export const normalizeBeverage = (b) => {
+  if (!b || typeof b.name !== 'string' || !b.name.trim()) return undefined;
+  const abv = Number(b.abv);
+  if (!Number.isFinite(abv) || abv < 0 || abv > 100) return undefined;
+  return { id: b.id != null ? String(b.id) : null, name: b.name.trim(), abv };
+};
+
+// Merge two catalogs by ID; existing entries win
+export const mergeBeverages = (existing, imported) => {
+  const ids = new Set(existing.map((b) => b.id));
+  const extra = (Array.isArray(imported) ? imported : []).filter((b) => b && b.id != null && !ids.has(b.id) && normalizeBeverage(b));
+  return [...existing, ...extra];
+};
+
+// Pure alcohol: ml x ABV x ethanol density; a "standard drink" is 10 g
+export const ETHANOL_G_PER_ML = 0.789;
+export const STANDARD_DRINK_GRAMS = 10;
+
+// Grams of pure alcohol in a record, or null when it has no beverage/ABV
+export const pureAlcoholGrams = (record) => (
+  record.beverage && Number.isFinite(record.beverage.abv)
+    ? record.amount * (record.beverage.abv / 100) * ETHANOL_G_PER_ML
+    : null
+);
+
+// Total grams of pure alcohol, plus how many records couldn't be counted
+export const summarizeAlcohol = (recs) => recs.reduce((acc, r) => {
+  const g = pureAlcoholGrams(r);
+  if (g == null) acc.unknown += 1;
+  else acc.grams += g;
+  return acc;
+}, { grams: 0, unknown: 0 });
+
+// Widmark BAC estimate: body-water ratio r by sex, elimination in % BAC per hour
+export const WIDMARK_R = { male: 0.68, female: 0.55 };
+export const BAC_ELIMINATION_PER_HOUR = 0.015;
+const BAC_PROJECTION_STEP_MINUTES = 30;
+const BAC_PROJECTION_MAX_HOURS = 12;
+
+export const hasBacProfile = (profile) => !!profile && Number(profile.weightKg) > 0 && !!WIDMARK_R[profile.sex];
+
+// Estimated BAC (%) at a time. Each drink is treated as absorbed when logged, and
+// elimination runs from then on; records without an ABV are skipped.
+// Returns null when the profile is missing or no record has alcohol data.
+export const estimateBac = (records, profile, at = new Date()) => {
+  if (!hasBacProfile(profile)) return null;
+  const bodyWaterGrams = WIDMARK_R[profile.sex] * Number(profile.weightKg) * 1000;
+  let bac = 0;
+  let last = null;
+  [...records].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)).forEach((r) => {
+    const t = new Date(r.timestamp);
+    const grams = pureAlcoholGrams(r);
+    if (t > at || grams == null) return;
+    if (last) bac = Math.max(0, bac - BAC_ELIMINATION_PER_HOUR * ((t - last) / 3600000));
+    bac += (grams / bodyWaterGrams) * 100;
+    last = t;
+  });
+  if (!last) return null;
+  return Math.max(0, bac - BAC_ELIMINATION_PER_HOUR * ((at - last) / 3600000));
+};
+
+// Time at which the estimated BAC reaches zero, assuming no further drinks
+export const estimateSoberTime = (bac, now = new Date()) => (
+  bac > 0 ? addMinutes(now, Math.ceil((bac / BAC_ELIMINATION_PER_HOUR) * 60)) : now
+);
+
+// Projected BAC curve from now until it reaches zero (capped), in 30-min steps
+export const buildBacProjection = (bac, now = new Date()) => {
+  const hoursToZero = bac / BAC_ELIMINATION_PER_HOUR;
+  const steps = Math.min(
+    Math.ceil((hoursToZero * 60) / BAC_PROJECTION_STEP_MINUTES),
+    (BAC_PROJECTION_MAX_HOURS * 60) / BAC_PROJECTION_STEP_MINUTES
+  );
+  const points = [];
+  for (let i = 0; i <= Math.max(steps, 1); i++) {
+    const minutes = i * BAC_PROJECTION_STEP_MINUTES;
+    const value = Math.max(0, bac - BAC_ELIMINATION_PER_HOUR * (minutes / 60));
+    points.push({ time: format(addMinutes(now, minutes), 'h:mm'), bac: Math.round(value * 1000) / 1000 });
+  }
+  return points;
+};
@@ -0,0 +1,43 @@
+// User ID aliases: alternative IDs ("jon", "jon s") that resolve to a main
+// user ID ("john"). Stored as { [alias]: userId }, both normalized.
+import { normalizeId } from './records.js';
+
+// The main user ID for an ID or alias (the normalized ID itself when it isn't an alias)
+export const resolveAlias = (aliases, id) => {
+  const key = normalizeId(id);
+  return (aliases && aliases[key]) || key;
+};
+
+// Each user's aliases, as { [userId]: [alias, ...] }
+export const aliasesByUser = (aliases) => {
+  const result = {};
+  Object.entries(aliases || {}).forEach(([alias, id]) => {
+    result[id] = [...(result[id] || []), alias].sort();
+  });
+  return result;
+};
+
+// Merge imported aliases into existing ones, normalizing both sides. Existing
+// aliases win, and aliases that collide with a user ID in `users` are dropped.
+export const mergeAliases = (existing, imported, users = {}) => {
+  const result = {};
+  const add = (alias, id) => {
+    const key = normalizeId(alias);
+    const target = normalizeId(id);
+    if (!key || !target || key === target || key in users || key in result) return;
+    result[key] = target;
+  };
+  Object.entries(existing || {}).forEach(([alias, id]) => add(alias, id));
+  Object.entries(imported && typeof imported === 'object' ? imported : {}).forEach(([alias, id]) => {
+    if (typeof id === 'string') add(alias, id);
+  });
+  return result;
+};
+
+// Of two synced versions of an alias ({ alias, userId (null when removed), at }),
+// the one to keep: the later change wins, ties go to a fixed order so every
+// device picks the same one
+export const pickAliasVersion = (a, b) => {
+  if (a.at !== b.at) return a.at > b.at ? a : b;
+  return JSON.stringify(a) >= JSON.stringify(b) ? a : b;
+};
@@ -0,0 +1,139 @@
+// Consumption over a date range for the analytics view: the range is split
+// into equal buckets (ml and the records behind each one), for one user or
+// everyone, with totals and the average time between drinks.
+import { addMinutes, differenceInMinutes, format, setHours, startOfDay, subDays, subHours } from 'date-fns';
+import { summarizeAlcohol } from './alcohol.js';
+import { liveRecords, sumAmounts } from './records.js';
+
+// Ranges offered in the analytics view; a custom range brings its own start and end
+export const ANALYTICS_RANGES = [
+  { key: 'tonight', label: 'Tonight' },
+  { key: '24h', label: '24 hours' },
+  { key: '7d', label: '7 days' },
+  { key: '30d', label: '30 days' },
+  { key: 'custom', label: 'Custom' },
+];
+
+// Bucket sizes in minutes, and the most buckets one chart is split into
+export const BUCKET_SIZES = [15, 30, 60, 180, 360, 1440];
+export const MAX_BUCKETS = 200;
+
+// "Tonight" runs from this hour; after midnight it is still last night's
+export const NIGHT_START_HOUR = 18;
+
+// A longer gap between two drinks starts a new session instead of counting
+// towards the average interval
+export const SESSION_GAP_HOURS = 12;
+
+// { start, end } of a range ending at now. Custom ranges pass { start, end }.
+export const getRangeBounds = (range, now = new Date(), custom = {}) => {
+  if (range === 'tonight') {
+    const evening = setHours(startOfDay(now), NIGHT_START_HOUR);
+    return { start: evening <= now ? evening : subDays(evening, 1), end: now };
+  }
+  if (range === '24h') return { start: subHours(now, 24), end: now };
+  if (range === '7d') return { start: subDays(now, 7), end: now };
+  if (range === '30d') return { start: subDays(now, 30), end: now };
+  const start = custom.start ? new Date(custom.start) : null;
+  const end = custom.end ? new Date(custom.end) : null;
+  if (!start || !end || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) throw new Error('Pick a start and an end for the range.');
+  if (start >= end) throw new Error('The start of the range must be before its end.');
+  return { start, end };
+};
+
+// Buckets start on whole multiples of their size since midnight (days at midnight)
+const alignStart = (start, size) => {
+  const day = startOfDay(start);
+  return addMinutes(day, Math.floor(differenceInMinutes(start, day) / size) * size);
+};
+
+// The number of buckets of `size` minutes it takes to cover a range, counted
+// from the aligned start
+const bucketCount = (start, end, size) => Math.ceil(differenceInMinutes(end, alignStart(start, size)) / size);
+
+// The bucket sizes that suit a range: at least 2 buckets (unless none does) and at most MAX_BUCKETS
+export const bucketSizesFor = (start, end) => {
+  const sizes = BUCKET_SIZES.filter((size) => bucketCount(start, end, size) <= MAX_BUCKETS);
+  const several = sizes.filter((size) => bucketCount(start, end, size) >= 2);
+  return several.length > 0 ? several : sizes.slice(0, 1);
+};
+
+// The default bucket size for a range: 30 min for a night, hours for a day or
+// two, days beyond that
+export const defaultBucketMinutes = (start, end) => {
+  const minutes = differenceInMinutes(end, start);
+  const size = minutes <= 12 * 60 ? 30 : minutes <= 36 * 60 ? 60 : minutes <= 4 * 1440 ? 360 : 1440;
+  const sizes = bucketSizesFor(start, end);
+  return sizes.includes(size) ? size : sizes[sizes.length - 1];
+};
+
+const bucketLabel = (start, size, multiDay) => {
+  if (size >= 1440) return format(start, 'MMM d');
+  return multiDay ? format(start, 'EEE h:mm') : format(start, 'h:mm');
+};
+
+// Minutes between consecutive drinks, leaving out gaps between sessions
+const drinkGaps = (recs) => recs.slice(1)
+  .map((r, i) => differenceInMinutes(new Date(r.timestamp), new Date(recs[i].timestamp)))
+  .filter((gap) => gap <= SESSION_GAP_HOURS * 60);
+
+// Mean minutes between drinks (rounded), or null with fewer than two drinks in a session
+export const averageIntervalMinutes = (recs) => {
+  const gaps = drinkGaps(liveRecords(recs));
+  return gaps.length > 0 ? Math.round(gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length) : null;
+};
+
+// Analytics of `users` ({ [userId]: records }, e.g. one user or everyone)
+// between start and end, in buckets of bucketMinutes:
+// { start, end, bucketMinutes, buckets: [{ start, end, label, ml, count, records: [{ userId, record }] }],
+//   userCount, recordCount, totalMl, grams, unknown, averageIntervalMinutes,
+//   users: [{ userId, recordCount, totalMl, averageIntervalMinutes }] }
+// with users ordered by how much they drank. The average interval pools each
+// user's own gaps between drinks.
+export const analyzeRange = (users, { start, end, bucketMinutes = defaultBucketMinutes(start, end) }) => {
+  if (!BUCKET_SIZES.includes(bucketMinutes)) throw new Error(`Bucket size must be one of ${BUCKET_SIZES.join(', ')} minutes.`);
+  if (bucketCount(start, end, bucketMinutes) > MAX_BUCKETS) throw new Error('That bucket size is too small for the range.');
+  const inRange = (r) => {
+    const t = new Date(r.timestamp);
+    return t >= start && t <= end;
+  };
+  const perUser = Object.entries(users)
+    .map(([userId, recs]) => ({ userId, recs: liveRecords(recs).filter(inRange) }))
+    .filter(({ recs }) => recs.length > 0);
+
+  const multiDay = differenceInMinutes(end, start) > 1440;
+  const buckets = [];
+  for (let t = alignStart(start, bucketMinutes); t < end; t = addMinutes(t, bucketMinutes)) {
+    buckets.push({ start: t, end: addMinutes(t, bucketMinutes), label: bucketLabel(t, bucketMinutes, multiDay), ml: 0, count: 0, records: [] });
+  }
+  perUser.forEach(({ userId, recs }) => recs.forEach((record) => {
+    const t = new Date(record.timestamp);
+    const bucket = buckets.find((b) => t >= b.start && t < b.end) || buckets[buckets.length - 1];
+    bucket.ml += record.amount;
+    bucket.count += 1;
+    bucket.records.push({ userId, record });
+  }));
+  buckets.forEach((b) => {
+    b.ml = Math.round(b.ml * 100) / 100;
+    b.records.sort((x, y) => new Date(x.record.timestamp) - new Date(y.record.timestamp));
+  });
+
+  const all = perUser.flatMap(({ recs }) => recs);
+  const gaps = perUser.flatMap(({ recs }) => drinkGaps(recs));
+  const alcohol = summarizeAlcohol(all);
+  return {
+    start,
+    end,
+    bucketMinutes,
+    buckets,
+    userCount: perUser.length,
+    recordCount: all.length,
+    totalMl: sumAmounts(all),
+    grams: alcohol.grams,
+    unknown: alcohol.unknown,
+    averageIntervalMinutes: gaps.length > 0 ? Math.round(gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length) : null,
+    users: perUser
+      .map(({ userId, recs }) => ({ userId, recordCount: recs.length, totalMl: sumAmounts(recs), averageIntervalMinutes: averageIntervalMinutes(recs) }))
+      .sort((a, b) => b.totalMl - a.totalMl || a.userId.localeCompare(b.userId)),
+  };
+};
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTracker } from './tracker.js';
+import { analyzeRange, averageIntervalMinutes, bucketSizesFor, defaultBucketMinutes, getRangeBounds } from './analytics.js';
+
+const at = (h, m = 0, day = 1) => new Date(2024, 5, day, h, m);
+
+test('ranges end now and get a matching bucket size', () => {
+  assert.deepEqual(getRangeBounds('tonight', at(23)), { start: at(18), end: at(23) });
+  assert.deepEqual(getRangeBounds('tonight', at(2, 0, 2)), { start: at(18), end: at(2, 0, 2) });
+  assert.equal(defaultBucketMinutes(at(18), at(23)), 30);
+  assert.equal(defaultBucketMinutes(...Object.values(getRangeBounds('30d', at(23)))), 1440);
+  assert.deepEqual(bucketSizesFor(at(18), at(19)), [15, 30]);
+  assert.throws(() => getRangeBounds('custom', at(23), { start: at(23), end: at(18) }), /before its end/);
+});
+
+test('analyzeRange fills buckets and keeps the records behind them', () => {
+  const users = {
+    alex: [
+      { id: 'a1', timestamp: at(17, 50).toISOString(), amount: 1 },
+      { id: 'a2', timestamp: at(18, 10).toISOString(), amount: 2 },
+      { id: 'a3', timestamp: at(18, 40).toISOString(), amount: 3 },
+      { id: 'a4', timestamp: at(19, 0).toISOString(), deletedAt: at(19, 5).toISOString() },
+    ],
+    sam: [{ id: 's1', timestamp: at(18, 20).toISOString(), amount: 4 }],
+  };
+  const result = analyzeRange(users, { start: at(18), end: at(20), bucketMinutes: 60 });
+  assert.deepEqual(result.buckets.map((b) => [b.label, b.ml, b.count]), [['6:00', 9, 3], ['7:00', 0, 0]]);
+  assert.deepEqual(result.buckets[0].records.map((r) => [r.userId, r.record.id]), [['alex', 'a2'], ['sam', 's1'], ['alex', 'a3']]);
+  assert.equal(result.recordCount, 3);
+  assert.equal(result.averageIntervalMinutes, 30);
+  assert.deepEqual(result.users.map((u) => u.userId), ['alex', 'sam']);
+  assert.throws(() => analyzeRange(users, { start: at(18), end: at(20, 0, 30), bucketMinutes: 15 }), /too small/);
+  // 200 quarter hours from 18:10, but the buckets start at 18:00
+  assert.throws(() => analyzeRange(users, { start: at(18, 10), end: at(20, 10, 3), bucketMinutes: 15 }), /too small/);
+  assert.equal(bucketSizesFor(at(18, 10), at(20, 10, 3))[0], 30);
+  assert.equal(analyzeRange(users, { start: at(18), end: at(20, 0, 3), bucketMinutes: 15 }).buckets.length, 200);
+});
+
+test('the average interval leaves out gaps between sessions', () => {
+  const recs = [at(18), at(18, 40), at(19), at(20, 0, 2)].map((t) => ({ timestamp: t.toISOString(), amount: 1 }));
+  assert.equal(averageIntervalMinutes(recs), 30);
+  assert.equal(averageIntervalMinutes(recs.slice(0, 1)), null);
+
+  const tracker = createTracker();
+  recs.forEach((r) => tracker.addRecord('Alex', r, at(21, 0, 2)));
+  const analytics = tracker.getAnalytics({ userId: 'ALEX', range: '7d' }, at(21, 0, 2));
+  assert.equal(analytics.bucketMinutes, 1440);
+  assert.equal(analytics.recordCount, 4);
+  assert.equal(analytics.averageIntervalMinutes, 30);
+});
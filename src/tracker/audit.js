@@ -0,0 +1,59 @@
+// Audit log: an append-only list of the changes made through a tracker, so a
+// shared device can show who reset data, imported over it or changed the
+// rules, and when. An entry is { id, at: ISO string, action, device, userId?,
+// before?, after?, details? }, where before/after are the values the change
+// replaced and set (a record, a setting, counts).
+
+// Kinds of entries, in the order the filter lists them
+export const AUDIT_ACTIONS = [
+  { key: 'record.add', label: 'Record added' },
+  { key: 'record.edit', label: 'Record edited' },
+  { key: 'record.delete', label: 'Record deleted' },
+  { key: 'user.create', label: 'User created' },
+  { key: 'user.rename', label: 'User renamed' },
+  { key: 'user.merge', label: 'Users merged' },
+  { key: 'user.alias', label: 'Alias changed' },
+  { key: 'event.start', label: 'Event started' },
+  { key: 'event.close', label: 'Event closed' },
+  { key: 'import', label: 'Data imported' },
+  { key: 'reset', label: 'Data reset' },
+  { key: 'restore', label: 'Snapshot restored' },
+  { key: 'settings', label: 'Settings changed' },
+];
+
+const ACTION_KEYS = new Set(AUDIT_ACTIONS.map((a) => a.key));
+
+export const auditActionLabel = (action) => (AUDIT_ACTIONS.find((a) => a.key === action) || { label: action }).label;
+
+// A valid entry with only the known fields, or undefined
+export const normalizeAuditEntry = (e) => {
+  if (!e || typeof e.id !== 'string' || !e.id || !ACTION_KEYS.has(e.action)) return undefined;
+  if (typeof e.at !== 'string' || Number.isNaN(new Date(e.at).getTime())) return undefined;
+  const entry = { id: e.id, at: e.at, action: e.action, device: typeof e.device === 'string' ? e.device : '' };
+  if (typeof e.userId === 'string' && e.userId) entry.userId = e.userId;
+  ['before', 'after', 'details'].forEach((key) => {
+    if (e[key] !== undefined) entry[key] = e[key];
+  });
+  return entry;
+};
+
+// Oldest first (the order they happened in)
+export const sortAudit = (entries) => [...entries].sort((a, b) => a.at.localeCompare(b.at));
+
+// The entries of an imported log that aren't in `existing` yet (matched by ID)
+export const newAuditEntries = (existing, imported) => {
+  const ids = new Set(existing.map((e) => e.id));
+  return (Array.isArray(imported) ? imported : []).map(normalizeAuditEntry).filter((e) => e && !ids.has(e.id));
+};
+
+// Entries matching a filter: { action, userId, from, to (Dates), text (searched in the values) }
+export const filterAudit = (entries, { action, userId, from, to, text } = {}) => {
+  const query = text ? text.trim().toLowerCase() : '';
+  return entries.filter((e) => (
+    (!action || e.action === action)
+    && (!userId || e.userId === userId)
+    && (!from || new Date(e.at) >= from)
+    && (!to || new Date(e.at) <= to)
+    && (!query || JSON.stringify([e.userId, e.before, e.after, e.details]).toLowerCase().includes(query))
+  ));
+};
@@ -0,0 +1,59 @@
+// Scheduled automatic backups: while a session passphrase is set, an encrypted
+// backup is made every so many new records or minutes (whichever comes first)
+// and kept on the device, and staff are reminded when the last backup that was
+// actually downloaded is getting old. A schedule is
+// { enabled, everyRecords, everyMinutes, keep, remindHours }, where 0 turns
+// the record or minute trigger (or the reminder) off.
+import { differenceInMinutes } from 'date-fns';
+import { encryptBackup } from './backup.js';
+import { liveRecords, newRecordId, withoutRemovedUsers } from './records.js';
+
+export const DEFAULT_BACKUP_SCHEDULE = { enabled: false, everyRecords: 25, everyMinutes: 30, keep: 5, remindHours: 24 };
+
+// Bounds of each schedule field (keep needs at least one backup)
+export const BACKUP_SCHEDULE_LIMITS = {
+  everyRecords: { min: 0, max: 1000 },
+  everyMinutes: { min: 0, max: 1440 },
+  keep: { min: 1, max: 50 },
+  remindHours: { min: 0, max: 720 },
+};
+
+// A schedule with every field present and in range (unknown values fall back to the defaults)
+export const normalizeBackupSchedule = (schedule) => {
+  const s = schedule && typeof schedule === 'object' ? schedule : {};
+  const normalized = { enabled: s.enabled === true };
+  Object.entries(BACKUP_SCHEDULE_LIMITS).forEach(([key, { min, max }]) => {
+    const n = Number(s[key]);
+    normalized[key] = Number.isInteger(n) && n >= min && n <= max ? n : DEFAULT_BACKUP_SCHEDULE[key];
+  });
+  return normalized;
+};
+
+// Whether an automatic backup is due: `recordsSince` records were added since
+// the last one (at lastBackupAt, or never). Nothing is due until a record was added.
+export const isBackupDue = (schedule, { lastBackupAt, recordsSince }, now = new Date()) => {
+  if (!schedule.enabled || recordsSince === 0) return false;
+  if (schedule.everyRecords > 0 && recordsSince >= schedule.everyRecords) return true;
+  if (schedule.everyMinutes === 0) return false;
+  return !lastBackupAt || differenceInMinutes(now, new Date(lastBackupAt)) >= schedule.everyMinutes;
+};
+
+// Whether to remind staff to download a backup (never downloaded counts as overdue)
+export const isDownloadOverdue = (schedule, lastDownloadAt, now = new Date()) => (
+  schedule.remindHours > 0
+  && (!lastDownloadAt || differenceInMinutes(now, new Date(lastDownloadAt)) >= schedule.remindHours * 60)
+);
+
+// Encrypt a dataset into a stored automatic backup:
+// { id, takenAt, userCount, recordCount, payload (the backup envelope) }.
+// `options` are encryptBackup's.
+export const buildAutoBackup = async (dataset, passphrase, options = {}, now = new Date()) => {
+  const users = Object.values(withoutRemovedUsers(dataset.users));
+  return {
+    id: newRecordId(),
+    takenAt: now.toISOString(),
+    userCount: users.length,
+    recordCount: users.reduce((n, recs) => n + liveRecords(recs).length, 0),
+    payload: await encryptBackup(dataset, passphrase, options),
+  };
+};
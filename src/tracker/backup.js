@@ -0,0 +1,148 @@
+// The dataset export format and its encrypted backup envelope.
+// Version 2 added record IDs and tombstones; version 1 files are still read.
+// (The envelope has its own version; see crypto.js.)
+import { ENVELOPE_FORMAT, ENVELOPE_VERSION, encryptText, decryptText, verifyChecksum } from './crypto.js';
+import { liveRecords, normalizeAndMerge, sumAmounts, withoutRemovedUsers } from './records.js';
+import { mergeBeverages, summarizeAlcohol } from './alcohol.js';
+import { mergeProfiles } from './settings.js';
+import { mergeAliases, resolveAlias } from './aliases.js';
+import { mergeEvents } from './events.js';
+import { newAuditEntries, sortAudit } from './audit.js';
+
+// Build the export payload: the full dataset (all users + records) as a plain
+// object. Lossless and import-ready — restores the exact dataset on another device.
+export const DATASET_VERSION = 2;
+
+export const buildDataset = ({ users, beverages, profiles, aliases, events, audit }, now = new Date()) => ({
+  app: 'alcohol-tracker',
+  type: 'dataset',
+  version: DATASET_VERSION,
+  exportedAt: now.toISOString(),
+  users,
+  ...(beverages ? { beverages } : {}),
+  ...(profiles ? { profiles } : {}),
+  ...(aliases ? { aliases } : {}),
+  ...(events ? { events } : {}),
+  ...(audit ? { audit } : {}),
+});
+
+// Check that a parsed object is a dataset; returns it, or throws with a readable message
+export const validateDataset = (dataset) => {
+  if (!dataset || typeof dataset.users !== 'object' || !dataset.users || Array.isArray(dataset.users)) {
+    throw new Error('Decrypted file is not a valid dataset.');
+  }
+  if (Number(dataset.version) > DATASET_VERSION) {
+    throw new Error('This file was made by a newer version of the app; update the app to import it.');
+  }
+  return dataset;
+};
+
+// Merge several datasets (e.g. backups from different devices) into one, the
+// way importing them one after another in merge mode would: users through the
+// aliases gathered so far, records by ID (see normalizeAndMerge), and the
+// catalogs, profiles, aliases, events and audit log alongside (earlier ones win).
+export const mergeDatasets = (datasets, now = new Date()) => buildDataset(datasets.map(validateDataset).reduce((acc, dataset) => {
+  const incoming = {};
+  Object.entries(dataset.users).forEach(([id, recs]) => {
+    const key = resolveAlias(acc.aliases, id);
+    incoming[key] = [...(incoming[key] || []), ...(Array.isArray(recs) ? recs : [])];
+  });
+  const users = normalizeAndMerge(acc.users, incoming);
+  return {
+    users,
+    beverages: mergeBeverages(acc.beverages, dataset.beverages),
+    profiles: mergeProfiles(acc.profiles, dataset.profiles),
+    aliases: mergeAliases(acc.aliases, dataset.aliases, users),
+    events: mergeEvents(acc.events, dataset.events),
+    audit: sortAudit([...acc.audit, ...newAuditEntries(acc.audit, dataset.audit)]),
+  };
+}, { users: {}, beverages: [], profiles: {}, aliases: {}, events: [], audit: [] }), now);
+
+// Summary statistics of a dataset: { userCount, recordCount, deletedCount,
+// totalMl, grams, unknown, firstRecordAt, lastRecordAt, eventCount, auditCount,
+// devices: [{ device, recordCount }] } (records by the device that logged them)
+export const summarizeDataset = (dataset) => {
+  const all = Object.values(dataset.users).flat();
+  const live = liveRecords(all);
+  const times = live.map((r) => r.timestamp).sort();
+  const alcohol = summarizeAlcohol(live);
+  const devices = {};
+  live.forEach((r) => {
+    const device = r.device || 'unknown';
+    devices[device] = (devices[device] || 0) + 1;
+  });
+  return {
+    userCount: Object.keys(withoutRemovedUsers(dataset.users)).length,
+    recordCount: live.length,
+    deletedCount: all.length - live.length,
+    totalMl: sumAmounts(live),
+    grams: alcohol.grams,
+    unknown: alcohol.unknown,
+    firstRecordAt: times[0] || null,
+    lastRecordAt: times[times.length - 1] || null,
+    eventCount: Array.isArray(dataset.events) ? dataset.events.length : 0,
+    auditCount: Array.isArray(dataset.audit) ? dataset.audit.length : 0,
+    devices: Object.entries(devices)
+      .map(([device, recordCount]) => ({ device, recordCount }))
+      .sort((a, b) => b.recordCount - a.recordCount || a.device.localeCompare(b.device)),
+  };
+};
+
+// The readable header of a backup: { device, exportedAt, userCount,
+// recordCount, firstRecordAt, lastRecordAt } (the dates are null without records)
+export const buildBackupHeader = (dataset, device = '') => {
+  const users = Object.values(withoutRemovedUsers(dataset.users));
+  const times = users.flatMap((recs) => liveRecords(recs).map((r) => r.timestamp)).sort();
+  return {
+    device,
+    exportedAt: dataset.exportedAt,
+    userCount: users.length,
+    recordCount: times.length,
+    firstRecordAt: times[0] || null,
+    lastRecordAt: times[times.length - 1] || null,
+  };
+};
+
+// Encrypt a dataset into the backup envelope. Options: iterations, and
+// header: true to add the readable header (with `device` as the device name).
+export const encryptBackup = (dataset, passphrase, { iterations, header = false, device } = {}) => encryptText(
+  JSON.stringify(dataset),
+  passphrase,
+  { iterations, header: header ? buildBackupHeader(dataset, device) : undefined }
+);
+
+// The parsed envelope of an encrypted backup file's text. Throws with a
+// user-facing message for a file that isn't one.
+export const readBackupEnvelope = (text) => {
+  let payload;
+  try { payload = JSON.parse(text); } catch { throw new Error('That file is not a valid backup (not JSON).'); }
+  if (!payload || !payload.ciphertext || !payload.salt || !payload.iv || !payload.iterations) {
+    throw new Error('That file is not a recognized encrypted backup.');
+  }
+  if (payload.format === ENVELOPE_FORMAT && Number(payload.version) > ENVELOPE_VERSION) {
+    throw new Error('This file was made by a newer version of the app; update the app to import it.');
+  }
+  return payload;
+};
+
+// The readable header of a backup file, or null (version 1 files, or saved without one)
+export const readBackupHeader = (text) => {
+  const { header } = readBackupEnvelope(text);
+  return header && typeof header === 'object' ? header : null;
+};
+
+// Read an encrypted backup file's text back to its dataset. Throws with a
+// user-facing message for a non-backup file, a wrong passphrase or bad contents.
+export const decryptBackup = async (text, passphrase) => {
+  const payload = readBackupEnvelope(text);
+  if (!(await verifyChecksum(payload))) throw new Error('The file is damaged (its checksum does not match).');
+  let plaintext;
+  try {
+    plaintext = await decryptText(payload, passphrase);
+  } catch {
+    throw new Error('Incorrect passphrase, or the file is corrupted.');
+  }
+  let dataset;
+  try { dataset = JSON.parse(plaintext); } catch { throw new Error('Decrypted data is not valid.'); }
+  return validateDataset(dataset);
+};
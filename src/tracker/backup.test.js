@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decryptText, encryptText, fromBase64, hashPin, toBase64, verifyPin } from './crypto.js';
+import { buildDataset, decryptBackup, encryptBackup, mergeDatasets, readBackupHeader, summarizeDataset } from './backup.js';
+import { createTracker } from './tracker.js';
+import { buildAutoBackup, isBackupDue, isDownloadOverdue, normalizeBackupSchedule } from './autobackup.js';
+
+test('encryptText and decryptText round-trip text', async () => {
+  const payload = await encryptText('héllo, wörld', 'secret');
+  assert.equal(payload.format, 'alcohol-tracker-encrypted');
+  assert.equal(await decryptText(payload, 'secret'), 'héllo, wörld');
+});
+
+test('decryptText still reads version 1 envelopes (uncompressed, no checksum)', async () => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode('secret'), 'PBKDF2', false, ['deriveKey']);
+  const key = await crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: 1000, hash: 'SHA-256' }, material, { name: 'AES-GCM', length: 256 }, false, ['encrypt']
+  );
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode('old file'));
+  const payload = {
+    format: 'alcohol-tracker-encrypted', version: 1, algorithm: 'AES-256-GCM', kdf: 'PBKDF2-SHA256', iterations: 1000,
+    salt: toBase64(salt), iv: toBase64(iv), ciphertext: toBase64(ciphertext),
+  };
+  assert.equal(await decryptText(payload, 'secret'), 'old file');
+});
+
+test('decryptText rejects a wrong passphrase', async () => {
+  const payload = await encryptText('data', 'secret');
+  await assert.rejects(decryptText(payload, 'not it'));
+});
+
+test('hashPin salts the hash and verifyPin checks it', async () => {
+  const stored = await hashPin('2468', { iterations: 1000 });
+  const again = await hashPin('2468', { iterations: 1000 });
+  assert.notEqual(stored.hash, again.hash);
+  assert.equal(await verifyPin('2468', stored), true);
+  assert.equal(await verifyPin('1357', stored), false);
+  assert.equal(await verifyPin('2468', null), false);
+});
+
+test('encryptBackup and decryptBackup round-trip a dataset', async () => {
+  const dataset = buildDataset({ users: { alex: [{ timestamp: '2024-06-01T20:00:00.000Z', amount: 1 }] } });
+  const payload = await encryptBackup(dataset, 'pass');
+  assert.deepEqual(await decryptBackup(JSON.stringify(payload), 'pass'), dataset);
+});
+
+test('decryptBackup explains what is wrong with a file', async () => {
+  await assert.rejects(decryptBackup('not json', 'pass'), /not a valid backup/);
+  await assert.rejects(decryptBackup('{"users":{}}', 'pass'), /not a recognized encrypted backup/);
+  const payload = await encryptText('[1, 2]', 'pass');
+  await assert.rejects(decryptBackup(JSON.stringify(payload), 'wrong'), /Incorrect passphrase/);
+  await assert.rejects(decryptBackup(JSON.stringify(payload), 'pass'), /not a valid dataset/);
+});
+
+test('automatic backups are due after enough records or minutes', async () => {
+  const schedule = normalizeBackupSchedule({ enabled: true, everyRecords: 10, everyMinutes: 30, keep: 0 });
+  assert.equal(schedule.keep, 5);
+  const now = new Date('2024-06-01T20:00:00.000Z');
+  const last = '2024-06-01T19:45:00.000Z';
+  assert.equal(isBackupDue(schedule, { lastBackupAt: last, recordsSince: 3 }, now), false);
+  assert.equal(isBackupDue(schedule, { lastBackupAt: last, recordsSince: 10 }, now), true);
+  assert.equal(isBackupDue(schedule, { lastBackupAt: '2024-06-01T19:30:00.000Z', recordsSince: 1 }, now), true);
+  assert.equal(isBackupDue(schedule, { lastBackupAt: null, recordsSince: 0 }, now), false);
+  assert.equal(isBackupDue({ ...schedule, enabled: false }, { lastBackupAt: null, recordsSince: 50 }, now), false);
+  assert.equal(isDownloadOverdue(schedule, null, now), true);
+  assert.equal(isDownloadOverdue(schedule, last, now), false);
+  assert.equal(isDownloadOverdue({ ...schedule, remindHours: 0 }, null, now), false);
+
+  const dataset = buildDataset({ users: { alex: [{ id: 'a', timestamp: last, amount: 1 }, { id: 'b', timestamp: last, deletedAt: last }] } });
+  const backup = await buildAutoBackup(dataset, 'pass', {}, now);
+  assert.deepEqual([backup.takenAt, backup.userCount, backup.recordCount], [now.toISOString(), 1, 1]);
+  assert.deepEqual(await decryptBackup(JSON.stringify(backup.payload), 'pass'), dataset);
+});
+
+test('version 2 backups are compressed, with a readable header and a checksum', async () => {
+  const records = ['2024-06-01T22:00:00.000Z', '2024-06-01T20:00:00.000Z'].map((timestamp, i) => ({ id: `r${i}`, timestamp, amount: 330 }));
+  const dataset = buildDataset({ users: { alex: records, sam: [] } }, new Date('2024-06-02T08:00:00.000Z'));
+  const payload = await encryptBackup(dataset, 'pass', { iterations: 100000, header: true, device: 'Bar 1' });
+  assert.deepEqual([payload.version, payload.iterations, payload.compression], [2, 100000, 'gzip']);
+  assert.deepEqual(readBackupHeader(JSON.stringify(payload)), {
+    device: 'Bar 1', exportedAt: '2024-06-02T08:00:00.000Z', userCount: 2, recordCount: 2,
+    firstRecordAt: '2024-06-01T20:00:00.000Z', lastRecordAt: '2024-06-01T22:00:00.000Z',
+  });
+  assert.deepEqual(await decryptBackup(JSON.stringify(payload), 'pass'), dataset);
+
+  const edited = { ...payload, header: { ...payload.header, recordCount: 0 } };
+  await assert.rejects(decryptBackup(JSON.stringify(edited), 'pass'), /Incorrect passphrase/);
+  const bytes = fromBase64(payload.ciphertext);
+  bytes[0] ^= 1;
+  await assert.rejects(decryptBackup(JSON.stringify({ ...payload, ciphertext: toBase64(bytes) }), 'pass'), /damaged/);
+  await assert.rejects(decryptBackup(JSON.stringify({ ...payload, version: 3 }), 'pass'), /newer version/);
+  await assert.rejects(encryptText('x', 'pass', { iterations: 10 }), /iteration count/);
+});
+
+test('mergeDatasets combines device backups like importing them in turn', () => {
+  const at = (h) => new Date(Date.UTC(2024, 5, 1, h));
+  const bar1 = createTracker({ deviceId: 'bar-1' });
+  const first = bar1.addRecord('Alex', { amount: 330, beverage: { id: 'beer', name: 'Beer', abv: 5 } }, at(20));
+  bar1.setAlias('al', 'alex');
+  const bar2 = createTracker({ deviceId: 'bar-2' });
+  bar2.importData(bar1.exportData(at(20)), { audit: false });
+  bar2.addRecord('AL', { amount: 40 }, at(21));
+  bar2.deleteRecord('alex', first.id, at(22));
+  bar2.addRecord('sam', { amount: 250 }, at(21));
+
+  const merged = mergeDatasets([bar1.exportData(at(23)), bar2.exportData(at(23))], at(23));
+  const target = createTracker();
+  target.importData(bar1.exportData(at(23)), { audit: false });
+  target.importData(bar2.exportData(at(23)), { audit: false });
+  assert.deepEqual(merged.users, target.exportData().users);
+  assert.deepEqual(merged.aliases, { al: 'alex' });
+
+  const stats = summarizeDataset(merged);
+  assert.deepEqual(
+    [stats.userCount, stats.recordCount, stats.deletedCount, stats.totalMl, stats.firstRecordAt],
+    [2, 2, 1, 290, at(21).toISOString()]
+  );
+  assert.deepEqual(stats.devices, [{ device: 'bar-2', recordCount: 2 }]);
+});
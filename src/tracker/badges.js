@@ -0,0 +1,45 @@
+// User badges: a printable QR code of a user's ID, read back either by the
+// device camera or by a USB barcode scanner acting as a keyboard ("keyboard
+// wedge"). A wedge scanner types the code into the focused field much faster
+// than a person can, which is how its input is told apart from typing.
+import QRCode from 'qrcode';
+
+// A badge's QR code as an SVG path: { size (in modules), path }. The code holds
+// the plain ID, so any scanner reads back exactly what search expects.
+export const badgeQr = (userId) => {
+  const { modules } = QRCode.create(userId, { errorCorrectionLevel: 'M' });
+  let path = '';
+  for (let row = 0; row < modules.size; row += 1) {
+    for (let col = 0; col < modules.size; col += 1) {
+      if (modules.get(row, col)) path += `M${col} ${row}h1v1h-1z`;
+    }
+  }
+  return { size: modules.size, path };
+};
+
+// Keystrokes closer together than this are a scanner's, and a burst needs at
+// least this many characters (people type a letter or two that fast now and then)
+export const SCANNER_MAX_KEY_GAP_MS = 40;
+export const SCANNER_MIN_LENGTH = 3;
+// A burst that isn't ended by Enter counts as complete after this long without input
+export const SCANNER_IDLE_MS = 120;
+
+// Follow a field's value through its changes (from `previous` to `value`):
+// { value, start, times }, where value.slice(start) is the current burst of
+// fast keystrokes and times are their timestamps in ms. A change that isn't one
+// more character right after the last one (typing slowly, pasting, deleting)
+// starts a new burst, so a code scanned into a field that already holds an ID
+// is still read on its own.
+export const nextKeyBurst = (burst, previous, value, now) => {
+  const typed = value.length === previous.length + 1 && value.startsWith(previous);
+  if (typed && burst && burst.value === previous && now - burst.times[burst.times.length - 1] <= SCANNER_MAX_KEY_GAP_MS) {
+    return { value, start: burst.start, times: [...burst.times, now] };
+  }
+  return { value, start: typed ? previous.length : 0, times: [now] };
+};
+
+// The code a scanner typed, if the burst looks like one, else null
+export const scannedCode = (burst) => {
+  if (!burst || burst.times.length < SCANNER_MIN_LENGTH) return null;
+  return burst.value.slice(burst.start).trim() || null;
+};
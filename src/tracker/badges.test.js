@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { badgeQr, nextKeyBurst, scannedCode } from './badges.js';
+
+// The burst after typing `text` into a field holding `value`, one character at each of `times`
+const typeInto = (value, text, times, burst = null) => [...text].reduce(
+  (b, ch, i) => {
+    const previous = value + text.slice(0, i);
+    return nextKeyBurst(b, previous, previous + ch, times[i]);
+  },
+  burst,
+);
+
+test('a badge is a square QR code of the ID', () => {
+  const { size, path } = badgeQr('alex');
+  assert.equal(size, 21);
+  assert.match(path, /^(M\d+ \d+h1v1h-1z)+$/);
+  // The three finder patterns start at the corners
+  ['M0 0h', `M${size - 7} 0h`, `M0 ${size - 7}h`].forEach((corner) => assert.ok(path.includes(corner)));
+  assert.notEqual(badgeQr('sam').path, path);
+});
+
+test('a fast burst of keystrokes is read as a scanned code', () => {
+  const scanned = typeInto('', 'alex', [1000, 1010, 1020, 1030]);
+  assert.equal(scannedCode(scanned), 'alex');
+
+  const typed = typeInto('', 'alex', [1000, 1150, 1300, 1450]);
+  assert.equal(scannedCode(typed), null);
+  assert.equal(scannedCode(typeInto('', 'al', [1000, 1010])), null);
+
+  // Scanned into a field that already holds an ID: only the burst counts
+  const after = typeInto('alex', 'sam', [5000, 5010, 5020], typeInto('', 'alex', [1000, 1010, 1020, 1030]));
+  assert.equal(after.value, 'alexsam');
+  assert.equal(scannedCode(after), 'sam');
+  assert.equal(scannedCode(typeInto('alex', 'sam', [5000, 5010, 5020])), 'sam');
+
+  // Pasting is one change, not a burst
+  assert.equal(scannedCode(nextKeyBurst(null, '', 'alex', 1000)), null);
+});
@@ -0,0 +1,125 @@
+// Passphrase encryption for backups and exports, using the Web Crypto API
+// (available in browsers and in Node 20+ as globalThis.crypto).
+
+// Base64-encode a byte buffer (chunked to stay within call-stack limits)
+export const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+  }
+  return btoa(binary);
+};
+
+export const fromBase64 = (b64) => Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+
+// The envelope is { format: 'alcohol-tracker-encrypted', version, algorithm,
+// kdf, iterations, salt, iv, ciphertext } (base64 binary fields). Version 2
+// adds compression ('gzip': the text is compressed before encryption), an
+// optional readable `header` (bound to the ciphertext, so it can't be edited
+// unnoticed) and `checksum`, a SHA-256 of the ciphertext that tells a damaged
+// file apart from a wrong passphrase. Version 1 envelopes are still read.
+export const ENVELOPE_FORMAT = 'alcohol-tracker-encrypted';
+export const ENVELOPE_VERSION = 2;
+
+export const PBKDF2_ITERATIONS = 250000;
+// The iteration counts an envelope may be written with
+export const PBKDF2_ITERATION_LIMITS = { min: 100000, max: 5000000 };
+
+const deriveKey = async (passphrase, salt, iterations, usage) => {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    keyMaterial,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    [usage]
+  );
+};
+
+// Run bytes through a CompressionStream / DecompressionStream
+const pipeBytes = (bytes, stream) => new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+
+const sha256 = async (bytes) => toBase64(await crypto.subtle.digest('SHA-256', bytes));
+
+// AES-GCM additional data for a header (none without one)
+const headerData = (header) => (header ? { additionalData: new TextEncoder().encode(JSON.stringify(header)) } : {});
+
+// Encrypt text with a passphrase: gzip -> PBKDF2-SHA256 -> AES-256-GCM.
+// Options: iterations (within PBKDF2_ITERATION_LIMITS) and a plain-object header
+// that stays readable without the passphrase.
+export const encryptText = async (plaintext, passphrase, { iterations = PBKDF2_ITERATIONS, header } = {}) => {
+  if (!Number.isInteger(iterations) || iterations < PBKDF2_ITERATION_LIMITS.min || iterations > PBKDF2_ITERATION_LIMITS.max) {
+    throw new Error(`The iteration count must be a whole number from ${PBKDF2_ITERATION_LIMITS.min} to ${PBKDF2_ITERATION_LIMITS.max}.`);
+  }
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt, iterations, 'encrypt');
+  const compressed = await pipeBytes(new TextEncoder().encode(plaintext), new CompressionStream('gzip'));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, ...headerData(header) }, key, compressed);
+  return {
+    format: ENVELOPE_FORMAT,
+    version: ENVELOPE_VERSION,
+    ...(header ? { header } : {}),
+    algorithm: 'AES-256-GCM',
+    kdf: 'PBKDF2-SHA256',
+    iterations,
+    compression: 'gzip',
+    salt: toBase64(salt),
+    iv: toBase64(iv),
+    ciphertext: toBase64(ciphertext),
+    checksum: `sha256:${await sha256(ciphertext)}`,
+  };
+};
+
+// Whether a version 2 envelope's ciphertext still matches its checksum (true
+// for version 1, which has none)
+export const verifyChecksum = async (payload) => {
+  if (!payload.checksum) return Number(payload.version || 1) < 2;
+  return payload.checksum === `sha256:${await sha256(fromBase64(payload.ciphertext))}`;
+};
+
+// Decrypt an encrypted-export payload (version 1 or 2) back to plaintext.
+// Throws on a newer version, a checksum mismatch or a wrong passphrase.
+export const decryptText = async (payload, passphrase) => {
+  if (Number(payload.version || 1) > ENVELOPE_VERSION) {
+    throw new Error('This file was made by a newer version of the app; update the app to read it.');
+  }
+  if (!(await verifyChecksum(payload))) throw new Error('The file is damaged (its checksum does not match).');
+  const key = await deriveKey(passphrase, fromBase64(payload.salt), payload.iterations, 'decrypt');
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(payload.iv), ...headerData(payload.header) },
+    key,
+    fromBase64(payload.ciphertext)
+  );
+  const bytes = payload.compression === 'gzip' ? await pipeBytes(plaintext, new DecompressionStream('gzip')) : plaintext;
+  return new TextDecoder().decode(bytes);
+};
+
+// Hash a PIN for storage: PBKDF2-SHA256 with a random salt (pass `salt` to re-derive)
+export const hashPin = async (pin, { salt = crypto.getRandomValues(new Uint8Array(16)), iterations = PBKDF2_ITERATIONS } = {}) => {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    keyMaterial,
+    256
+  );
+  return { kdf: 'PBKDF2-SHA256', iterations, salt: toBase64(salt), hash: toBase64(bits) };
+};
+
+// Check a PIN against a stored hashPin() result (compares in constant time)
+export const verifyPin = async (pin, stored) => {
+  if (!stored || !stored.salt || !stored.hash) return false;
+  const { hash } = await hashPin(pin, { salt: fromBase64(stored.salt), iterations: stored.iterations });
+  const a = fromBase64(hash);
+  const b = fromBase64(stored.hash);
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+};
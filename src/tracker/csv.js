@@ -0,0 +1,70 @@
+// Spreadsheet-friendly CSV exports of records and of the audit log.
+import { format } from 'date-fns';
+import { pureAlcoholGrams, summarizeAlcohol } from './alcohol.js';
+import { auditActionLabel } from './audit.js';
+import { sumAmounts } from './records.js';
+
+// Quote a CSV field when needed; prefix formula-like values so spreadsheets don't evaluate them
+const csvField = (value) => {
+  let text = value == null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (fields) => fields.map(csvField).join(',');
+
+export const roundMl = (n) => Math.round(n * 100) / 100;
+
+export const CSV_HEADER = ['User ID', 'Date', 'Time', 'Amount (ml)', 'Beverage', 'ABV (%)', 'Pure alcohol (g)', 'Timestamp (ISO)', 'Limit override'];
+
+const recordCsvRow = (id, record) => {
+  const t = new Date(record.timestamp);
+  const grams = pureAlcoholGrams(record);
+  return csvRow([
+    id,
+    format(t, 'yyyy-MM-dd'),
+    format(t, 'HH:mm:ss'),
+    roundMl(record.amount),
+    record.beverage ? record.beverage.name : '',
+    record.beverage ? record.beverage.abv : '',
+    grams == null ? '' : roundMl(grams),
+    record.timestamp,
+    record.override ? record.override.reason : '',
+  ]);
+};
+
+// Total row: ml and grams of pure alcohol (from the records that have an ABV)
+const totalCsvRow = (id, recs, label) => csvRow([id, '', '', roundMl(sumAmounts(recs)), '', '', roundMl(summarizeAlcohol(recs).grams), label]);
+
+// One user's records as CSV, followed by a total row
+export const buildUserCsv = (id, recs) => [
+  csvRow(CSV_HEADER),
+  ...recs.map((r) => recordCsvRow(id, r)),
+  totalCsvRow(id, recs, 'Total'),
+].join('\r\n');
+
+// Every user's records as CSV: a subtotal row after each user, then a grand total
+export const buildAllUsersCsv = (users) => {
+  const ids = Object.keys(users).sort();
+  const lines = [csvRow(CSV_HEADER)];
+  const all = [];
+  ids.forEach((id) => {
+    const recs = users[id] || [];
+    recs.forEach((r) => lines.push(recordCsvRow(id, r)));
+    lines.push(totalCsvRow(id, recs, `Subtotal (${recs.length} record${recs.length === 1 ? '' : 's'})`));
+    all.push(...recs);
+  });
+  lines.push(totalCsvRow('All users', all, `Grand total (${ids.length} user${ids.length === 1 ? '' : 's'}, ${all.length} record${all.length === 1 ? '' : 's'})`));
+  return lines.join('\r\n');
+};
+
+export const AUDIT_CSV_HEADER = ['Time (ISO)', 'Action', 'User ID', 'Device', 'Before', 'After', 'Details'];
+
+// Values in the audit CSV: text as is, anything else as JSON
+const auditValue = (value) => (value === undefined ? '' : typeof value === 'string' ? value : JSON.stringify(value));
+
+// Audit log entries as CSV, one row per entry
+export const buildAuditCsv = (entries) => [
+  csvRow(AUDIT_CSV_HEADER),
+  ...entries.map((e) => csvRow([e.at, auditActionLabel(e.action), e.userId || '', e.device, auditValue(e.before), auditValue(e.after), auditValue(e.details)])),
+].join('\r\n');
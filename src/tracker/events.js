@@ -0,0 +1,50 @@
+// Events (sessions): a named span of time such as one party. Records logged
+// while an event is active carry its ID (record.event), so statistics, lists
+// and exports can be scoped to one event. An event is
+// { id, name, startAt: ISO string, endAt: ISO string | null (still open) }.
+import { summarizeAlcohol } from './alcohol.js';
+import { liveRecords, sumAmounts } from './records.js';
+
+const isDate = (value) => typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+
+// A valid event with its fields cleaned up, or undefined
+export const normalizeEvent = (e) => {
+  if (!e || typeof e.id !== 'string' || !e.id || typeof e.name !== 'string' || !e.name.trim() || !isDate(e.startAt)) return undefined;
+  return { id: e.id, name: e.name.trim(), startAt: e.startAt, endAt: isDate(e.endAt) ? e.endAt : null };
+};
+
+// Newest first
+export const sortEvents = (events) => [...events].sort((a, b) => b.startAt.localeCompare(a.startAt));
+
+// Merge two event lists by ID; existing events win
+export const mergeEvents = (existing, imported) => {
+  const ids = new Set(existing.map((e) => e.id));
+  const extra = (Array.isArray(imported) ? imported : []).map(normalizeEvent).filter((e) => e && !ids.has(e.id));
+  return sortEvents([...existing, ...extra]);
+};
+
+// The records logged during an event (all of them when eventId is null)
+export const recordsForEvent = (recs, eventId) => (eventId ? recs.filter((r) => r.event === eventId) : recs);
+
+// Totals for one event over every user's records:
+// { event, userCount, recordCount, totalMl, grams, unknown, overrideCount, users: [{ userId, recordCount, totalMl, grams }] }
+// with users ordered by how much they drank.
+export const summarizeEvent = (users, event) => {
+  const perUser = Object.entries(users)
+    .map(([userId, recs]) => ({ userId, recs: recordsForEvent(liveRecords(recs), event.id) }))
+    .filter(({ recs }) => recs.length > 0);
+  const all = perUser.flatMap(({ recs }) => recs);
+  const alcohol = summarizeAlcohol(all);
+  return {
+    event,
+    userCount: perUser.length,
+    recordCount: all.length,
+    totalMl: sumAmounts(all),
+    grams: alcohol.grams,
+    unknown: alcohol.unknown,
+    overrideCount: all.filter((r) => r.override).length,
+    users: perUser
+      .map(({ userId, recs }) => ({ userId, recordCount: recs.length, totalMl: sumAmounts(recs), grams: summarizeAlcohol(recs).grams }))
+      .sort((a, b) => b.totalMl - a.totalMl || a.userId.localeCompare(b.userId)),
+  };
+};
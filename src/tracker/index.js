@@ -0,0 +1,50 @@
+// Public API of the tracker core. Nothing here depends on React or the DOM, so
+// it runs in the browser and in Node 20+ alike:
+//
+//   import { createTracker } from './src/tracker/index.js';
+//   const tracker = createTracker({ settings: { waitingMinutes: 45 } });
+//   tracker.addRecord('Alex', { amount: 330, beverage: { name: 'Beer', abv: 5 } });
+//   tracker.getStatus('alex');       // { state: 'wait', waitingTimeNeeded: 45, ... }
+//   const dataset = tracker.exportData();
+//   otherTracker.importData(dataset, { mode: 'merge' });
+//
+// The lower-level helpers (wait windows, merging, CSV import/export, encryption, sync, badges) are exported too.
+export { createTracker, createMemoryStorage, DEFAULT_SETTINGS } from './tracker.js';
+export {
+  normalizeId, sortRecords, sumAmounts, calculateRecentConsumption, buildRecentChartData, CHART_BUCKETS, CHART_BUCKET_MINUTES,
+  getWaitingTime, getWaitingSeconds, CAPS, DEFAULT_CAPS, checkCaps, normalizeRecord, liveRecords, newRecordId, legacyRecordId, assignRecordIds,
+  pickRecordVersion, normalizeAndMerge, isRemovedUser, withoutRemovedUsers, replaceUsers,
+} from './records.js';
+export {
+  DEFAULT_BEVERAGES, normalizeBeverage, mergeBeverages, ETHANOL_G_PER_ML, STANDARD_DRINK_GRAMS, pureAlcoholGrams, summarizeAlcohol,
+  WIDMARK_R, BAC_ELIMINATION_PER_HOUR, hasBacProfile, estimateBac, estimateSoberTime, buildBacProjection,
+} from './alcohol.js';
+export {
+  DEFAULT_WAITING_MINUTES, DEFAULT_ALMOST_READY_PCT, DEFAULT_CONFIRM_PCT, OVERRIDE_LIMITS, isValidOverride, getOverrides,
+  getEffectiveSettings, mergeProfiles,
+} from './settings.js';
+export {
+  ENVELOPE_FORMAT, ENVELOPE_VERSION, PBKDF2_ITERATIONS, PBKDF2_ITERATION_LIMITS, toBase64, fromBase64, encryptText, verifyChecksum, decryptText,
+  hashPin, verifyPin,
+} from './crypto.js';
+export { resolveAlias, aliasesByUser, mergeAliases, pickAliasVersion } from './aliases.js';
+export {
+  ANALYTICS_RANGES, BUCKET_SIZES, MAX_BUCKETS, NIGHT_START_HOUR, SESSION_GAP_HOURS, getRangeBounds, bucketSizesFor, defaultBucketMinutes,
+  averageIntervalMinutes, analyzeRange,
+} from './analytics.js';
+export { AUDIT_ACTIONS, auditActionLabel, normalizeAuditEntry, sortAudit, newAuditEntries, filterAudit } from './audit.js';
+export {
+  SNAPSHOT_REASONS, snapshotReasonLabel, DEFAULT_SNAPSHOT_LIMIT, MAX_SNAPSHOT_LIMIT, buildSnapshot, snapshotsToPrune,
+} from './snapshots.js';
+export { badgeQr, SCANNER_MAX_KEY_GAP_MS, SCANNER_MIN_LENGTH, SCANNER_IDLE_MS, nextKeyBurst, scannedCode } from './badges.js';
+export { normalizeEvent, sortEvents, mergeEvents, recordsForEvent, summarizeEvent } from './events.js';
+export {
+  DATASET_VERSION, buildDataset, validateDataset, mergeDatasets, summarizeDataset, buildBackupHeader, encryptBackup, readBackupEnvelope,
+  readBackupHeader, decryptBackup,
+} from './backup.js';
+export {
+  DEFAULT_BACKUP_SCHEDULE, BACKUP_SCHEDULE_LIMITS, normalizeBackupSchedule, isBackupDue, isDownloadOverdue, buildAutoBackup,
+} from './autobackup.js';
+export { CSV_HEADER, roundMl, buildUserCsv, buildAllUsersCsv, AUDIT_CSV_HEADER, buildAuditCsv } from './csv.js';
+export { IMPORT_FIELDS, DATE_FORMATS, parseCsv, readTable, guessMapping, parseDate, guessDateFormat, mapRows } from './spreadsheet.js';
+export { SYNC_PAGE_SIZE, createSyncLog, createLocalSyncBackend, createHttpSyncBackend, createSync } from './sync.js';
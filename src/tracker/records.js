@@ -0,0 +1,215 @@
+// Records, users and the wait/consumption rules that apply to them.
+// A record is { id, timestamp: ISO string, amount: ml, beverage?, override?,
+// device?, createdAt?, updatedAt? }; a deleted record is kept as a tombstone
+// { id, timestamp, deletedAt } so the deletion carries over to imports and
+// other devices. Users map a normalized ID to that user's records, sorted
+// chronologically. A user removed by a reset or a replacing import keeps only
+// tombstones marked `removed: true` (see isRemovedUser).
+import { subHours, subMinutes, differenceInMinutes, differenceInSeconds, addMinutes, format } from 'date-fns';
+import { normalizeBeverage } from './alcohol.js';
+
+// Normalize a user ID so entry/search is case-insensitive
+export const normalizeId = (id) => id.trim().toLowerCase();
+
+// Sort records chronologically (the last record drives the wait window)
+export const sortRecords = (recs) => [...recs].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+export const sumAmounts = (recs) => recs.reduce((sum, r) => sum + r.amount, 0);
+
+export const calculateRecentConsumption = (records, hoursAgo, now = new Date()) => {
+  const cutoffTime = subHours(now, hoursAgo);
+  return records
+    .filter(record => new Date(record.timestamp) > cutoffTime)
+    .reduce((sum, record) => sum + record.amount, 0);
+};
+
+// Build the "last 6 hours" chart data as rolling windows ending at now
+export const CHART_BUCKET_MINUTES = 30;
+export const CHART_BUCKETS = 12; // 12 x 30 min = 6 hours
+
+export const buildRecentChartData = (records, now = new Date()) => {
+  const buckets = [];
+  for (let i = CHART_BUCKETS - 1; i >= 0; i--) {
+    const end = subMinutes(now, i * CHART_BUCKET_MINUTES);
+    const start = subMinutes(end, CHART_BUCKET_MINUTES);
+    buckets.push({ start, end, total: 0 });
+  }
+  records.forEach((r) => {
+    const t = new Date(r.timestamp);
+    for (const b of buckets) {
+      if (t > b.start && t <= b.end) {
+        b.total += r.amount;
+        break;
+      }
+    }
+  });
+  return buckets.map((b) => ({ time: format(b.end, 'h:mm'), ml: Math.round(b.total * 100) / 100 }));
+};
+
+// Whole minutes still to wait after the last drink (0 once the wait is over)
+export const getWaitingTime = (lastConsumptionTime, waitingMinutes, now = new Date()) => {
+  const waitTimeAfterLast = addMinutes(new Date(lastConsumptionTime), waitingMinutes);
+  const waitMinutes = differenceInMinutes(waitTimeAfterLast, now);
+  return waitMinutes > 0 ? waitMinutes : 0;
+};
+
+// Seconds still to wait, for a live countdown (0 once the wait is over)
+export const getWaitingSeconds = (lastConsumptionTime, waitingMinutes, now = new Date()) => {
+  const waitSeconds = differenceInSeconds(addMinutes(new Date(lastConsumptionTime), waitingMinutes), now);
+  return waitSeconds > 0 ? waitSeconds : 0;
+};
+
+// Consumption caps (ml; null = no cap). Rolling caps count the new entry plus
+// everything recorded in the window before it.
+export const CAPS = [
+  { key: 'perEntryMl', label: 'Per entry', hours: 0 },
+  { key: 'per2hMl', label: '2 hours', hours: 2 },
+  { key: 'per24hMl', label: '24 hours', hours: 24 },
+];
+export const DEFAULT_CAPS = { perEntryMl: null, per2hMl: null, per24hMl: null, allowOverride: true };
+
+// Caps that adding `amount` would exceed: [{ key, label, limit, total }]
+export const checkCaps = (records, amount, caps, now = new Date()) => CAPS
+  .filter(({ key }) => Number(caps[key]) > 0)
+  .map(({ key, label, hours }) => ({
+    key,
+    label,
+    limit: Number(caps[key]),
+    total: (hours ? calculateRecentConsumption(records, hours, now) : 0) + amount,
+  }))
+  .filter(({ limit, total }) => total > limit);
+
+// Keep a record's fields, with its beverage snapshot validated (dropped if unusable)
+export const normalizeRecord = (r) => {
+  const { beverage, ...rest } = r;
+  const b = normalizeBeverage(beverage);
+  return b ? { ...rest, beverage: b } : rest;
+};
+
+// Records that haven't been deleted (everything but tombstones)
+export const liveRecords = (recs) => recs.filter((r) => !r.deletedAt);
+
+// Whether a user was removed: nothing is left but tombstones marked `removed`.
+// Removed users keep those tombstones, so the deletions reach other devices,
+// but aren't listed any more.
+export const isRemovedUser = (recs) => recs.length > 0 && recs.every((r) => r.deletedAt && r.removed);
+
+// The users that haven't been removed
+export const withoutRemovedUsers = (users) => Object.fromEntries(Object.entries(users).filter(([, recs]) => !isRemovedUser(recs)));
+
+// A random record ID (UUID v4 format)
+export const newRecordId = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+// 53-bit string hash (cyrb53), base 36
+const hashString = (str) => {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+};
+
+// The ID for a record from before records had IDs. It is derived from the user,
+// time and amount (plus its position among identical entries), so every device
+// and every copy of a backup assigns the same ID to the same record.
+export const legacyRecordId = (userId, record, occurrence = 0) => (
+  `v1-${hashString(`${normalizeId(userId)}|${record.timestamp}|${record.amount}|${occurrence}`)}`
+);
+
+// Give every record without an ID its legacy ID (records with one are unchanged)
+export const assignRecordIds = (userId, recs) => {
+  const seen = new Map();
+  return recs.map((r) => {
+    if (r.id) return r;
+    const sig = `${r.timestamp}|${r.amount}`;
+    const occurrence = seen.get(sig) || 0;
+    seen.set(sig, occurrence + 1);
+    return { id: legacyRecordId(userId, r, occurrence), ...r };
+  });
+};
+
+// Of two versions of the same record, the one to keep: a deletion is final,
+// otherwise the later edit wins. Ties (e.g. legacy copies) go to the copy that
+// carries a beverage, then to a fixed order, so every device picks the same one.
+export const pickRecordVersion = (a, b) => {
+  if (a.deletedAt || b.deletedAt) {
+    if (!b.deletedAt) return a;
+    if (!a.deletedAt) return b;
+    return a.deletedAt >= b.deletedAt ? a : b;
+  }
+  const ta = a.updatedAt || a.createdAt || '';
+  const tb = b.updatedAt || b.createdAt || '';
+  if (ta !== tb) return ta > tb ? a : b;
+  if (!a.beverage !== !b.beverage) return a.beverage ? a : b;
+  return JSON.stringify(a) >= JSON.stringify(b) ? a : b;
+};
+
+// Merge imported users into existing ones: normalize user IDs to lowercase,
+// keep one version of each record ID (see pickRecordVersion; records without
+// an ID get their legacy ID first), and sort chronologically. A record lands
+// with whichever user its winning version belongs to, so moves carry over too.
+export const normalizeAndMerge = (existingUsers, importedUsers) => {
+  const result = {};
+  const byId = new Map();
+  const add = (id, recs) => {
+    const key = normalizeId(id);
+    if (!result[key]) result[key] = [];
+    assignRecordIds(key, Array.isArray(recs) ? recs : []).forEach((r) => {
+      const record = normalizeRecord(r);
+      const kept = byId.get(record.id);
+      if (!kept || pickRecordVersion(kept.record, record) === record) byId.set(record.id, { userId: key, record });
+    });
+  };
+  Object.entries(existingUsers).forEach(([id, recs]) => add(id, recs));
+  Object.entries(importedUsers).forEach(([id, recs]) => add(id, recs));
+  byId.forEach(({ userId, record }) => result[userId].push(record));
+  Object.keys(result).forEach((key) => {
+    result[key] = sortRecords(result[key]);
+  });
+  return result;
+};
+
+// The users after replacing `existing` with `imported` (both normalized) in a
+// way that reaches other devices: imported records that differ from the
+// existing ones count as changed `now` (and get a new ID if they were deleted
+// here, as a deletion is final), existing records left out are deleted, and
+// users left out entirely are removed (see isRemovedUser).
+export const replaceUsers = (existing, imported, now = new Date()) => {
+  const stamp = now.toISOString();
+  const current = new Map();
+  Object.entries(existing).forEach(([userId, recs]) => recs.forEach((record) => current.set(record.id, { userId, record })));
+  const result = {};
+  Object.entries(imported).forEach(([userId, recs]) => {
+    result[userId] = recs.map((record) => {
+      const found = current.get(record.id);
+      if (found && (record.deletedAt || !found.record.deletedAt)) current.delete(record.id);
+      if (record.deletedAt) return record;
+      if (found && found.record.deletedAt) return { ...record, id: newRecordId(), updatedAt: stamp };
+      const same = found && found.userId === userId && JSON.stringify(found.record) === JSON.stringify(record);
+      return same ? record : { ...record, updatedAt: stamp };
+    });
+  });
+  // What's left: deletions to keep, and records to delete
+  current.forEach(({ userId, record }) => {
+    const kept = userId in imported;
+    let tombstone = { id: record.id, timestamp: record.timestamp, deletedAt: stamp };
+    if (record.deletedAt && (kept || record.removed)) tombstone = record;
+    else if (!kept) tombstone.removed = true;
+    result[userId] = [...(result[userId] || []), tombstone];
+  });
+  Object.keys(result).forEach((key) => {
+    result[key] = sortRecords(result[key]);
+  });
+  return result;
+};
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateRecentConsumption, checkCaps, getWaitingSeconds, getWaitingTime, normalizeAndMerge, normalizeId } from './records.js';
+
+const now = new Date('2024-06-01T20:00:00.000Z');
+const minutesAgo = (m) => new Date(now.getTime() - m * 60000).toISOString();
+
+test('normalizeId trims and lowercases', () => {
+  assert.equal(normalizeId('  Alex S '), 'alex s');
+});
+
+test('getWaitingTime counts down from the last drink and stops at 0', () => {
+  assert.equal(getWaitingTime(minutesAgo(0), 60, now), 60);
+  assert.equal(getWaitingTime(minutesAgo(45), 60, now), 15);
+  assert.equal(getWaitingTime(minutesAgo(60), 60, now), 0);
+  assert.equal(getWaitingTime(minutesAgo(90), 60, now), 0);
+});
+
+test('getWaitingSeconds counts the last minute down too', () => {
+  assert.equal(getWaitingSeconds(minutesAgo(45), 60, now), 900);
+  assert.equal(getWaitingSeconds(minutesAgo(59.5), 60, now), 30);
+  assert.equal(getWaitingTime(minutesAgo(59.5), 60, now), 0);
+  assert.equal(getWaitingSeconds(minutesAgo(61), 60, now), 0);
+});
+
+test('calculateRecentConsumption only counts records inside the window', () => {
+  const records = [
+    { timestamp: minutesAgo(180), amount: 5 },
+    { timestamp: minutesAgo(100), amount: 2 },
+    { timestamp: minutesAgo(10), amount: 1.5 },
+  ];
+  assert.equal(calculateRecentConsumption(records, 2, now), 3.5);
+  assert.equal(calculateRecentConsumption(records, 4, now), 8.5);
+});
+
+test('checkCaps reports each cap the new amount would exceed', () => {
+  const records = [{ timestamp: minutesAgo(30), amount: 400 }];
+  const caps = { perEntryMl: 500, per2hMl: 600, per24hMl: null };
+  assert.deepEqual(checkCaps(records, 100, caps, now), []);
+  assert.deepEqual(
+    checkCaps(records, 550, caps, now).map((c) => [c.key, c.total]),
+    [['perEntryMl', 550], ['per2hMl', 950]]
+  );
+});
+
+test('normalizeAndMerge lowercases IDs, drops duplicates and sorts', () => {
+  const existing = { alex: [{ timestamp: minutesAgo(10), amount: 1 }] };
+  const imported = {
+    Alex: [
+      { timestamp: minutesAgo(10), amount: 1 },
+      { timestamp: minutesAgo(50), amount: 2 },
+    ],
+    ' Sam ': [{ timestamp: minutesAgo(5), amount: 3 }],
+  };
+  const merged = normalizeAndMerge(existing, imported);
+  assert.deepEqual(Object.keys(merged).sort(), ['alex', 'sam']);
+  assert.deepEqual(merged.alex.map((r) => r.amount), [2, 1]);
+});
+
+test('normalizeAndMerge keeps the duplicate that carries a beverage', () => {
+  const t = minutesAgo(20);
+  const merged = normalizeAndMerge(
+    { alex: [{ timestamp: t, amount: 330 }] },
+    { alex: [{ timestamp: t, amount: 330, beverage: { id: 'beer', name: 'Beer', abv: 5 } }] }
+  );
+  assert.equal(merged.alex.length, 1);
+  assert.equal(merged.alex[0].beverage.name, 'Beer');
+});
@@ -0,0 +1,43 @@
+// Wait/threshold settings and the per-user profiles that can override them.
+import { normalizeId } from './records.js';
+
+// Default settings values (used by "Reset to defaults")
+export const DEFAULT_WAITING_MINUTES = 60;
+export const DEFAULT_ALMOST_READY_PCT = 11;
+export const DEFAULT_CONFIRM_PCT = 89;
+
+// Per-user overrides of the global wait/threshold settings, stored on the profile
+// as { overrides: { waitingMinutes?, almostReadyPct?, confirmPct? } }
+export const OVERRIDE_LIMITS = {
+  waitingMinutes: { min: 1, max: Infinity, label: 'Wait', unit: ' min' },
+  almostReadyPct: { min: 0, max: 100, label: 'Almost ready', unit: '%' },
+  confirmPct: { min: 0, max: 100, label: 'Confirm', unit: '%' },
+};
+
+export const isValidOverride = (key, value) => (
+  Number.isInteger(value) && value >= OVERRIDE_LIMITS[key].min && value <= OVERRIDE_LIMITS[key].max
+);
+
+// The valid overrides on a profile (empty object when there are none)
+export const getOverrides = (profile) => {
+  const raw = profile && profile.overrides && typeof profile.overrides === 'object' ? profile.overrides : {};
+  const result = {};
+  Object.keys(OVERRIDE_LIMITS).forEach((key) => {
+    if (isValidOverride(key, raw[key])) result[key] = raw[key];
+  });
+  return result;
+};
+
+// Global settings with the user's overrides applied
+export const getEffectiveSettings = (globals, profile) => ({ ...globals, ...getOverrides(profile) });
+
+// Merge imported profiles (lowercasing IDs); existing profile fields win
+export const mergeProfiles = (existing, imported) => {
+  const result = { ...existing };
+  Object.entries(imported && typeof imported === 'object' ? imported : {}).forEach(([id, profile]) => {
+    if (!profile || typeof profile !== 'object') return;
+    const key = normalizeId(id);
+    result[key] = { ...profile, ...(result[key] || {}) };
+  });
+  return result;
+};
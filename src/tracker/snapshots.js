@@ -0,0 +1,41 @@
+// Snapshots: copies of the whole dataset taken automatically before a
+// destructive change (a reset, a replacing import, renaming or merging users,
+// a restore), so a mistaken confirmation can be undone. A snapshot is
+// { id, takenAt: ISO string, reason, userCount, recordCount, dataset }.
+// The audit log is left out; it is append-only and never rolled back.
+import { liveRecords, newRecordId, withoutRemovedUsers } from './records.js';
+
+export const SNAPSHOT_REASONS = [
+  { key: 'reset', label: 'Before reset' },
+  { key: 'import', label: 'Before replacing import' },
+  { key: 'users', label: 'Before renaming or merging users' },
+  { key: 'restore', label: 'Before restoring a snapshot' },
+];
+
+export const snapshotReasonLabel = (reason) => (SNAPSHOT_REASONS.find((r) => r.key === reason) || { label: reason }).label;
+
+// How many snapshots are kept by default, and at most
+export const DEFAULT_SNAPSHOT_LIMIT = 10;
+export const MAX_SNAPSHOT_LIMIT = 50;
+
+// A snapshot of an exported dataset (see exportData)
+export const buildSnapshot = (dataset, reason, now = new Date()) => {
+  const data = { ...dataset };
+  delete data.audit;
+  const users = Object.values(withoutRemovedUsers(data.users));
+  return {
+    id: newRecordId(),
+    takenAt: now.toISOString(),
+    reason,
+    userCount: users.length,
+    recordCount: users.reduce((n, recs) => n + liveRecords(recs).length, 0),
+    dataset: data,
+  };
+};
+
+// The IDs of the snapshots beyond the newest `limit` (works for any { id, takenAt } list,
+// such as the automatic backups)
+export const snapshotsToPrune = (snapshots, limit) => [...snapshots]
+  .sort((a, b) => b.takenAt.localeCompare(a.takenAt))
+  .slice(Math.max(0, limit))
+  .map((s) => s.id);
@@ -0,0 +1,232 @@
+// Importing records from spreadsheets: plain CSV or unencrypted JSON is read
+// into a table, the user maps its columns to record fields, and each row is
+// turned into a record or a readable per-row error.
+import { normalizeBeverage } from './alcohol.js';
+import { CSV_HEADER } from './csv.js';
+import { normalizeId } from './records.js';
+
+// Record fields a column can be mapped to
+export const IMPORT_FIELDS = [
+  { key: 'userId', label: 'User ID', required: true },
+  { key: 'date', label: 'Date / timestamp', required: true },
+  { key: 'time', label: 'Time (if separate)', required: false },
+  { key: 'amount', label: 'Amount (ml)', required: true },
+  { key: 'beverage', label: 'Beverage', required: false },
+  { key: 'abv', label: 'ABV (%)', required: false },
+];
+
+// Date formats the date column can be read in. Times are optional and read as
+// local time, unless an ISO timestamp carries its own offset.
+export const DATE_FORMATS = [
+  { key: 'iso', label: 'ISO (2024-06-01 21:30)' },
+  { key: 'dmy', label: 'Day/month/year (01/06/2024 21:30)' },
+  { key: 'mdy', label: 'Month/day/year (06/01/2024 9:30 PM)' },
+  { key: 'ymd', label: 'Year/month/day (2024/06/01 21:30)' },
+  { key: 'unix', label: 'Unix time (seconds or ms)' },
+  { key: 'excel', label: 'Excel serial number (45444.9)' },
+];
+
+// Guess column names for each field, most specific first
+const FIELD_PATTERNS = {
+  userId: [/^user ?id$/i, /^(user|guest|attendee|badge|wristband|name|id)\b/i],
+  date: [/timestamp|date ?time/i, /date|^when$/i],
+  time: [/^time$/i],
+  amount: [/amount|^ml$|volume|quantity|^qty/i],
+  beverage: [/beverage|drink/i],
+  abv: [/abv|strength|alcohol ?%/i],
+};
+
+// Read CSV text into rows of fields. Handles quotes, CRLF and a BOM, and picks
+// the delimiter (comma, semicolon or tab) that the header line uses most.
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const delimiter = [',', ';', '\t']
+    .map((d) => ({ d, n: firstLine.split(d).length }))
+    .sort((a, b) => b.n - a.n)[0].d;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) rows.push([...row, field]);
+  return rows.filter((r) => r.some((f) => f.trim() !== ''));
+};
+
+// Read a file's text as a table { columns, rows } (rows are arrays of strings,
+// `rowNumbers` their line/item numbers in the file). JSON may be a list of
+// objects or { rows: [...] }. An unencrypted dataset export is returned as
+// { dataset } instead, to be imported as it is.
+export const readTable = (text, fileName = '') => {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  if (/\.json$/i.test(fileName) || /^[[{]/.test(trimmed)) {
+    let data;
+    try { data = JSON.parse(trimmed); } catch { throw new Error('That file is not valid JSON.'); }
+    if (data && data.ciphertext) throw new Error('That file is an encrypted backup; import it as a backup instead.');
+    if (data && data.users && typeof data.users === 'object' && !Array.isArray(data.users)) return { dataset: data };
+    const items = Array.isArray(data) ? data : data && Array.isArray(data.rows) ? data.rows : null;
+    if (!items || !items.every((item) => item && typeof item === 'object' && !Array.isArray(item))) {
+      throw new Error('JSON must be a list of objects (one per record).');
+    }
+    const columns = [...new Set(items.flatMap((item) => Object.keys(item)))];
+    return {
+      columns,
+      rows: items.map((item) => columns.map((c) => (item[c] == null ? '' : String(item[c])))),
+      rowNumbers: items.map((_, i) => i + 1),
+    };
+  }
+  const [header, ...rows] = parseCsv(trimmed);
+  if (!header || rows.length === 0) throw new Error('The file has no rows below its header.');
+  return {
+    columns: header.map((c, i) => c.trim() || `Column ${i + 1}`),
+    rows,
+    rowNumbers: rows.map((_, i) => i + 2),
+  };
+};
+
+// A first guess at the column mapping: { [field]: column index or -1 }
+export const guessMapping = (columns) => {
+  const mapping = {};
+  const used = new Set();
+  IMPORT_FIELDS.forEach(({ key }) => {
+    mapping[key] = -1;
+    FIELD_PATTERNS[key].some((pattern) => {
+      const index = columns.findIndex((c, i) => !used.has(i) && pattern.test(c.trim()));
+      if (index === -1) return false;
+      mapping[key] = index;
+      used.add(index);
+      return true;
+    });
+  });
+  // A full timestamp column needs no separate time
+  if (mapping.date !== -1 && /timestamp|date ?time/i.test(columns[mapping.date])) mapping.time = -1;
+  return mapping;
+};
+
+const localDate = (y, mo, d, h = 0, mi = 0, s = 0) => {
+  const date = new Date(y, mo - 1, d, h, mi, s);
+  // Reject overflow such as 31/02
+  return date.getFullYear() === y && date.getMonth() === mo - 1 && date.getDate() === d ? date : null;
+};
+
+const NUMERIC_DATE = /^(\d{1,4})[./-](\d{1,2})[./-](\d{1,4})(?:[ T,]+(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*([ap])?\.?m?\.?)?$/i;
+
+// Parse a date in one of DATE_FORMATS; returns a Date or null
+export const parseDate = (value, dateFormat) => {
+  const text = String(value).trim();
+  if (!text) return null;
+  if (dateFormat === 'iso') {
+    if (!/^\d{4}-\d{2}-\d{2}/.test(text)) return null;
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00` : text.replace(' ', 'T'));
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  if (dateFormat === 'unix' || dateFormat === 'excel') {
+    const n = Number(text);
+    if (dateFormat === 'unix') return /^\d{9,13}$/.test(text) ? new Date(n < 1e11 ? n * 1000 : n) : null;
+    if (!/^\d{1,6}(\.\d+)?$/.test(text)) return null;
+    // Days since 1899-12-30 (local time), the fraction being the time of day
+    const days = Math.floor(n);
+    const date = new Date(1899, 11, 30 + days);
+    date.setSeconds(Math.round((n - days) * 86400));
+    return date;
+  }
+  const m = NUMERIC_DATE.exec(text);
+  if (!m) return null;
+  const [a, b, c] = [m[1], m[2], m[3]].map(Number);
+  const [y, mo, d] = dateFormat === 'dmy' ? [c, b, a] : dateFormat === 'mdy' ? [c, a, b] : [a, b, c];
+  if (y < 1000) return null;
+  let h = m[4] ? Number(m[4]) : 0;
+  if (m[7]) {
+    if (h < 1 || h > 12) return null;
+    h = (h % 12) + (m[7].toLowerCase() === 'p' ? 12 : 0);
+  }
+  if (h > 23 || Number(m[5] || 0) > 59 || Number(m[6] || 0) > 59) return null;
+  return localDate(y, mo, d, h, Number(m[5] || 0), Number(m[6] || 0));
+};
+
+// The first date format that reads every value in the sample ('iso' if none do)
+export const guessDateFormat = (values) => {
+  const sample = values.map((v) => String(v).trim()).filter(Boolean).slice(0, 200);
+  const match = DATE_FORMATS.find(({ key }) => sample.length > 0 && sample.every((v) => parseDate(v, key)));
+  return match ? match.key : 'iso';
+};
+
+// Amounts like "330", "330 ml" or "0,5" (decimal comma)
+const parseAmount = (value) => {
+  const text = String(value).trim().replace(/\s*ml$/i, '');
+  const n = Number(/^\d+,\d+$/.test(text) ? text.replace(',', '.') : text);
+  return Number.isFinite(n) && text !== '' ? n : NaN;
+};
+
+// Undo the quote the app's CSV export puts in front of formula-like values
+const cellText = (value) => String(value ?? '').trim().replace(/^'(?=[=+\-@])/, '');
+
+// The total rows in the app's own CSV export: a user ID (or "All users"), no
+// date or time, and one of these labels in the Timestamp (ISO) column
+const TOTAL_LABEL = /^(Total|Subtotal \(\d+ records?\)|Grand total \(\d+ users?, \d+ records?\))$/;
+const LABEL_COLUMN = CSV_HEADER.indexOf('Timestamp (ISO)');
+const isTotalRow = (row) => cellText(row[0]) !== '' && cellText(row[1]) === '' && cellText(row[2]) === ''
+  && TOTAL_LABEL.test(cellText(row[LABEL_COLUMN]));
+
+// Turn mapped rows into users' records. Beverages are matched by name against
+// the catalog, or taken from the ABV column. Rows that can't be read are left
+// out and reported as errors: [{ row, message }].
+// Returns { users: { [userId]: records }, recordCount, errors, skipped }.
+export const mapRows = (table, mapping, { dateFormat = 'iso', beverages = [], now = new Date() } = {}) => {
+  const users = {};
+  const errors = [];
+  let recordCount = 0;
+  let skipped = 0;
+  const cell = (row, field) => (mapping[field] >= 0 ? cellText(row[mapping[field]]) : '');
+  const catalog = new Map(beverages.map((b) => [b.name.trim().toLowerCase(), b]));
+  table.rows.forEach((row, i) => {
+    const rowNumber = table.rowNumbers ? table.rowNumbers[i] : i + 1;
+    if (isTotalRow(row)) { skipped += 1; return; }
+    const fail = (message) => errors.push({ row: rowNumber, message });
+    const id = normalizeId(cell(row, 'userId'));
+    if (!id) { fail('User ID is missing.'); return; }
+    const dateText = [cell(row, 'date'), cell(row, 'time')].filter(Boolean).join(' ');
+    if (!dateText) { fail('Date is missing.'); return; }
+    const date = parseDate(dateText, dateFormat);
+    if (!date || Number.isNaN(date.getTime())) { fail(`"${dateText}" is not a valid date in the chosen format.`); return; }
+    if (date > now) { fail(`${dateText} is in the future; check the date format.`); return; }
+    const amount = parseAmount(cell(row, 'amount'));
+    if (!(amount > 0)) { fail(`Amount "${cell(row, 'amount')}" must be a number of ml above 0.`); return; }
+    const record = { timestamp: date.toISOString(), amount };
+    const name = cell(row, 'beverage');
+    if (name) {
+      const abvText = cell(row, 'abv').replace(/\s*%$/, '');
+      const beverage = abvText
+        ? normalizeBeverage({ id: (catalog.get(name.toLowerCase()) || {}).id ?? null, name, abv: abvText.replace(',', '.') })
+        : normalizeBeverage(catalog.get(name.toLowerCase()));
+      if (!beverage) {
+        fail(abvText ? `ABV "${abvText}" must be between 0 and 100.` : `"${name}" is not in the beverage list; map an ABV column or add it first.`);
+        return;
+      }
+      record.beverage = beverage;
+    }
+    users[id] = [...(users[id] || []), record];
+    recordCount += 1;
+  });
+  return { users, recordCount, errors, skipped };
+};
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTracker } from './tracker.js';
+import { buildAllUsersCsv } from './csv.js';
+import { guessDateFormat, guessMapping, mapRows, parseCsv, parseDate, readTable } from './spreadsheet.js';
+
+const now = new Date('2024-06-01T20:00:00.000Z');
+
+test('parseCsv handles quotes, semicolons and CRLF', () => {
+  assert.deepEqual(parseCsv('a;b\r\n"x; ""y""";2\r\n'), [['a', 'b'], ['x; "y"', '2']]);
+  assert.deepEqual(parseCsv('\uFEFFname,ml\nAlex,330'), [['name', 'ml'], ['Alex', '330']]);
+});
+
+test('parseDate reads each date format', () => {
+  const local = (...args) => new Date(...args).getTime();
+  assert.equal(parseDate('01/06/2024 21:30', 'dmy').getTime(), local(2024, 5, 1, 21, 30));
+  assert.equal(parseDate('06/01/2024 9:30 PM', 'mdy').getTime(), local(2024, 5, 1, 21, 30));
+  assert.equal(parseDate('2024.06.01', 'ymd').getTime(), local(2024, 5, 1));
+  assert.equal(parseDate('2024-06-01T20:00:00Z', 'iso').toISOString(), now.toISOString());
+  assert.equal(parseDate('1717272000', 'unix').toISOString(), now.toISOString());
+  assert.equal(parseDate('45444.5', 'excel').getTime(), local(2024, 5, 1, 12));
+  assert.equal(parseDate('31/02/2024', 'dmy'), null);
+  assert.equal(guessDateFormat(['13/05/2024 20:00', '01/06/2024 8:00']), 'dmy');
+  assert.equal(guessDateFormat(['05/13/2024 20:00']), 'mdy');
+});
+
+test('mapped rows become records, with per-row errors', () => {
+  const table = readTable([
+    'Guest,When,Drink,ml',
+    'Alex,2024-06-01 19:00,Beer,330',
+    'Sam,2024-06-01 19:30,Cider,250',
+    ',2024-06-01 19:30,Beer,330',
+    'Sam,yesterday,Beer,330',
+    'Sam,2024-06-01 19:45,,0,5',
+  ].join('\n'));
+  const mapping = guessMapping(table.columns);
+  assert.deepEqual(mapping, { userId: 0, date: 1, time: -1, amount: 3, beverage: 2, abv: -1 });
+  const result = mapRows(table, mapping, { beverages: [{ id: 'beer', name: 'Beer', abv: 5 }], now });
+  assert.equal(result.recordCount, 1);
+  assert.deepEqual(result.users.alex[0].beverage, { id: 'beer', name: 'Beer', abv: 5 });
+  assert.deepEqual(result.errors.map((e) => e.row), [3, 4, 5, 6]);
+  assert.match(result.errors[0].message, /Cider/);
+});
+
+test('only the export\'s own total rows are skipped', () => {
+  const table = readTable([
+    'User ID,Date,Beverage,Amount (ml)',
+    'alex,2024-06-01 19:00,Total Lager,330',
+    'sam,2024-06-01 19:30,Total,500',
+  ].join('\n'));
+  const result = mapRows(table, guessMapping(table.columns), { now });
+  assert.deepEqual(result.errors.map((e) => e.row), [2, 3]);
+  assert.equal(result.skipped, 0);
+
+  const withAbv = mapRows(readTable('User ID,Date,Beverage,Amount (ml),ABV (%)\nalex,2024-06-01 19:00,Total Lager,330,4.8'), { userId: 0, date: 1, time: -1, amount: 3, beverage: 2, abv: 4 }, { now });
+  assert.equal(withAbv.skipped, 0);
+  assert.equal(withAbv.users.alex[0].beverage.name, 'Total Lager');
+});
+
+test('the app\'s own CSV export reads back in', () => {
+  const source = createTracker();
+  source.addRecord('alex', { amount: 330, timestamp: new Date('2024-06-01T19:00:00Z'), beverage: { id: 'beer', name: 'Beer', abv: 5 } }, now);
+  source.addRecord('sam', { amount: 40, timestamp: new Date('2024-06-01T19:30:00Z') }, now);
+  const table = readTable(buildAllUsersCsv(source.getUsers()));
+  const result = mapRows(table, guessMapping(table.columns), { dateFormat: 'iso', now });
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.skipped, 3);
+
+  const target = createTracker();
+  target.importData({ users: result.users });
+  assert.equal(target.getRecords('alex')[0].beverage.abv, 5);
+  assert.equal(target.getRecords('sam')[0].timestamp, '2024-06-01T19:30:00.000Z');
+});
@@ -0,0 +1,302 @@
+// Multi-device sync over a pluggable backend. The server keeps an append-only
+// log of record versions ({ seq, deviceId, userId, record }) and alias changes
+// ({ seq, deviceId, alias: { alias, userId (null when removed), at } }); each
+// device keeps an outbox of changes it hasn't sent yet and a cursor into the
+// log. New records, edits, moves and deletions (tombstones) all travel as a new
+// version of the record's ID, and pulled ones are merged like an import
+// (normalizeAndMerge keeps the winning version); the latest change of an alias
+// wins. Renames and merges travel as their moved records and aliases (see
+// tracker.applySyncChanges), so every device ends up with the same users,
+// records and aliases whatever order changes arrive in.
+import { pickAliasVersion } from './aliases.js';
+import { legacyRecordId, normalizeId, pickRecordVersion } from './records.js';
+
+export const SYNC_PAGE_SIZE = 500;
+
+// Identifies one version of a record: who it belongs to, and when it was last
+// changed or deleted
+const versionOf = (userId, record) => `${userId}|${record.updatedAt || record.createdAt || ''}|${record.deletedAt || ''}`;
+
+const isDate = (value) => typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+
+const isValidRecord = (record) => !!record && typeof record.id === 'string' && !!record.id && isDate(record.timestamp)
+  && (record.deletedAt ? isDate(record.deletedAt) : Number.isFinite(record.amount) && record.amount > 0);
+
+const isId = (value) => typeof value === 'string' && !!normalizeId(value);
+
+const isValidAlias = (alias) => !!alias && isId(alias.alias) && (alias.userId === null || isId(alias.userId)) && isDate(alias.at);
+
+// Outbox entries are replaced by newer changes of the same record or alias
+const changeKey = (change) => (change.alias ? `alias:${change.alias.alias}` : change.record.id);
+
+// The server side: the shared change log and the devices that use it. Used by
+// the reference server (server/sync-server.js) and by createLocalSyncBackend.
+export const createSyncLog = ({ changes = [], devices = {} } = {}) => {
+  // Entries logged before records had IDs get their legacy ID
+  const log = changes.map((c) => (!c.record || c.record.id ? c : { ...c, record: { id: legacyRecordId(c.userId, c.record), ...c.record } }));
+  // The winning version of each record ID and each alias so far
+  const latest = new Map();
+  const latestAliases = new Map();
+  log.forEach((c) => {
+    if (c.alias) {
+      const kept = latestAliases.get(c.alias.alias);
+      if (!kept || pickAliasVersion(kept, c.alias) === c.alias) latestAliases.set(c.alias.alias, c.alias);
+      return;
+    }
+    const kept = latest.get(c.record.id);
+    if (!kept || pickRecordVersion(kept, c.record) === c.record) latest.set(c.record.id, c.record);
+  });
+  const seen = { ...devices };
+
+  const touch = (deviceId, deviceName, now, pushed) => {
+    const previous = seen[deviceId] || {};
+    seen[deviceId] = {
+      name: deviceName || previous.name || deviceId,
+      lastSeenAt: now.toISOString(),
+      lastPushAt: pushed ? now.toISOString() : previous.lastPushAt || null,
+    };
+  };
+
+  const listDevices = () => Object.entries(seen)
+    .map(([id, device]) => ({ id, ...device }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  // Append a device's changes. Versions that lose to (or repeat) the one already
+  // logged for their record ID or alias are skipped, so a retried push is
+  // harmless, and so are entries that aren't valid changes. Returns how many were new.
+  const push = ({ deviceId, deviceName, changes: incoming }, now = new Date()) => {
+    if (!deviceId || typeof deviceId !== 'string') throw new Error('A device ID is required.');
+    if (!Array.isArray(incoming)) throw new Error('Changes must be a list.');
+    let accepted = 0;
+    incoming.forEach((change) => {
+      if (!change || typeof change !== 'object') return;
+      const { userId, record, alias } = change;
+      if (alias !== undefined) {
+        if (!isValidAlias(alias)) return;
+        const change = { alias: normalizeId(alias.alias), userId: alias.userId && normalizeId(alias.userId), at: alias.at };
+        const kept = latestAliases.get(change.alias);
+        if (kept && pickAliasVersion(kept, change) === kept) return;
+        latestAliases.set(change.alias, change);
+        log.push({ seq: log.length + 1, deviceId, alias: change });
+        accepted += 1;
+        return;
+      }
+      if (!isId(userId) || !isValidRecord(record)) return;
+      const id = normalizeId(userId);
+      const kept = latest.get(record.id);
+      if (kept && pickRecordVersion(kept, record) === kept) return;
+      latest.set(record.id, record);
+      log.push({ seq: log.length + 1, deviceId, userId: id, record });
+      accepted += 1;
+    });
+    touch(deviceId, deviceName, now, true);
+    return { accepted, cursor: log.length };
+  };
+
+  // Changes after `since` (a cursor from an earlier pull), a page at a time
+  const pull = ({ deviceId, deviceName, since = 0, limit = SYNC_PAGE_SIZE }, now = new Date()) => {
+    if (deviceId) touch(deviceId, deviceName, now, false);
+    const start = Math.max(0, Number(since) || 0);
+    const page = log.slice(start, start + limit);
+    return { changes: page, cursor: start + page.length, more: start + page.length < log.length, devices: listDevices() };
+  };
+
+  return { push, pull, toJSON: () => ({ changes: log, devices: seen }) };
+};
+
+// A backend talking to a sync log in the same process (tests, scripts)
+export const createLocalSyncBackend = (log = createSyncLog()) => ({
+  push: async (request) => log.push(request),
+  pull: async (request) => log.pull(request),
+});
+
+// A backend talking to a sync server over HTTP (see server/sync-server.js for
+// the protocol). A failed connection throws an error with `offline: true`.
+export const createHttpSyncBackend = ({ url, token, fetch: fetchImpl = globalThis.fetch }) => {
+  const base = url.replace(/\/+$/, '');
+  const request = async (path, { method = 'GET', body } = {}) => {
+    let res;
+    try {
+      res = await fetchImpl(`${base}${path}`, {
+        method,
+        headers: {
+          ...(body ? { 'Content-Type': 'application/json' } : {}),
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        ...(body ? { body: JSON.stringify(body) } : {}),
+      });
+    } catch {
+      const err = new Error('Could not reach the sync server.');
+      err.offline = true;
+      throw err;
+    }
+    let data = null;
+    try { data = await res.json(); } catch { /* not JSON */ }
+    if (!res.ok) throw new Error((data && data.error) || `The sync server responded with status ${res.status}.`);
+    return data;
+  };
+  return {
+    push: ({ deviceId, deviceName, changes }) => request('/changes', { method: 'POST', body: { deviceId, deviceName, changes } }),
+    pull: ({ deviceId, deviceName, since }) => request(
+      `/changes?since=${since}&deviceId=${encodeURIComponent(deviceId)}&deviceName=${encodeURIComponent(deviceName || '')}`
+    ),
+  };
+};
+
+// The device side. sync() queues record versions (tombstones included) and
+// alias changes the tracker has that this device hasn't sent or received yet,
+// pushes them, then pulls and merges everything newer than its cursor. The
+// outbox and cursor go through loadState/saveState, so changes made offline
+// are sent on the next successful sync.
+//   onApplied(userIds) — called after pulled changes were merged in
+export const createSync = ({
+  tracker, backend, deviceId, deviceName = deviceId, loadState = () => null, saveState = () => {}, onApplied = () => {},
+}) => {
+  if (!deviceId) throw new Error('A device ID is required.');
+  const saved = loadState() || {};
+  // State saved before record IDs kept `known` as a list; start over from the
+  // beginning of the log (merging is idempotent, and the server skips repeats)
+  const legacy = Array.isArray(saved.known);
+  let cursor = legacy ? 0 : saved.cursor || 0;
+  let outbox = legacy ? [] : saved.outbox || [];
+  // The version of each record ID, and the user of each alias (null when
+  // removed), this device last sent or received
+  const known = legacy ? {} : { ...saved.known };
+  const knownAliases = { ...saved.aliases };
+  let status = { state: 'idle', lastSyncAt: saved.lastSyncAt || null, error: null, devices: saved.devices || [] };
+  let running = null;
+  let rerun = false;
+  let applying = false;
+  const listeners = new Set();
+
+  const persist = () => saveState({
+    cursor, outbox, known, aliases: knownAliases, lastSyncAt: status.lastSyncAt, devices: status.devices,
+  });
+
+  const getStatus = () => ({ ...status, pending: outbox.length, deviceId, deviceName });
+
+  const setStatus = (changes) => {
+    status = { ...status, ...changes };
+    const snapshot = getStatus();
+    listeners.forEach((listener) => listener(snapshot));
+  };
+
+  // Queue the record versions and alias changes that haven't been sent or
+  // received yet; a newer change replaces an older one still waiting in the outbox
+  const collect = () => {
+    const queued = [];
+    Object.entries(tracker.getUsers({ deleted: true })).forEach(([userId, records]) => {
+      records.forEach((record) => {
+        const version = versionOf(userId, record);
+        if (known[record.id] === version) return;
+        known[record.id] = version;
+        queued.push({ userId, record });
+      });
+    });
+    const aliases = tracker.getAliases();
+    const at = new Date().toISOString();
+    [...new Set([...Object.keys(knownAliases), ...Object.keys(aliases)])].forEach((alias) => {
+      const userId = aliases[alias] || null;
+      if ((knownAliases[alias] || null) === userId) return;
+      knownAliases[alias] = userId;
+      queued.push({ alias: { alias, userId, at } });
+    });
+    if (queued.length === 0) return;
+    const keys = new Set(queued.map(changeKey));
+    outbox = [...outbox.filter((c) => !keys.has(changeKey(c))), ...queued];
+  };
+
+  // Merge pulled changes from other devices; returns the (local) user IDs touched
+  const apply = (changes) => {
+    const users = {};
+    const aliases = {};
+    changes.forEach(({ deviceId: from, userId, record, alias }) => {
+      if (from === deviceId) return;
+      if (alias) {
+        knownAliases[alias.alias] = alias.userId;
+        aliases[alias.alias] = alias.userId;
+        return;
+      }
+      // Remember it under the local ID (an alias lands on its main user)
+      known[record.id] = versionOf(tracker.resolveUser(userId), record);
+      users[userId] = [...(users[userId] || []), record];
+    });
+    if (Object.keys(users).length === 0 && Object.keys(aliases).length === 0) return [];
+    applying = true;
+    try {
+      return tracker.applySyncChanges({ users, aliases });
+    } finally {
+      applying = false;
+    }
+  };
+
+  const run = async () => {
+    setStatus({ state: 'syncing' });
+    try {
+      collect();
+      persist();
+      while (outbox.length > 0) {
+        const batch = outbox.slice(0, SYNC_PAGE_SIZE);
+        await backend.push({ deviceId, deviceName, changes: batch });
+        outbox = outbox.slice(batch.length);
+        persist();
+      }
+      const touched = new Set();
+      let more = true;
+      while (more) {
+        const page = await backend.pull({ deviceId, deviceName, since: cursor });
+        apply(page.changes).forEach((id) => touched.add(id));
+        cursor = page.cursor;
+        more = page.more;
+        status.devices = page.devices || status.devices;
+        persist();
+      }
+      if (touched.size > 0) {
+        onApplied([...touched]);
+        // Applying them can move records here (a user renamed elsewhere); send those right away
+        collect();
+        if (outbox.length > 0) rerun = true;
+      }
+      setStatus({ state: 'idle', lastSyncAt: new Date().toISOString(), error: null });
+      persist();
+    } catch (err) {
+      setStatus({
+        state: err && err.offline ? 'offline' : 'error',
+        error: err && err.message ? err.message : 'Sync failed.',
+      });
+    }
+  };
+
+  // Sync now. Calls made while a sync is running schedule one more run after it.
+  const sync = () => {
+    if (running) {
+      rerun = true;
+      return running;
+    }
+    running = (async () => {
+      try {
+        do {
+          rerun = false;
+          await run();
+        } while (rerun);
+      } finally {
+        running = null;
+      }
+    })();
+    return running;
+  };
+
+  // Subscribe to status changes; returns an unsubscribe function
+  const onStatusChange = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    sync,
+    getStatus,
+    onStatusChange,
+    // True while pulled records are being written (so the app can tell them from local changes)
+    isApplying: () => applying,
+  };
+};
@@ -0,0 +1,229 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTracker } from './tracker.js';
+import { createLocalSyncBackend, createSync, createSyncLog } from './sync.js';
+
+const now = new Date('2024-06-01T20:00:00.000Z');
+const minutesAgo = (m) => new Date(now.getTime() - m * 60000);
+
+test('two devices converge on the same records and wait state', async () => {
+  const backend = createLocalSyncBackend();
+  const bar1 = createTracker();
+  const bar2 = createTracker();
+  const sync1 = createSync({ tracker: bar1, backend, deviceId: 'bar-1' });
+  const sync2 = createSync({ tracker: bar2, backend, deviceId: 'bar-2' });
+  // Changes are found without exporting the whole dataset (audit log included)
+  bar1.exportData = () => assert.fail('sync exported the dataset');
+
+  bar1.addRecord('alex', { amount: 1, timestamp: minutesAgo(90) }, now);
+  bar2.addRecord('Alex', { amount: 2, timestamp: minutesAgo(10) }, now);
+  await sync1.sync();
+  await sync2.sync();
+  await sync1.sync();
+
+  assert.deepEqual(bar1.getRecords('alex'), bar2.getRecords('alex'));
+  assert.deepEqual(bar1.getRecords('alex').map((r) => r.amount), [1, 2]);
+  assert.equal(bar1.getStatus('alex', now).waitingTimeNeeded, bar2.getStatus('alex', now).waitingTimeNeeded);
+  assert.deepEqual(sync1.getStatus().devices.map((d) => d.id), ['bar-1', 'bar-2']);
+});
+
+test('changes made offline are queued and sent later', async () => {
+  const log = createSyncLog();
+  let online = false;
+  const backend = {
+    push: async (request) => {
+      if (!online) throw Object.assign(new Error('Could not reach the sync server.'), { offline: true });
+      return log.push(request);
+    },
+    pull: async (request) => log.pull(request),
+  };
+  let state = null;
+  const tracker = createTracker();
+  const options = { tracker, backend, deviceId: 'bar-1', loadState: () => state, saveState: (s) => { state = s; } };
+
+  tracker.addRecord('alex', { amount: 1, timestamp: minutesAgo(5) }, now);
+  await createSync(options).sync();
+  assert.equal(log.pull({ since: 0 }).changes.length, 0);
+
+  // A restarted device picks up its saved outbox
+  const restarted = createSync(options);
+  assert.equal(restarted.getStatus().pending, 1);
+  online = true;
+  await restarted.sync();
+  assert.equal(restarted.getStatus().state, 'idle');
+  assert.equal(restarted.getStatus().pending, 0);
+  assert.equal(log.pull({ since: 0 }).changes.length, 1);
+});
+
+test('the sync log skips repeats and pages through changes', () => {
+  const log = createSyncLog();
+  const record = { id: 'r1', timestamp: minutesAgo(5).toISOString(), amount: 1 };
+  assert.equal(log.push({ deviceId: 'a', changes: [{ userId: 'Alex', record }] }, now).accepted, 1);
+  assert.equal(log.push({ deviceId: 'b', changes: [{ userId: 'alex', record }, { userId: 'sam', record: { amount: -1 } }] }, now).accepted, 0);
+  const page = log.pull({ since: 0, limit: 1 });
+  assert.equal(page.changes[0].userId, 'alex');
+  assert.equal(page.more, false);
+  assert.throws(() => log.push({ changes: [] }), /device ID/);
+
+  // Entries that aren't changes are skipped, wherever they are in the batch
+  const next = { id: 'r2', timestamp: minutesAgo(4).toISOString(), amount: 2 };
+  const pushed = log.push({ deviceId: 'c', changes: [null, 'x', 7, [], { userId: 'sam', record: next }, null] }, now);
+  assert.deepEqual(pushed, { accepted: 1, cursor: 2 });
+  assert.deepEqual(log.pull({ since: 1 }).changes.map((c) => c.record.id), ['r2']);
+});
+
+test('edits and deletions reach the other devices', async () => {
+  const backend = createLocalSyncBackend();
+  const bar1 = createTracker({ deviceId: 'bar-1' });
+  const bar2 = createTracker({ deviceId: 'bar-2' });
+  const sync1 = createSync({ tracker: bar1, backend, deviceId: 'bar-1' });
+  const sync2 = createSync({ tracker: bar2, backend, deviceId: 'bar-2' });
+
+  bar1.addRecord('alex', { amount: 1, timestamp: minutesAgo(30) }, minutesAgo(30));
+  bar1.addRecord('alex', { amount: 1, timestamp: minutesAgo(30) }, minutesAgo(30));
+  await sync1.sync();
+  await sync2.sync();
+  assert.equal(bar2.getRecords('alex').length, 2);
+
+  const [first, second] = bar2.getRecords('alex');
+  bar2.updateRecord('alex', first.id, { amount: 3 }, minutesAgo(10));
+  bar1.deleteRecord('alex', second.id, minutesAgo(5));
+  await sync2.sync();
+  await sync1.sync();
+  await sync2.sync();
+  assert.deepEqual(bar1.getRecords('alex'), bar2.getRecords('alex'));
+  assert.equal(bar1.getRecords('alex').length, 1);
+});
+
+test('renames, merges and aliases reach the other devices', async () => {
+  const backend = createLocalSyncBackend();
+  const bar1 = createTracker({ deviceId: 'bar-1' });
+  const bar2 = createTracker({ deviceId: 'bar-2' });
+  const sync1 = createSync({ tracker: bar1, backend, deviceId: 'bar-1' });
+  const sync2 = createSync({ tracker: bar2, backend, deviceId: 'bar-2' });
+  const syncAll = async () => {
+    await sync1.sync();
+    await sync2.sync();
+    await sync1.sync();
+  };
+
+  bar1.addRecord('jon', { amount: 1, timestamp: minutesAgo(60) }, minutesAgo(60));
+  bar1.addRecord('john', { amount: 2, timestamp: minutesAgo(50) }, minutesAgo(50));
+  bar1.addRecord('sam', { amount: 3, timestamp: minutesAgo(40) }, minutesAgo(40));
+  await syncAll();
+  assert.deepEqual(bar2.listUsers(), ['john', 'jon', 'sam']);
+
+  bar1.mergeUsers(['jon'], 'john');
+  bar1.renameUser('sam', 'samantha', { keepAlias: false });
+  bar1.setAlias('sammy', 'samantha');
+  // Logged on bar 2 while it hadn't heard of the merge yet
+  bar2.addRecord('jon', { amount: 4, timestamp: minutesAgo(5) }, minutesAgo(5));
+  await syncAll();
+
+  assert.deepEqual(bar2.listUsers(), ['john', 'samantha']);
+  assert.deepEqual(bar1.listUsers(), bar2.listUsers());
+  assert.deepEqual(bar2.getAliases(), { jon: 'john', sammy: 'samantha' });
+  assert.deepEqual(bar1.getRecords('john').map((r) => r.amount), [1, 2, 4]);
+  assert.deepEqual(bar1.getRecords('john'), bar2.getRecords('john'));
+
+  bar2.removeAlias('sammy');
+  await syncAll();
+  assert.deepEqual(bar1.getAliases(), { jon: 'john' });
+});
+
+test('a restored snapshot reaches the other devices', async () => {
+  const backend = createLocalSyncBackend();
+  const bar1 = createTracker({ deviceId: 'bar-1' });
+  const bar2 = createTracker({ deviceId: 'bar-2' });
+  const sync1 = createSync({ tracker: bar1, backend, deviceId: 'bar-1' });
+  const sync2 = createSync({ tracker: bar2, backend, deviceId: 'bar-2' });
+  const syncAll = async () => {
+    await sync1.sync();
+    await sync2.sync();
+    await sync1.sync();
+  };
+  const later = new Date(now.getTime() + 60000);
+
+  bar1.addRecord('alex', { amount: 1, timestamp: minutesAgo(60) }, minutesAgo(60));
+  bar1.addRecord('alex', { amount: 2, timestamp: minutesAgo(50) }, minutesAgo(50));
+  await syncAll();
+  const snapshot = bar1.createSnapshot('restore', minutesAgo(40));
+
+  const [first, second] = bar2.getRecords('alex');
+  bar2.updateRecord('alex', first.id, { amount: 10 }, now);
+  bar2.deleteRecord('alex', second.id, now);
+  bar2.addRecord('sam', { amount: 3, timestamp: minutesAgo(5) }, now);
+  await syncAll();
+  assert.deepEqual(bar1.getRecords('alex').map((r) => r.amount), [10]);
+
+  bar1.restoreSnapshot(snapshot, later);
+  assert.deepEqual(bar1.getRecords('alex').map((r) => r.amount), [1, 2]);
+  assert.deepEqual(bar1.getRecords('sam'), []);
+  await syncAll();
+  assert.deepEqual(bar2.getRecords('alex').map((r) => r.amount), [1, 2]);
+  assert.deepEqual(bar2.getRecords('alex'), bar1.getRecords('alex'));
+  assert.deepEqual(bar2.getRecords('sam'), []);
+});
+
+test('a failed save of the sync state does not stop later syncs', async () => {
+  const backend = createLocalSyncBackend();
+  const tracker = createTracker();
+  let full = true;
+  const saveState = () => {
+    if (full) throw new Error('Storage is full.');
+  };
+  const engine = createSync({ tracker, backend, deviceId: 'bar-1', saveState });
+
+  tracker.addRecord('alex', { amount: 1, timestamp: minutesAgo(5) }, now);
+  await engine.sync();
+  assert.equal(engine.getStatus().state, 'error');
+  assert.equal(engine.getStatus().error, 'Storage is full.');
+
+  full = false;
+  await engine.sync();
+  assert.equal(engine.getStatus().state, 'idle');
+  assert.equal(engine.getStatus().pending, 0);
+});
+
+test('a reset and a replacing import reach the other devices', async () => {
+  const backend = createLocalSyncBackend();
+  const bar1 = createTracker({ deviceId: 'bar-1' });
+  const bar2 = createTracker({ deviceId: 'bar-2' });
+  const sync1 = createSync({ tracker: bar1, backend, deviceId: 'bar-1' });
+  const sync2 = createSync({ tracker: bar2, backend, deviceId: 'bar-2' });
+  const syncAll = async () => {
+    await sync1.sync();
+    await sync2.sync();
+    await sync1.sync();
+  };
+
+  bar1.addRecord('alex', { amount: 1, timestamp: minutesAgo(60) }, minutesAgo(60));
+  bar1.addRecord('sam', { amount: 2, timestamp: minutesAgo(50) }, minutesAgo(50));
+  bar1.setAlias('al', 'alex');
+  await syncAll();
+  const backup = bar1.exportData(now);
+  assert.deepEqual(bar2.listUsers(), ['alex', 'sam']);
+
+  bar1.resetData(now);
+  assert.deepEqual(bar1.listUsers(), []);
+  await syncAll();
+  assert.deepEqual(bar2.listUsers(), []);
+  assert.deepEqual(bar2.getAliases(), {});
+  assert.equal(bar2.getStatus('alex', now).waitingTimeNeeded, 0);
+
+  // A stale copy of a deleted record can't come back
+  bar2.importData({ users: { alex: backup.users.alex } });
+  assert.deepEqual(bar2.listUsers(), []);
+
+  // Replacing the data with the backup puts it back everywhere
+  bar2.importData({ users: { sam: backup.users.sam } }, { mode: 'replace', now: new Date(now.getTime() + 60000) });
+  bar2.addRecord('kim', { amount: 3, timestamp: minutesAgo(5) }, now);
+  await syncAll();
+  assert.deepEqual(bar1.listUsers(), ['kim', 'sam']);
+  assert.deepEqual(bar1.getUsers(), bar2.getUsers());
+
+  bar1.importData({ users: { kim: bar1.getRecords('kim') } }, { mode: 'replace', now: new Date(now.getTime() + 120000) });
+  await syncAll();
+  assert.deepEqual(bar2.listUsers(), ['kim']);
+  assert.deepEqual(bar2.getRecords('sam'), []);
+});
@@ -0,0 +1,582 @@
+// A framework-independent tracker: users, records and the wait rules that apply
+// to them, over a pluggable storage adapter. The app runs it on the IndexedDB
+// store; scripts can run it on the in-memory storage (the default).
+import { addMinutes } from 'date-fns';
+import { mergeAliases, resolveAlias } from './aliases.js';
+import { DEFAULT_BEVERAGES, mergeBeverages, normalizeBeverage } from './alcohol.js';
+import { analyzeRange, getRangeBounds } from './analytics.js';
+import { filterAudit, newAuditEntries, normalizeAuditEntry, sortAudit } from './audit.js';
+import { buildSnapshot } from './snapshots.js';
+import { buildDataset, validateDataset } from './backup.js';
+import { mergeEvents, normalizeEvent, sortEvents, summarizeEvent } from './events.js';
+import {
+  DEFAULT_CAPS, calculateRecentConsumption, checkCaps, getWaitingSeconds, getWaitingTime, isRemovedUser, liveRecords, newRecordId,
+  normalizeAndMerge, normalizeId, replaceUsers, sortRecords, sumAmounts, withoutRemovedUsers,
+} from './records.js';
+import {
+  DEFAULT_ALMOST_READY_PCT, DEFAULT_CONFIRM_PCT, DEFAULT_WAITING_MINUTES, getEffectiveSettings, getOverrides, mergeProfiles,
+} from './settings.js';
+
+export const DEFAULT_SETTINGS = {
+  waitingMinutes: DEFAULT_WAITING_MINUTES,
+  almostReadyPct: DEFAULT_ALMOST_READY_PCT,
+  confirmPct: DEFAULT_CONFIRM_PCT,
+  caps: DEFAULT_CAPS,
+};
+
+// In-memory storage adapter. A storage adapter must provide getUsers/saveUsers;
+// getProfiles/saveProfiles, getBeverages/saveBeverages, getAliases/saveAliases,
+// getEvents/saveEvents and getAudit/appendAudit are optional.
+// appendAudit adds one entry; the audit log is never rewritten.
+export const createMemoryStorage = (initial = {}) => {
+  let users = { ...(initial.users || {}) };
+  let profiles = { ...(initial.profiles || {}) };
+  let beverages = [...(initial.beverages || DEFAULT_BEVERAGES)];
+  let aliases = { ...(initial.aliases || {}) };
+  let events = [...(initial.events || [])];
+  const audit = [...(initial.audit || [])];
+  return {
+    getUsers: () => ({ ...users }),
+    saveUsers: (next) => { users = { ...next }; },
+    getProfiles: () => ({ ...profiles }),
+    saveProfiles: (next) => { profiles = { ...next }; },
+    getBeverages: () => [...beverages],
+    saveBeverages: (next) => { beverages = [...next]; },
+    getAliases: () => ({ ...aliases }),
+    saveAliases: (next) => { aliases = { ...next }; },
+    getEvents: () => [...events],
+    saveEvents: (next) => { events = [...next]; },
+    getAudit: () => [...audit],
+    appendAudit: (entry) => { audit.push(entry); },
+  };
+};
+
+const resolve = (value) => (typeof value === 'function' ? value() : value);
+
+// Check an amount (ml) and timestamp, returning them normalized; throws on bad input
+const validateEntry = (amount, timestamp, now) => {
+  const ml = Number(amount);
+  if (!Number.isFinite(ml) || ml <= 0) throw new Error('Amount must be a number of ml above 0.');
+  const t = timestamp == null ? now : new Date(timestamp);
+  if (Number.isNaN(t.getTime())) throw new Error('Timestamp is not a valid date.');
+  return { amount: ml, timestamp: t.toISOString() };
+};
+
+// A record's contents as a string, whatever order its fields are in
+const recordKey = (record) => JSON.stringify(Object.keys(record).sort().map((key) => [key, record[key]]));
+
+// Create a tracker.
+//   storage  — storage adapter (default: createMemoryStorage())
+//   settings — global settings { waitingMinutes, almostReadyPct, confirmPct, caps },
+//              or a function returning them; missing values use DEFAULT_SETTINGS
+//   deviceId — stored on the records this tracker creates (default 'local')
+export const createTracker = ({ storage = createMemoryStorage(), settings = {}, deviceId = 'local' } = {}) => {
+  const getSettings = () => ({ ...DEFAULT_SETTINGS, ...resolve(settings) });
+  const getProfiles = () => (storage.getProfiles ? storage.getProfiles() : {});
+  const getBeverages = () => (storage.getBeverages ? storage.getBeverages() : []);
+  const getAliases = () => (storage.getAliases ? storage.getAliases() : {});
+  const saveAliases = (aliases) => { if (storage.saveAliases) storage.saveAliases(aliases); };
+  const getEvents = () => (storage.getEvents ? sortEvents(storage.getEvents()) : []);
+  const saveEvents = (events) => {
+    if (!storage.saveEvents) throw new Error('This storage does not keep events.');
+    storage.saveEvents(sortEvents(events));
+  };
+
+  // Append an entry to the audit log (when the storage keeps one): `action` is
+  // a key of AUDIT_ACTIONS, `fields` { userId?, before?, after?, details? }.
+  // Returns the entry.
+  const logChange = (action, fields = {}, now = new Date()) => {
+    const entry = normalizeAuditEntry({ ...fields, id: newRecordId(), at: now.toISOString(), action, device: deviceId });
+    if (!entry) throw new Error(`Unknown audit action "${action}".`);
+    if (storage.appendAudit) storage.appendAudit(entry);
+    return entry;
+  };
+
+  // The audit log, oldest first, optionally filtered (see filterAudit)
+  const getAudit = (filter) => filterAudit(sortAudit(storage.getAudit ? storage.getAudit() : []), filter);
+
+  // Users and live records, for before/after counts in the audit log
+  const countData = () => {
+    const users = Object.values(withoutRemovedUsers(storage.getUsers()));
+    return { userCount: users.length, recordCount: users.reduce((n, recs) => n + liveRecords(recs).length, 0) };
+  };
+
+  // The main user ID for an ID or alias, normalized
+  const resolveUser = (userId) => resolveAlias(getAliases(), userId);
+
+  // Sorted list of all user IDs (removed users left out)
+  const listUsers = () => Object.keys(withoutRemovedUsers(storage.getUsers())).sort();
+
+  const hasUser = (userId) => {
+    const recs = storage.getUsers()[resolveUser(userId)];
+    return !!recs && !isRemovedUser(recs);
+  };
+
+  // All of a user's stored records, tombstones included
+  const getStoredRecords = (id) => storage.getUsers()[id] || [];
+
+  // A user's records, oldest first ([] for an unknown user)
+  const getRecords = (userId) => liveRecords(getStoredRecords(resolveUser(userId)));
+
+  // Every user's records, as { [userId]: records }. With `deleted`, tombstones
+  // and removed users are included too (as stored; don't change them).
+  const getUsers = ({ deleted = false } = {}) => (deleted ? storage.getUsers() : Object.fromEntries(
+    Object.entries(withoutRemovedUsers(storage.getUsers())).map(([id, recs]) => [id, liveRecords(recs)])
+  ));
+
+  // Create a user if it doesn't exist yet; returns the normalized ID
+  const createUser = (userId, now = new Date()) => {
+    const id = resolveUser(userId);
+    if (!id) throw new Error('User ID is required.');
+    const users = storage.getUsers();
+    if (!hasUser(id)) {
+      // A removed user's tombstones stay, no longer marked removed
+      users[id] = (users[id] || []).map((r) => {
+        const tombstone = { ...r };
+        delete tombstone.removed;
+        return tombstone;
+      });
+      storage.saveUsers(users);
+      logChange('user.create', { userId: id }, now);
+    }
+    return id;
+  };
+
+  // Store a user's full record list (tombstones included); returns the live records
+  const writeRecords = (id, records) => {
+    const users = storage.getUsers();
+    users[id] = sortRecords(records);
+    storage.saveUsers(users);
+    return liveRecords(users[id]);
+  };
+
+  // One of the user's (live) records, by record ID
+  const requireRecord = (id, recordId) => {
+    const record = getRecords(id).find((r) => r.id === recordId);
+    if (!record) throw new Error(`User "${id}" has no record "${recordId}".`);
+    return record;
+  };
+
+  // Replace one stored record (matched by ID)
+  const replaceRecord = (id, record) => writeRecords(
+    id,
+    getStoredRecords(id).map((r) => (r.id === record.id ? record : r))
+  );
+
+  // Add a record ({ amount, timestamp?, beverage?, override?, event? }), creating
+  // the user if needed. The timestamp defaults to `now`; `event` is the ID of the
+  // event it was logged at. Returns the stored record.
+  const addRecord = (userId, { amount, timestamp, beverage, override, event } = {}, now = new Date()) => {
+    const id = resolveUser(userId);
+    if (!id) throw new Error('User ID is required.');
+    const record = { id: newRecordId(), ...validateEntry(amount, timestamp, now) };
+    const b = normalizeBeverage(beverage);
+    if (b) record.beverage = b;
+    if (override) record.override = override;
+    if (event) record.event = event;
+    record.device = deviceId;
+    record.createdAt = now.toISOString();
+    writeRecords(id, [...getStoredRecords(id), record]);
+    logChange('record.add', { userId: id, after: record }, now);
+    return record;
+  };
+
+  // Change a record's amount, timestamp and/or beverage (null removes it).
+  // `override` (when staff confirmed the edit past a cap) replaces the record's.
+  // Returns the user's records, re-sorted.
+  const updateRecord = (userId, recordId, changes, now = new Date()) => {
+    const id = resolveUser(userId);
+    const before = requireRecord(id, recordId);
+    const { beverage, ...rest } = before;
+    const entry = validateEntry(
+      changes.amount ?? rest.amount,
+      changes.timestamp ?? rest.timestamp,
+      now
+    );
+    const nextBeverage = changes.beverage === undefined ? beverage : normalizeBeverage(changes.beverage);
+    const after = { ...rest, ...entry, ...(nextBeverage ? { beverage: nextBeverage } : {}), updatedAt: now.toISOString() };
+    if (changes.override) after.override = changes.override;
+    const records = replaceRecord(id, after);
+    logChange('record.edit', { userId: id, before, after }, now);
+    return records;
+  };
+
+  // Delete one record, keeping a tombstone; returns the user's remaining records
+  const deleteRecord = (userId, recordId, now = new Date()) => {
+    const id = resolveUser(userId);
+    const record = requireRecord(id, recordId);
+    const records = replaceRecord(id, { id: record.id, timestamp: record.timestamp, deletedAt: now.toISOString() });
+    logChange('record.delete', { userId: id, before: record }, now);
+    return records;
+  };
+
+  // Caps the user would exceed by adding `amount` ml at `now` ([] when none).
+  // For an edit, pass the record's ID as `exceptId` and its new time as `now`:
+  // the windows then end at that time and leave the record's old amount out.
+  const checkUserCaps = (userId, amount, now = new Date(), { exceptId } = {}) => {
+    const records = getRecords(userId).filter((r) => r.id !== exceptId && new Date(r.timestamp) <= now);
+    return checkCaps(records, Number(amount), getSettings().caps || DEFAULT_CAPS, now);
+  };
+
+  // Where a user stands at `now`: totals, the effective wait settings (with
+  // per-user overrides) and whether they must wait, are almost ready or are ready.
+  const getStatus = (userId, now = new Date()) => {
+    const id = resolveUser(userId);
+    const records = getRecords(id);
+    const profile = getProfiles()[id] || {};
+    const effective = getEffectiveSettings(getSettings(), profile);
+    const lastConsumptionTime = records.length > 0 ? records[records.length - 1].timestamp : null;
+    const waitingTimeNeeded = lastConsumptionTime ? getWaitingTime(lastConsumptionTime, effective.waitingMinutes, now) : 0;
+    const waitingSecondsNeeded = lastConsumptionTime ? getWaitingSeconds(lastConsumptionTime, effective.waitingMinutes, now) : 0;
+    const remaining = effective.waitingMinutes > 0 ? waitingSecondsNeeded / (effective.waitingMinutes * 60) : 0;
+    // Counted in seconds, so the last minute of the wait still counts
+    const withinWaitWindow = !!lastConsumptionTime && waitingSecondsNeeded > 0;
+    // Remaining wait has dropped below the "almost ready" percentage
+    const isAlmostReady = withinWaitWindow && effective.waitingMinutes > 0 && remaining < effective.almostReadyPct / 100;
+    return {
+      userId: id,
+      exists: hasUser(id),
+      recordCount: records.length,
+      totalMl: sumAmounts(records),
+      last2HoursMl: calculateRecentConsumption(records, 2, now),
+      lastConsumptionTime,
+      settings: effective,
+      overrides: getOverrides(profile),
+      waitingTimeNeeded,
+      waitingSecondsNeeded,
+      nextAllowedAt: lastConsumptionTime ? addMinutes(new Date(lastConsumptionTime), effective.waitingMinutes) : null,
+      withinWaitWindow,
+      isAlmostReady,
+      // Most of the wait still remaining => they just drank; confirm before adding another
+      needsConfirm: !!lastConsumptionTime && effective.waitingMinutes > 0 && remaining >= effective.confirmPct / 100,
+      state: !withinWaitWindow ? 'ready' : isAlmostReady ? 'almost-ready' : 'wait',
+    };
+  };
+
+  // Everyone who drank in the last `hours`, with their status (see getStatus)
+  // and how much they drank in that window (windowMl), in user ID order
+  const getBoard = ({ hours = 6 } = {}, now = new Date()) => {
+    const since = now.getTime() - hours * 60 * 60000;
+    return listUsers()
+      .map((id) => ({ id, records: getRecords(id) }))
+      .filter(({ records }) => records.length > 0 && new Date(records[records.length - 1].timestamp).getTime() >= since)
+      .map(({ id, records }) => ({ ...getStatus(id, now), windowMl: calculateRecentConsumption(records, hours, now) }));
+  };
+
+  // Consumption of one user (or everyone, without userId) over a range: a key
+  // of ANALYTICS_RANGES, or 'custom' with start and end. See analyzeRange.
+  const getAnalytics = ({ userId, range = '24h', start, end, bucketMinutes } = {}, now = new Date()) => {
+    const bounds = getRangeBounds(range, now, { start, end });
+    const users = userId ? { [resolveUser(userId)]: getRecords(userId) } : storage.getUsers();
+    return analyzeRange(users, { ...bounds, bucketMinutes });
+  };
+
+  // Move the records, profiles and aliases of `sources` onto `target` (all
+  // normalized main IDs), deduplicating and sorting the records like an import.
+  // Moved records count as edited, so the move reaches other devices.
+  // With keepAliases, the source IDs become aliases of the target.
+  const moveUsers = (sources, target, keepAliases, now = new Date()) => {
+    const users = storage.getUsers();
+    const moved = sources.flatMap((id) => users[id] || [])
+      .map((r) => (r.deletedAt ? r : { ...r, updatedAt: now.toISOString() }));
+    const merged = normalizeAndMerge({ [target]: users[target] || [] }, { [target]: moved });
+    sources.forEach((id) => { delete users[id]; });
+    users[target] = merged[target];
+    storage.saveUsers(users);
+
+    if (storage.saveProfiles) {
+      const profiles = getProfiles();
+      // The target's own profile wins; sources only fill in what it lacks
+      const profile = sources.reduce((p, id) => (profiles[id] ? { ...profiles[id], ...(p || {}) } : p), profiles[target]);
+      sources.forEach((id) => { delete profiles[id]; });
+      if (profile) profiles[target] = profile;
+      storage.saveProfiles(profiles);
+    }
+
+    const aliases = {};
+    Object.entries(getAliases()).forEach(([alias, id]) => {
+      aliases[alias] = sources.includes(id) ? target : id;
+    });
+    if (keepAliases) sources.forEach((id) => { aliases[id] = target; });
+    delete aliases[target];
+    saveAliases(aliases);
+    return users[target];
+  };
+
+  // Give a user a new ID. With keepAlias (the default), the old ID stays as an
+  // alias so searches for it still find the user. Returns the new ID.
+  const renameUser = (userId, newId, { keepAlias = true } = {}) => {
+    const source = resolveUser(userId);
+    const target = normalizeId(newId);
+    if (!target) throw new Error('User ID is required.');
+    if (!hasUser(source)) throw new Error(`There is no user "${source}".`);
+    if (target === source) return target;
+    if (hasUser(target)) throw new Error(`User "${target}" already exists; merge the users instead.`);
+    const aliasOf = getAliases()[target];
+    if (aliasOf && aliasOf !== source) throw new Error(`"${target}" is already an alias of "${aliasOf}".`);
+    moveUsers([source], target, keepAlias);
+    logChange('user.rename', { userId: target, before: source, after: target });
+    return target;
+  };
+
+  // Merge several users into one (which may be new), keeping their old IDs as
+  // aliases unless keepAliases is false. Returns the target's merged records.
+  const mergeUsers = (userIds, targetId, { keepAliases = true } = {}) => {
+    const target = resolveUser(targetId);
+    if (!target) throw new Error('User ID is required.');
+    const sources = [...new Set(userIds.map(resolveUser))].filter((id) => id !== target);
+    const missing = sources.find((id) => !hasUser(id));
+    if (missing) throw new Error(`There is no user "${missing}".`);
+    const records = moveUsers(sources, target, keepAliases);
+    logChange('user.merge', { userId: target, before: sources, after: target });
+    return records;
+  };
+
+  // Make `alias` resolve to a user; returns the normalized alias
+  const setAlias = (alias, userId) => {
+    const key = normalizeId(alias);
+    const id = resolveUser(userId);
+    if (!key) throw new Error('Alias is required.');
+    if (!hasUser(id)) throw new Error(`There is no user "${id}".`);
+    if (hasUser(key)) throw new Error(`"${key}" is already a user ID.`);
+    const before = getAliases()[key] || null;
+    saveAliases({ ...getAliases(), [key]: id });
+    logChange('user.alias', { userId: id, before, after: id, details: { alias: key } });
+    return key;
+  };
+
+  const removeAlias = (alias) => {
+    const aliases = getAliases();
+    const key = normalizeId(alias);
+    if (!(key in aliases)) return;
+    const before = aliases[key];
+    delete aliases[key];
+    saveAliases(aliases);
+    logChange('user.alias', { userId: before, before, after: null, details: { alias: key } });
+  };
+
+  // Start an event (the `name` is required; `startAt` defaults to now). Returns it.
+  const createEvent = ({ name, startAt } = {}, now = new Date()) => {
+    const event = normalizeEvent({ id: newRecordId(), name: typeof name === 'string' ? name : '', startAt: (startAt ? new Date(startAt) : now).toISOString() });
+    if (!event) throw new Error('Event name is required.');
+    saveEvents([...getEvents(), event]);
+    logChange('event.start', { after: event }, now);
+    return event;
+  };
+
+  const requireEvent = (eventId) => {
+    const event = getEvents().find((e) => e.id === eventId);
+    if (!event) throw new Error(`There is no event "${eventId}".`);
+    return event;
+  };
+
+  // Totals for an event (see summarizeEvent)
+  const getEventSummary = (eventId) => summarizeEvent(storage.getUsers(), requireEvent(eventId));
+
+  // End an event; returns its summary
+  const closeEvent = (eventId, now = new Date()) => {
+    const event = requireEvent(eventId);
+    if (event.endAt) throw new Error(`"${event.name}" is already closed.`);
+    saveEvents(getEvents().map((e) => (e.id === eventId ? { ...e, endAt: now.toISOString() } : e)));
+    const summary = getEventSummary(eventId);
+    logChange('event.close', { before: event, details: { userCount: summary.userCount, recordCount: summary.recordCount } }, now);
+    return summary;
+  };
+
+  // The full dataset as an export object (see buildDataset); tombstones are
+  // included so deletions carry over to wherever it is imported
+  const exportData = (now = new Date()) => buildDataset({
+    users: storage.getUsers(),
+    beverages: storage.getBeverages ? getBeverages() : undefined,
+    profiles: storage.getProfiles ? getProfiles() : undefined,
+    aliases: storage.getAliases ? getAliases() : undefined,
+    events: storage.getEvents ? getEvents() : undefined,
+    audit: storage.getAudit ? getAudit() : undefined,
+  }, now);
+
+  // Work out an import without saving it: the dataset's users under their local
+  // IDs (`incoming`) and the resulting users. With `userIds`, only those
+  // (local) users are taken from the dataset.
+  // When merging, imported users whose ID is a local alias land on its main user.
+  // When replacing, what is replaced is deleted with tombstones (see
+  // replaceUsers), so the replace reaches other devices like any other change.
+  // Records from before record IDs (version 1 files) get their legacy IDs under
+  // the local user they land on, matching the copies already stored here.
+  const planImport = (dataset, { mode = 'merge', userIds, now = new Date() } = {}) => {
+    validateDataset(dataset);
+    const replace = mode === 'replace';
+    const localAliases = replace ? {} : getAliases();
+    const only = userIds ? new Set(userIds.map(normalizeId)) : null;
+    const incoming = {};
+    Object.entries(dataset.users).forEach(([id, recs]) => {
+      const key = resolveAlias(localAliases, id);
+      if (only && !only.has(key)) return;
+      incoming[key] = [...(incoming[key] || []), ...(Array.isArray(recs) ? recs : [])];
+    });
+    const users = replace
+      ? replaceUsers(storage.getUsers(), normalizeAndMerge({}, incoming), now)
+      : normalizeAndMerge(storage.getUsers(), incoming);
+    return { replace, localAliases, only, incoming, users };
+  };
+
+  // What importing a dataset would change, per user, without changing anything:
+  // [{ userId, isNew, incoming, added, updated, duplicates, removed, after }]
+  // (record counts; `duplicates` are imported records already here, `removed`
+  // are records that would be deleted or, when replacing, destroyed). Lists
+  // every user the import touches, plus (when replacing) every user it destroys.
+  const previewImport = (dataset, { mode = 'merge' } = {}) => {
+    const { incoming, users } = planImport(dataset, { mode });
+    const existing = storage.getUsers();
+    const ids = Object.keys(existing).filter((id) => !(id in users));
+    Object.keys(users).forEach((id) => {
+      const before = existing[id] || [];
+      if (id in incoming || before.length !== users[id].length || before.some((r, i) => recordKey(r) !== recordKey(users[id][i]))) ids.push(id);
+    });
+    return [...new Set(ids)].sort().map((id) => {
+      const before = new Map(liveRecords(existing[id] || []).map((r) => [r.id, recordKey(r)]));
+      const after = liveRecords(users[id] || []);
+      const kept = new Map(after.map((r) => [r.id, recordKey(r)]));
+      const imported = liveRecords(normalizeAndMerge({}, { [id]: incoming[id] || [] })[id] || []);
+      return {
+        userId: id,
+        isNew: !(id in existing) || isRemovedUser(existing[id]),
+        incoming: imported.length,
+        added: after.filter((r) => !before.has(r.id)).length,
+        updated: after.filter((r) => before.has(r.id) && before.get(r.id) !== kept.get(r.id)).length,
+        duplicates: imported.filter((r) => before.has(r.id) && before.get(r.id) === kept.get(r.id)).length,
+        removed: [...before.keys()].filter((recordId) => !kept.has(recordId)).length,
+        after: after.length,
+      };
+    });
+  };
+
+  // Merge a dataset into the stored data, or replace it (mode: 'merge' | 'replace').
+  // Users are normalized and deduplicated either way; the beverage catalog is merged.
+  // With `userIds` (local IDs, as previewImport lists them), only those users'
+  // records and profiles are imported. The dataset's audit log entries are
+  // added to the local one, and the import itself is logged unless `audit` is
+  // false (sync passes that: each device logs its own changes).
+  const importData = (dataset, { mode = 'merge', userIds, audit = true, now = new Date() } = {}) => {
+    const { replace, localAliases, only, incoming, users } = planImport(dataset, { mode, userIds, now });
+    const before = audit ? countData() : null;
+    storage.saveUsers(users);
+    saveAliases(mergeAliases(localAliases, dataset.aliases, withoutRemovedUsers(users)));
+    if (storage.saveBeverages) {
+      const current = getBeverages();
+      const merged = mergeBeverages(current, dataset.beverages);
+      if (merged.length !== current.length) storage.saveBeverages(merged);
+    }
+    if (storage.saveProfiles) {
+      const profiles = only
+        ? Object.fromEntries(Object.entries(dataset.profiles || {}).filter(([id]) => only.has(resolveAlias(localAliases, id))))
+        : dataset.profiles;
+      storage.saveProfiles(mergeProfiles(replace ? {} : getProfiles(), profiles));
+    }
+    if (storage.saveEvents) saveEvents(mergeEvents(replace ? [] : getEvents(), dataset.events));
+    if (storage.appendAudit) sortAudit(newAuditEntries(getAudit(), dataset.audit)).forEach(storage.appendAudit);
+    const importedUserCount = only ? Object.keys(incoming).length : Object.keys(dataset.users).length;
+    if (audit) logChange('import', { before, after: countData(), details: { mode, importedUserCount } });
+    return { users, importedUserCount };
+  };
+
+  // Merge changes pulled from other devices (see createSync): `users` are record
+  // versions by user ID, `aliases` { [alias]: userId, or null when removed }.
+  // Renames and merges made elsewhere arrive as moved records plus (usually) an
+  // alias: a user whose records have all moved to another user is removed here
+  // too, and a user whose ID became an alias elsewhere is moved onto that
+  // alias's user (taking along records only this device has). Not audited,
+  // like sync's imports. Returns the IDs of the users that changed or went away.
+  const applySyncChanges = ({ users: incoming = {}, aliases: incomingAliases = {} }, now = new Date()) => {
+    const before = storage.getUsers();
+    const touched = new Set();
+    if (Object.keys(incoming).length > 0) {
+      importData({ users: incoming }, { mode: 'merge', audit: false });
+      Object.keys(incoming).forEach((id) => touched.add(resolveUser(id)));
+      const after = storage.getUsers();
+      const owners = new Map();
+      Object.entries(after).forEach(([id, recs]) => recs.forEach((r) => owners.set(r.id, id)));
+      Object.entries(before).forEach(([id, recs]) => {
+        if (recs.length === 0 || !after[id] || after[id].length > 0 || !owners.has(recs[0].id)) return;
+        moveUsers([id], owners.get(recs[0].id), false, now);
+        touched.add(id);
+      });
+    }
+    Object.entries(incomingAliases).forEach(([alias, userId]) => {
+      const key = normalizeId(alias);
+      const aliases = getAliases();
+      if (!userId) {
+        if (!(key in aliases)) return;
+        delete aliases[key];
+        saveAliases(aliases);
+        touched.add(key);
+        return;
+      }
+      const target = resolveAlias(aliases, userId);
+      if (!key || key === target || aliases[key] === target) return;
+      if (key in storage.getUsers()) moveUsers([key], target, true, now);
+      else saveAliases({ ...aliases, [key]: target });
+      touched.add(key);
+      touched.add(target);
+    });
+    return [...touched];
+  };
+
+  // A snapshot of the current dataset (see buildSnapshot), to keep before a
+  // destructive change; storing it is up to the caller
+  const createSnapshot = (reason, now = new Date()) => buildSnapshot(exportData(now), reason, now);
+
+  // Replace the stored data with a snapshot's (settings are not part of it).
+  // Like a replacing import, the restore counts as a change made now, so it
+  // reaches other devices instead of losing to what they hold.
+  const restoreSnapshot = (snapshot, now = new Date()) => {
+    const before = countData();
+    importData(snapshot.dataset, { mode: 'replace', audit: false, now });
+    logChange('restore', { before, after: countData(), details: { takenAt: snapshot.takenAt, reason: snapshot.reason } }, now);
+  };
+
+  // Delete every user with their records, profiles and aliases, and every
+  // event. The audit log stays. Records are deleted with tombstones, so the
+  // reset reaches other devices.
+  const resetData = (now = new Date()) => {
+    const before = countData();
+    storage.saveUsers(replaceUsers(storage.getUsers(), {}, now));
+    saveAliases({});
+    if (storage.saveProfiles) storage.saveProfiles({});
+    if (storage.saveEvents) saveEvents([]);
+    logChange('reset', { before, after: countData() }, now);
+  };
+
+  return {
+    listUsers,
+    hasUser,
+    resolveUser,
+    getAliases,
+    getRecords,
+    getUsers,
+    createUser,
+    addRecord,
+    updateRecord,
+    deleteRecord,
+    checkCaps: checkUserCaps,
+    renameUser,
+    mergeUsers,
+    setAlias,
+    removeAlias,
+    getStatus,
+    getBoard,
+    getAnalytics,
+    getEvents,
+    createEvent,
+    closeEvent,
+    getEventSummary,
+    logChange,
+    getAudit,
+    exportData,
+    previewImport,
+    importData,
+    applySyncChanges,
+    createSnapshot,
+    restoreSnapshot,
+    resetData,
+  };
+};
@@ -0,0 +1,302 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStorage, createTracker } from './tracker.js';
+
+const now = new Date('2024-06-01T20:00:00.000Z');
+const minutesAgo = (m) => new Date(now.getTime() - m * 60000);
+
+test('addRecord creates the user and keeps records sorted', () => {
+  const tracker = createTracker();
+  tracker.addRecord('Alex', { amount: 1, timestamp: minutesAgo(10) }, now);
+  tracker.addRecord('alex', { amount: 2, timestamp: minutesAgo(90) }, now);
+  assert.deepEqual(tracker.listUsers(), ['alex']);
+  assert.deepEqual(tracker.getRecords('ALEX').map((r) => r.amount), [2, 1]);
+});
+
+test('addRecord rejects bad amounts and timestamps', () => {
+  const tracker = createTracker();
+  assert.throws(() => tracker.addRecord('alex', { amount: 0 }, now), /above 0/);
+  assert.throws(() => tracker.addRecord('alex', { amount: 1, timestamp: 'nope' }, now), /valid date/);
+  assert.throws(() => tracker.addRecord('  ', { amount: 1 }, now), /required/);
+});
+
+test('getStatus walks from wait to almost ready to ready', () => {
+  const tracker = createTracker({ settings: { waitingMinutes: 60, almostReadyPct: 20, confirmPct: 90 } });
+  tracker.addRecord('alex', { amount: 1, timestamp: now }, now);
+
+  const justDrank = tracker.getStatus('alex', now);
+  assert.equal(justDrank.state, 'wait');
+  assert.equal(justDrank.waitingTimeNeeded, 60);
+  assert.equal(justDrank.needsConfirm, true);
+  assert.equal(justDrank.nextAllowedAt.toISOString(), '2024-06-01T21:00:00.000Z');
+
+  const later = new Date(now.getTime() + 50 * 60000);
+  assert.equal(tracker.getStatus('alex', later).state, 'almost-ready');
+  assert.equal(tracker.getStatus('alex', later).needsConfirm, false);
+
+  const done = new Date(now.getTime() + 61 * 60000);
+  assert.equal(tracker.getStatus('alex', done).state, 'ready');
+  assert.equal(tracker.getStatus('nobody', done).exists, false);
+});
+
+test('getStatus applies per-user overrides', () => {
+  const storage = createMemoryStorage({ profiles: { alex: { overrides: { waitingMinutes: 120 } } } });
+  const tracker = createTracker({ storage, settings: { waitingMinutes: 60 } });
+  tracker.addRecord('alex', { amount: 1, timestamp: minutesAgo(90) }, now);
+  tracker.addRecord('sam', { amount: 1, timestamp: minutesAgo(90) }, now);
+  assert.equal(tracker.getStatus('alex', now).waitingTimeNeeded, 30);
+  assert.deepEqual(tracker.getStatus('alex', now).overrides, { waitingMinutes: 120 });
+  assert.equal(tracker.getStatus('sam', now).state, 'ready');
+});
+
+test('updateRecord and deleteRecord change a single record', () => {
+  const tracker = createTracker();
+  const first = tracker.addRecord('alex', { amount: 1, timestamp: minutesAgo(30) }, now);
+  const second = tracker.addRecord('alex', { amount: 2, timestamp: minutesAgo(20) }, now);
+  const updated = tracker.updateRecord('alex', second.id, { timestamp: minutesAgo(40).toISOString() }, now);
+  assert.deepEqual(updated.map((r) => r.amount), [2, 1]);
+  assert.deepEqual(tracker.deleteRecord('alex', second.id).map((r) => r.amount), [1]);
+  assert.throws(() => tracker.deleteRecord('alex', second.id), /no record/);
+  assert.throws(() => tracker.updateRecord('sam', first.id, { amount: 3 }), /no record/);
+});
+
+test('checkCaps uses the configured caps', () => {
+  const tracker = createTracker({ settings: { caps: { perEntryMl: 2 } } });
+  assert.equal(tracker.checkCaps('alex', 1, now).length, 0);
+  assert.equal(tracker.checkCaps('alex', 3, now)[0].key, 'perEntryMl');
+});
+
+test('checkCaps for an edit leaves out the record being edited', () => {
+  const tracker = createTracker({ settings: { caps: { per2hMl: 500 } } });
+  const first = tracker.addRecord('alex', { amount: 300, timestamp: minutesAgo(60) }, now);
+  tracker.addRecord('alex', { amount: 100, timestamp: minutesAgo(10) }, now);
+  assert.equal(tracker.checkCaps('alex', 400, minutesAgo(60), { exceptId: first.id }).length, 0);
+  assert.equal(tracker.checkCaps('alex', 600, minutesAgo(60), { exceptId: first.id })[0].key, 'per2hMl');
+  assert.equal(tracker.checkCaps('alex', 450, now, { exceptId: first.id })[0].total, 550);
+
+  const override = { reason: 'Shared pitcher', caps: ['per2hMl'], at: now.toISOString() };
+  tracker.updateRecord('alex', first.id, { amount: 600, override }, now);
+  assert.deepEqual(tracker.getRecords('alex')[0].override, override);
+});
+
+test('exportData and importData round-trip between trackers', () => {
+  const source = createTracker();
+  source.addRecord('alex', { amount: 1, timestamp: minutesAgo(30), beverage: { id: 'beer', name: 'Beer', abv: 5 } }, now);
+  const dataset = source.exportData(now);
+  assert.equal(dataset.exportedAt, now.toISOString());
+
+  const target = createTracker();
+  target.addRecord('sam', { amount: 2, timestamp: minutesAgo(5) }, now);
+
+  const merged = target.importData(dataset);
+  assert.equal(merged.importedUserCount, 1);
+  assert.deepEqual(target.listUsers(), ['alex', 'sam']);
+  target.importData(dataset);
+  assert.equal(target.getRecords('alex').length, 1);
+  assert.equal(target.getRecords('alex')[0].beverage.name, 'Beer');
+
+  target.importData(dataset, { mode: 'replace' });
+  assert.deepEqual(target.listUsers(), ['alex']);
+  assert.throws(() => target.importData({ nope: true }), /not a valid dataset/);
+});
+
+test('mergeUsers combines records and keeps the old IDs as aliases', () => {
+  const storage = createMemoryStorage({ profiles: { jon: { weightKg: 80 }, john: { sex: 'male' } } });
+  const tracker = createTracker({ storage });
+  tracker.addRecord('jon', { amount: 1, timestamp: minutesAgo(30) }, now);
+  tracker.addRecord('john', { amount: 1, timestamp: minutesAgo(30) }, now);
+  tracker.addRecord('jon s', { amount: 2, timestamp: minutesAgo(60) }, now);
+
+  const records = tracker.mergeUsers(['jon', 'jon s'], 'john');
+  assert.deepEqual(records.map((r) => r.amount), [2, 1, 1]);
+  assert.deepEqual(tracker.listUsers(), ['john']);
+  assert.deepEqual(tracker.getAliases(), { jon: 'john', 'jon s': 'john' });
+  assert.deepEqual(storage.getProfiles(), { john: { weightKg: 80, sex: 'male' } });
+  assert.equal(tracker.resolveUser('JON'), 'john');
+  assert.equal(tracker.getStatus('jon', now).userId, 'john');
+  assert.throws(() => tracker.mergeUsers(['nobody'], 'john'), /no user "nobody"/);
+});
+
+test('renameUser moves a user and its aliases to the new ID', () => {
+  const tracker = createTracker();
+  tracker.addRecord('jon s', { amount: 1, timestamp: minutesAgo(30) }, now);
+  tracker.addRecord('sam', { amount: 1, timestamp: minutesAgo(30) }, now);
+  tracker.setAlias('jonny', 'jon s');
+  assert.equal(tracker.renameUser('jon s', 'Jon Smith'), 'jon smith');
+  assert.deepEqual(tracker.getAliases(), { jonny: 'jon smith', 'jon s': 'jon smith' });
+  assert.equal(tracker.getRecords('jonny').length, 1);
+  assert.throws(() => tracker.renameUser('jon smith', 'sam'), /already exists/);
+  assert.throws(() => tracker.setAlias('sam', 'jon smith'), /already a user ID/);
+  tracker.removeAlias('jonny');
+  assert.equal(tracker.hasUser('jonny'), false);
+});
+
+test('importData files imported users under local aliases', () => {
+  const source = createTracker();
+  source.addRecord('jon', { amount: 1, timestamp: minutesAgo(30) }, now);
+  const target = createTracker({ storage: createMemoryStorage({ users: { john: [] }, aliases: { jon: 'john' } }) });
+  target.importData(source.exportData(now));
+  assert.deepEqual(target.listUsers(), ['john']);
+  assert.equal(target.getRecords('john').length, 1);
+});
+
+test('records keep their IDs, and deletions carry over as tombstones', () => {
+  const bar1 = createTracker({ deviceId: 'bar-1' });
+  const first = bar1.addRecord('alex', { amount: 1, timestamp: minutesAgo(30) }, now);
+  bar1.addRecord('alex', { amount: 1, timestamp: minutesAgo(30) }, now);
+  assert.equal(bar1.getRecords('alex').length, 2);
+  assert.equal(first.device, 'bar-1');
+  assert.equal(first.createdAt, now.toISOString());
+
+  const bar2 = createTracker();
+  bar2.importData(bar1.exportData(now));
+  bar1.deleteRecord('alex', first.id, now);
+  assert.equal(bar1.getRecords('alex').length, 1);
+  assert.ok(bar1.exportData(now).users.alex.some((r) => r.id === first.id && r.deletedAt));
+
+  // The deletion wins over the copy bar2 still has, whichever side imports
+  bar2.importData(bar1.exportData(now));
+  assert.equal(bar2.getRecords('alex').length, 1);
+  bar1.importData(bar2.exportData(now));
+  assert.equal(bar1.getRecords('alex').length, 1);
+});
+
+test('version 1 datasets get the same legacy IDs on every import', () => {
+  const v1 = {
+    version: 1,
+    users: { Alex: [{ timestamp: minutesAgo(30).toISOString(), amount: 1 }, { timestamp: minutesAgo(30).toISOString(), amount: 1 }] },
+  };
+  const a = createTracker();
+  const b = createTracker();
+  a.importData(v1);
+  b.importData(v1);
+  assert.equal(a.getRecords('alex').length, 2);
+  assert.deepEqual(a.getRecords('alex').map((r) => r.id), b.getRecords('alex').map((r) => r.id));
+  a.importData(v1);
+  assert.equal(a.getRecords('alex').length, 2);
+  assert.throws(() => a.importData({ version: 99, users: {} }), /newer version/);
+});
+
+test('previewImport lists what an import would change without changing it', () => {
+  const source = createTracker();
+  const shared = source.addRecord('alex', { amount: 1, timestamp: minutesAgo(60) }, now);
+  const target = createTracker();
+  target.importData(source.exportData(now));
+  source.addRecord('alex', { amount: 2, timestamp: minutesAgo(30) }, now);
+  source.addRecord('sam', { amount: 3, timestamp: minutesAgo(10) }, now);
+  target.addRecord('kim', { amount: 1, timestamp: minutesAgo(5) }, now);
+  const dataset = source.exportData(now);
+
+  assert.deepEqual(target.previewImport(dataset), [
+    { userId: 'alex', isNew: false, incoming: 2, added: 1, updated: 0, duplicates: 1, removed: 0, after: 2 },
+    { userId: 'sam', isNew: true, incoming: 1, added: 1, updated: 0, duplicates: 0, removed: 0, after: 1 },
+  ]);
+  const replace = target.previewImport(dataset, { mode: 'replace' });
+  assert.deepEqual(replace.map((u) => [u.userId, u.removed]), [['alex', 0], ['kim', 1], ['sam', 0]]);
+  assert.deepEqual(target.listUsers(), ['alex', 'kim']);
+
+  // Only the ticked users are imported
+  target.importData(dataset, { userIds: ['sam'] });
+  assert.deepEqual(target.listUsers(), ['alex', 'kim', 'sam']);
+  assert.deepEqual(target.getRecords('alex').map((r) => r.id), [shared.id]);
+});
+
+test('events tag records and summarize when closed', () => {
+  const tracker = createTracker();
+  const party = tracker.createEvent({ name: ' Summer party ' }, minutesAgo(120));
+  assert.equal(party.name, 'Summer party');
+  tracker.addRecord('alex', { amount: 500, timestamp: minutesAgo(200) }, now);
+  tracker.addRecord('alex', { amount: 330, timestamp: minutesAgo(60), event: party.id, beverage: { name: 'Beer', abv: 5 } }, now);
+  tracker.addRecord('sam', { amount: 40, timestamp: minutesAgo(30), event: party.id, override: { reason: 'ok' } }, now);
+
+  const summary = tracker.closeEvent(party.id, now);
+  assert.equal(summary.event.endAt, now.toISOString());
+  assert.equal(summary.recordCount, 2);
+  assert.equal(summary.totalMl, 370);
+  assert.equal(summary.overrideCount, 1);
+  assert.deepEqual(summary.users.map((u) => u.userId), ['alex', 'sam']);
+  assert.throws(() => tracker.closeEvent(party.id, now), /already closed/);
+  assert.throws(() => tracker.createEvent({ name: ' ' }), /name is required/);
+
+  const copy = createTracker();
+  copy.importData(tracker.exportData(now));
+  assert.deepEqual(copy.getEvents(), tracker.getEvents());
+});
+
+test('getBoard lists the users active in the window with their state', () => {
+  const tracker = createTracker({ settings: { waitingMinutes: 60 } });
+  tracker.addRecord('alex', { amount: 330, timestamp: minutesAgo(10) }, now);
+  tracker.addRecord('sam', { amount: 40, timestamp: minutesAgo(55) }, now);
+  tracker.addRecord('kim', { amount: 150, timestamp: minutesAgo(90) }, now);
+  tracker.addRecord('old', { amount: 150, timestamp: minutesAgo(60 * 8) }, now);
+
+  const board = tracker.getBoard({ hours: 6 }, now);
+  assert.deepEqual(board.map((row) => [row.userId, row.state]), [['alex', 'wait'], ['kim', 'ready'], ['sam', 'almost-ready']]);
+  assert.equal(board[0].waitingTimeNeeded, 50);
+  assert.equal(board[1].windowMl, 150);
+  assert.equal(tracker.getBoard({ hours: 12 }, now).length, 4);
+});
+
+test('the audit log keeps changes with their before and after values', () => {
+  const tracker = createTracker({ deviceId: 'bar-1' });
+  tracker.createUser('Alex', minutesAgo(20));
+  const record = tracker.addRecord('alex', { amount: 330, timestamp: minutesAgo(10) }, now);
+  tracker.updateRecord('alex', record.id, { amount: 250 }, now);
+  tracker.deleteRecord('alex', record.id, now);
+  tracker.logChange('settings', { before: 60, after: 45, details: { setting: 'waitingMinutes' } }, now);
+  assert.throws(() => tracker.logChange('nonsense'), /Unknown audit action/);
+
+  const log = tracker.getAudit();
+  assert.deepEqual(log.map((e) => e.action), ['user.create', 'record.add', 'record.edit', 'record.delete', 'settings']);
+  assert.deepEqual([log[2].before.amount, log[2].after.amount], [330, 250]);
+  assert.equal(log[3].device, 'bar-1');
+  assert.equal(tracker.getAudit({ userId: 'alex', action: 'record.edit' }).length, 1);
+
+  // The log travels with the dataset; importing it is logged too
+  const copy = createTracker();
+  copy.importData(tracker.exportData(now), { mode: 'replace' });
+  const copied = copy.getAudit();
+  assert.equal(copied.length, 6);
+  assert.deepEqual(copied[5].details, { mode: 'replace', importedUserCount: 1 });
+  assert.deepEqual(copied[5].after, { userCount: 1, recordCount: 0 });
+});
+
+test('a reset removes every user but keeps their deletions', () => {
+  const tracker = createTracker();
+  const record = tracker.addRecord('alex', { amount: 1, timestamp: minutesAgo(30) }, now);
+  tracker.addRecord('sam', { amount: 2, timestamp: minutesAgo(20) }, now);
+  tracker.setAlias('al', 'alex');
+  tracker.resetData(now);
+
+  assert.deepEqual(tracker.listUsers(), []);
+  assert.equal(tracker.hasUser('alex'), false);
+  assert.deepEqual(tracker.getAliases(), {});
+  assert.deepEqual(tracker.exportData(now).users.alex, [{ id: record.id, timestamp: record.timestamp, deletedAt: now.toISOString(), removed: true }]);
+  assert.deepEqual(tracker.getAudit({ action: 'reset' })[0].before, { userCount: 2, recordCount: 2 });
+
+  // Importing the old record again doesn't bring it back; a new one does bring the user back
+  tracker.importData({ users: { alex: [record] } });
+  assert.deepEqual(tracker.listUsers(), []);
+  tracker.addRecord('alex', { amount: 3, timestamp: minutesAgo(5) }, now);
+  assert.deepEqual(tracker.listUsers(), ['alex']);
+  assert.deepEqual(tracker.getRecords('alex').map((r) => r.amount), [3]);
+  assert.equal(tracker.createUser('sam'), 'sam');
+  assert.deepEqual(tracker.listUsers(), ['alex', 'sam']);
+});
+
+test('a snapshot restores the data as it was', () => {
+  const tracker = createTracker();
+  tracker.addRecord('alex', { amount: 1, timestamp: minutesAgo(30) }, now);
+  tracker.addRecord('sam', { amount: 2, timestamp: minutesAgo(20) }, now);
+  const snapshot = tracker.createSnapshot('users', now);
+  assert.deepEqual([snapshot.userCount, snapshot.recordCount, snapshot.reason], [2, 2, 'users']);
+  assert.equal(snapshot.dataset.audit, undefined);
+
+  tracker.mergeUsers(['sam'], 'alex');
+  tracker.deleteRecord('alex', tracker.getRecords('alex')[0].id, now);
+  tracker.restoreSnapshot(snapshot, now);
+  assert.deepEqual(tracker.listUsers(), ['alex', 'sam']);
+  assert.equal(tracker.getRecords('alex').length, 1);
+  assert.equal(tracker.resolveUser('sam'), 'sam');
+  assert.deepEqual(tracker.getAudit({ action: 'restore' })[0].after, { userCount: 2, recordCount: 2 });
+});
@@ -8,7 +8,7 @@ export default {
   theme: {
     extend: {
       fontFamily: {
-        serif: ['Fraunces', 'ui-serif', 'Georgia', 'serif'],
+        serif: ['"Fraunces Variable"', 'ui-serif', 'Georgia', 'serif'],
         sans: ['"IBM Plex Sans"', 'ui-sans-serif', 'system-ui', 'sans-serif'],
       },
     },
@@ -1,8 +1,30 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
+
+// Emit dist/sw.js from src/sw.js with the list of files to precache: the
+// page, the built bundle (minus the .woff fallbacks next to each .woff2) and
+// public/. Built file names carry content hashes, so VERSION changes with
+// every deployment that changes code or styles, and a new service worker installs.
+const serviceWorker = () => ({
+  name: 'service-worker',
+  apply: 'build',
+  generateBundle(_, bundle) {
+    const built = Object.keys(bundle).filter((file) => !file.endsWith('.woff') && !file.endsWith('.map'))
+    const files = ['index.html', ...built, ...readdirSync(new URL('./public', import.meta.url))].sort()
+    const version = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12)
+    const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+    this.emitFile({
+      type: 'asset',
+      fileName: 'sw.js',
+      source: `const PRECACHE = ${JSON.stringify(files)};\nconst VERSION = '${version}';\n\n${source}`,
+    })
+  },
+})
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   base: '/alcohol-tracker/', // Replace with your repo name
 })